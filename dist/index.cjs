@@ -0,0 +1,48 @@
+const ILoveIMGApi = require('../src/ILoveIMGApi.js');
+const Auth = require('../src/Auth.js');
+const Task = require('../src/Task.js');
+const {
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError
+} = require('../src/Error.js');
+const {
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+} = require('../src/Webhook.js');
+
+module.exports = {
+	default: ILoveIMGApi,
+	ILoveIMGApi,
+	Auth,
+	Task,
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError,
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+};
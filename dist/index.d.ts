@@ -0,0 +1,47 @@
+import ILoveIMGApi from '../src/ILoveIMGApi';
+import Auth from '../src/Auth';
+import Task from '../src/Task';
+import {
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError
+} from '../src/Error';
+import {
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+} from '../src/Webhook';
+
+export {
+	ILoveIMGApi as default,
+	Auth,
+	Task,
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError,
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+};
@@ -0,0 +1,47 @@
+import ILoveIMGApi from '../src/ILoveIMGApi.js';
+import Auth from '../src/Auth.js';
+import Task from '../src/Task.js';
+import {
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError
+} from '../src/Error.js';
+import {
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+} from '../src/Webhook.js';
+
+export {
+	ILoveIMGApi as default,
+	Auth,
+	Task,
+	ILoveApiError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	WebhookVerificationError,
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+};
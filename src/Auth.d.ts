@@ -1,5 +1,6 @@
 import { AxiosInstance } from 'axios';
 import { SelfSignedTokenOptionsInfered } from './schema/Auth';
+import { ClientOptionsInfered } from './schema/Client';
 
 /**
  * The `Auth` class manages authentication with the `ILoveApi` server, providing methods
@@ -27,12 +28,13 @@ declare class Auth {
 	private readonly #secretKey?: string;
 	private #axiosInstance: AxiosInstance;
 	private #tokenOptions: SelfSignedTokenOptionsInfered;
+	private #clientOptions: ClientOptionsInfered;
 
 	/**
 	 * Creates an instance that issuing, verify and refresh the JWT used to `ILoveApi` server.
 	 * @param publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param secretKey Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
-	 * @param params Additional parameters.
+	 * @param params Additional parameters, such as self-signed token options and retry policy.
 	 * @throws `Error` If publicKey is not provided or invalid.
 	 * @example
 	 * ```js
@@ -51,7 +53,7 @@ declare class Auth {
 	constructor(
 		publicKey: string,
 		secretKey?: string,
-		params?: Partial<SelfSignedTokenOptionsInfered>
+		params?: Partial<SelfSignedTokenOptionsInfered> & ClientOptionsInfered
 	);
 
 	/**
@@ -1,11 +1,15 @@
-import axios from 'axios';
 import jsonwebtoken from 'jsonwebtoken';
-import config from './config/global.js';
 import { classifyError } from './Error.js';
 import * as Schema from './schema/Auth.js';
+import * as ClientSchema from './schema/Client.js';
+import * as _RetryUtils from './util/retry.util.js';
+import * as _RequestUtils from './util/request.util.js';
+import * as _TraceUtils from './util/trace.util.js';
 
-const { ILOVEIMG_API_URL, ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } =
-	config;
+// We need to import with this behaviour to make sinon working in testing environment
+const RetryUtils = _RetryUtils.default;
+const RequestUtils = _RequestUtils.default;
+const TraceUtils = _TraceUtils.default;
 
 /**
  * The `Auth` class manages authentication with the `ILoveApi` server, providing methods
@@ -56,6 +60,11 @@ class Auth {
 	 * @private Internal usage only.
 	 */
 	#tokenOptions;
+	/**
+	 * Client options, such as retry policy.
+	 * @private Internal usage only.
+	 */
+	#clientOptions;
 
 	/**
 	 * Creates an instance that issuing, verify and refresh the JWT used to `ILoveApi` server.
@@ -63,7 +72,7 @@ class Auth {
 	 * @constructor
 	 * @param {string} publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param {string} [secretKey=''] Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
-	 * @param {Schema.SelfSignedTokenOptionsInfered} [params={}] Additional parameters.
+	 * @param {Schema.SelfSignedTokenOptionsInfered & ClientSchema.ClientOptionsInfered} [params={}] Additional parameters, such as self-signed token options and retry policy.
 	 * @example
 	 * ```js
 	 * import { Auth } from '@rheyhannh/iloveimg-nodejs';
@@ -85,13 +94,27 @@ class Auth {
 		if (secretKey && typeof secretKey !== 'string') {
 			throw new Error('secretKey must be a string.');
 		}
-		this.#axiosInstance = axios.create({
-			baseURL: `${ILOVEIMG_API_URL_PROTOCOL}://${ILOVEIMG_API_URL}/${ILOVEIMG_API_VERSION}`,
-			headers: { 'Content-Type': 'application/json;charset=UTF-8' }
-		});
+		this.#clientOptions = ClientSchema.ClientOptions.parse(params);
+		this.#axiosInstance = RequestUtils.createHttpClient(
+			{
+				baseURL: RequestUtils.createBaseURL(
+					this.#clientOptions.base_url,
+					this.#clientOptions
+				),
+				timeout: this.#clientOptions.timeout,
+				headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+			},
+			this.#clientOptions
+		);
 		this.#publicKey = publicKey;
 		this.#secretKey = secretKey;
-		this.#tokenOptions = Schema.SelfSignedTokenOptions.parse(params);
+		// Keep self-signed token issuer consistent with overridden fixed server host when not provided.
+		this.#tokenOptions = Schema.SelfSignedTokenOptions.parse({
+			...params,
+			iss:
+				params.iss ??
+				RequestUtils.parseServer(this.#clientOptions.base_url).hostname
+		});
 	}
 
 	/**
@@ -102,20 +125,31 @@ class Auth {
 	 * @see {@link https://www.iloveapi.com/docs/api-reference#authentication ILoveApi Authentication Docs}
 	 */
 	async getToken() {
-		this.verifyToken();
-		// Use cached token if there is a valid token.
-		if (this.token) {
-			return this.token;
-		}
+		return TraceUtils.withSpan(
+			this.#clientOptions.tracer,
+			'iloveimg.auth.getToken',
+			{},
+			async (setAttributes) => {
+				this.verifyToken();
+				// Use cached token if there is a valid token.
+				if (this.token) {
+					setAttributes({ token_source: 'cache' });
+					return this.token;
+				}
 
-		// If there are secret key, token can be generated locally
-		let tokenPromise = this.#secretKey
-			? this.#getTokenLocally()
-			: this.#getTokenFromServer();
+				// If there are secret key, token can be generated locally
+				setAttributes({
+					token_source: this.#secretKey ? 'self_signed' : 'server'
+				});
+				let tokenPromise = this.#secretKey
+					? this.#getTokenLocally()
+					: this.#getTokenFromServer();
 
-		// Cache token.
-		this.token = await tokenPromise;
-		return this.token;
+				// Cache token.
+				this.token = await tokenPromise;
+				return this.token;
+			}
+		);
 	}
 
 	/**
@@ -160,9 +194,21 @@ class Auth {
 	 */
 	async #getTokenFromServer() {
 		try {
-			const response = await this.#axiosInstance.post('/auth', {
-				public_key: this.#publicKey
-			});
+			const response = await RetryUtils.withRetry(
+				'auth',
+				() =>
+					this.#axiosInstance.post('/auth', {
+						public_key: this.#publicKey
+					}),
+				this.#clientOptions.retry,
+				undefined,
+				{
+					hooks: this.#clientOptions.hooks,
+					http_method: 'POST',
+					endpoint: '/auth',
+					data: { public_key: this.#publicKey }
+				}
+			);
 			if (!response.data.token) {
 				throw new Error('Auth token cannot be retrieved');
 			}
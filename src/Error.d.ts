@@ -1,12 +1,23 @@
 import { AxiosError } from 'axios';
+import { ZodError, ZodIssue } from 'zod';
+import {
+	TaskStateTypesInfered,
+	TaskFileReportFileInfered,
+	TaskFileReportReturnTypeInfered
+} from './schema/Task';
 
 /**
  * Represents an error caused by an `ILoveApi` response with a status code `>= 400`.
+ * Specific status codes are represented by its subclasses, such as `AuthenticationError` or `RateLimitError`.
  * @class ILoveApiError
  * @extends AxiosError
  */
 export class ILoveApiError extends AxiosError {
 	status: number;
+	/** Raw response body. */
+	body: unknown;
+	/** Raw error code sent by `ILoveApi`, `undefined` when not exist. */
+	api_code?: string | number;
 
 	/**
 	 * Creates an instance of `ILoveApiError`.
@@ -17,6 +28,102 @@ export class ILoveApiError extends AxiosError {
 	constructor(message: string, status: number, error: AxiosError);
 }
 
+/**
+ * Represents an `ILoveApi` response with status code `401`, such as invalid or expired authentication token.
+ * @class AuthenticationError
+ * @extends ILoveApiError
+ */
+export class AuthenticationError extends ILoveApiError {
+	/**
+	 * Creates an instance of `AuthenticationError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `402`, when your project does not have enough remaining files to process.
+ * @class InsufficientCreditsError
+ * @extends ILoveApiError
+ */
+export class InsufficientCreditsError extends ILoveApiError {
+	/**
+	 * Creates an instance of `InsufficientCreditsError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `429`, when too many requests are sent.
+ * @class RateLimitError
+ * @extends ILoveApiError
+ */
+export class RateLimitError extends ILoveApiError {
+	/** Delay in `milliseconds` resolved from `Retry-After` response header, `undefined` when not exist. */
+	retry_after?: number;
+
+	/**
+	 * Creates an instance of `RateLimitError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `404`, such as task that already deleted or never exist.
+ * @class TaskNotFoundError
+ * @extends ILoveApiError
+ */
+export class TaskNotFoundError extends ILoveApiError {
+	/**
+	 * Creates an instance of `TaskNotFoundError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `400`, when request parameters are rejected.
+ * @class ValidationError
+ * @extends ILoveApiError
+ */
+export class ValidationError extends ILoveApiError {
+	/** Field-level details of rejected parameters, keyed by parameter name. */
+	param?: any;
+
+	/**
+	 * Creates an instance of `ValidationError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `>= 500`.
+ * @class ServerError
+ * @extends ILoveApiError
+ */
+export class ServerError extends ILoveApiError {
+	/**
+	 * Creates an instance of `ServerError`.
+	 * @param message - Error message.
+	 * @param status - HTTP status code of the response.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, status: number, error: AxiosError);
+}
+
 /**
  * Represents a network-related error, such as timeouts or DNS failures.
  * @class NetworkError
@@ -32,13 +139,140 @@ export class NetworkError extends AxiosError {
 }
 
 /**
- * Classifies an error into either `ILoveApiError`, `NetworkError`, or a generic `Error`.
+ * Represents a request that cancelled using `AbortSignal`.
+ * @class AbortError
+ * @extends AxiosError
+ */
+export class AbortError extends AxiosError {
+	/**
+	 * Creates an instance of `AbortError`.
+	 * @param message - Error message.
+	 * @param error - Error thrown by Axios.
+	 */
+	constructor(message: string, error: AxiosError);
+}
+
+/**
+ * Represents an `ILoveApi` response that does not match its expected schema, only thrown when client `strict` mode are enabled.
+ * @class ResponseValidationError
+ * @extends Error
+ */
+export class ResponseValidationError extends Error {
+	/** Raw response body. */
+	body: unknown;
+	/** Issues found by zod while parsing response body. */
+	issues: Array<ZodIssue>;
+	cause: ZodError;
+
+	/**
+	 * Creates an instance of `ResponseValidationError`.
+	 * @param message - Error message.
+	 * @param body - Raw response body.
+	 * @param error - Error thrown by zod while parsing response body.
+	 */
+	constructor(message: string, body: unknown, error: ZodError);
+}
+
+/**
+ * Represents a `TaskI` method that called on lifecycle state that does not allow it,
+ * such as calling `addFile()` after `process()` or `process()` after `delete()`.
+ * @class TaskStateError
+ * @extends Error
+ */
+export class TaskStateError extends Error {
+	/** Task state when the method called. */
+	state: TaskStateTypesInfered;
+	/** Called method name. */
+	action: string;
+
+	/**
+	 * Creates an instance of `TaskStateError`.
+	 * @param message - Error message.
+	 * @param state - Task state when the method called.
+	 * @param action - Called method name.
+	 */
+	constructor(message: string, state: TaskStateTypesInfered, action: string);
+}
+
+/**
+ * Represents a processed task where some files failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+ * Only thrown by `fileReport()` when `throw_on_failure` option are enabled.
+ * @class PartialFailureError
+ * @extends Error
+ */
+export class PartialFailureError extends Error {
+	/** Files that failed to process. */
+	files: Array<TaskFileReportFileInfered>;
+	/** Task file report. */
+	report: TaskFileReportReturnTypeInfered;
+
+	/**
+	 * Creates an instance of `PartialFailureError`.
+	 * @param message - Error message.
+	 * @param report - Task file report.
+	 */
+	constructor(message: string, report: TaskFileReportReturnTypeInfered);
+}
+
+/**
+ * Represents a task operation rejected by client `budget` before spending remaining files,
+ * such as adding more files than `max_files` or processing files that would leave fewer remaining files than `reserve`.
+ * @class BudgetExceededError
+ * @extends Error
+ */
+export class BudgetExceededError extends Error {
+	/** Exceeded budget option. */
+	reason: 'max_files' | 'reserve';
+	/** Configured value of exceeded budget option. */
+	limit: number;
+	/** Task files that would be processed. */
+	file_count: number;
+	/** Remaining files reported by `start()`, `undefined` when not resolved. */
+	remaining_files?: number;
+
+	/**
+	 * Creates an instance of `BudgetExceededError`.
+	 * @param message - Error message.
+	 * @param details - Exceeded budget details.
+	 */
+	constructor(
+		message: string,
+		details: {
+			reason: 'max_files' | 'reserve';
+			limit: number;
+			file_count: number;
+			remaining_files?: number;
+		}
+	);
+}
+
+/**
+ * Represents a webhook event that cannot be trusted, such as event with task server outside `ILoveApi` servers
+ * or task that cannot be confirmed through configured `base_url`.
+ * @class WebhookVerificationError
+ * @extends Error
+ */
+export class WebhookVerificationError extends Error {
+	/**
+	 * Creates an instance of `WebhookVerificationError`.
+	 * @param message - Error message.
+	 * @param error - Error thrown while confirming the task, when exist.
+	 */
+	constructor(message: string, error?: Error);
+}
+
+/**
+ * Classifies an error into either `ILoveApiError`, `NetworkError`, `AbortError`, or a generic `Error`.
  *
- * - If the error originates from an API response (status `>= 400`), it is classified as `ILoveApiError`.
+ * - If the error originates from an API response (status `>= 400`), it is classified as `ILoveApiError` subclass that represents its status code:
+ *   `ValidationError` (`400`), `AuthenticationError` (`401`), `InsufficientCreditsError` (`402`), `TaskNotFoundError` (`404`),
+ *   `RateLimitError` (`429`), `ServerError` (`>= 500`), otherwise `ILoveApiError` itself.
+ * - If the request cancelled using `AbortSignal`, it is classified as `AbortError`.
  * - If the error occurs due to network-related issues (e.g., timeout, no response), it is classified as `NetworkError`.
+ * - If the error already classified, it is rethrown as is.
  * - Otherwise, the original error is rethrown.
  *
  * @param error - The error object to classify.
- * @throws `ILoveApiError` | `NetworkError` | `Error` - The classified error.
+ * @throws `ILoveApiError` | `NetworkError` | `AbortError` | `Error` - The classified error.
  */
 export function classifyError(error: AxiosError | Error): void;
@@ -1,7 +1,12 @@
 import axios, { AxiosError } from 'axios';
+import * as _HeaderUtils from './util/header.util.js';
+
+// We need to import with this behaviour to make sinon working in testing environment
+const HeaderUtils = _HeaderUtils.default;
 
 /**
  * Represents an error caused by an `ILoveApi` response with a status code `>= 400`.
+ * Specific status codes are represented by its subclasses, such as `AuthenticationError` or `RateLimitError`.
  * @class ILoveApiError
  * @extends {AxiosError}
  */
@@ -16,6 +21,120 @@ export class ILoveApiError extends AxiosError {
 		super(message, error.code, error.config, error.request, error.response);
 		this.name = 'ILoveApiError';
 		this.status = status;
+		this.body = error.response?.data;
+		this.api_code = readErrorBody(this.body).code;
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `401`, such as invalid or expired authentication token.
+ * @class AuthenticationError
+ * @extends {ILoveApiError}
+ */
+export class AuthenticationError extends ILoveApiError {
+	/**
+	 * Creates an instance of `AuthenticationError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'AuthenticationError';
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `402`, when your project does not have enough remaining files to process.
+ * @class InsufficientCreditsError
+ * @extends {ILoveApiError}
+ */
+export class InsufficientCreditsError extends ILoveApiError {
+	/**
+	 * Creates an instance of `InsufficientCreditsError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'InsufficientCreditsError';
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `429`, when too many requests are sent.
+ * @class RateLimitError
+ * @extends {ILoveApiError}
+ */
+export class RateLimitError extends ILoveApiError {
+	/**
+	 * Creates an instance of `RateLimitError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'RateLimitError';
+		this.retry_after = HeaderUtils.parseRetryAfter(
+			error.response?.headers?.['retry-after']
+		);
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `404`, such as task that already deleted or never exist.
+ * @class TaskNotFoundError
+ * @extends {ILoveApiError}
+ */
+export class TaskNotFoundError extends ILoveApiError {
+	/**
+	 * Creates an instance of `TaskNotFoundError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'TaskNotFoundError';
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `400`, when request parameters are rejected.
+ * @class ValidationError
+ * @extends {ILoveApiError}
+ */
+export class ValidationError extends ILoveApiError {
+	/**
+	 * Creates an instance of `ValidationError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'ValidationError';
+		this.param = readErrorBody(this.body).param;
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response with status code `>= 500`.
+ * @class ServerError
+ * @extends {ILoveApiError}
+ */
+export class ServerError extends ILoveApiError {
+	/**
+	 * Creates an instance of `ServerError`.
+	 * @param {string} message - Error message.
+	 * @param {number} status - HTTP status code of the response.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, status, error) {
+		super(message, status, error);
+		this.name = 'ServerError';
 	}
 }
 
@@ -37,44 +156,207 @@ export class NetworkError extends AxiosError {
 }
 
 /**
- * Classifies an error into either `ILoveApiError`, `NetworkError`, or a generic `Error`.
+ * Represents a request that cancelled using `AbortSignal`.
+ * @class AbortError
+ * @extends {AxiosError}
+ */
+export class AbortError extends AxiosError {
+	/**
+	 * Creates an instance of `AbortError`.
+	 * @param {string} message - Error message.
+	 * @param {AxiosError} error - Error thrown by Axios.
+	 */
+	constructor(message, error) {
+		super(message, error.code, error.config, error.request, error.response);
+		this.name = 'AbortError';
+	}
+}
+
+/**
+ * Represents an `ILoveApi` response that does not match its expected schema, only thrown when client `strict` mode are enabled.
+ * @class ResponseValidationError
+ * @extends {Error}
+ */
+export class ResponseValidationError extends Error {
+	/**
+	 * Creates an instance of `ResponseValidationError`.
+	 * @param {string} message - Error message.
+	 * @param {unknown} body - Raw response body.
+	 * @param {import('zod').ZodError} error - Error thrown by zod while parsing response body.
+	 */
+	constructor(message, body, error) {
+		super(message, { cause: error });
+		this.name = 'ResponseValidationError';
+		this.body = body;
+		this.issues = error.issues;
+	}
+}
+
+/**
+ * Represents a `TaskI` method that called on lifecycle state that does not allow it,
+ * such as calling `addFile()` after `process()` or `process()` after `delete()`.
+ * @class TaskStateError
+ * @extends {Error}
+ */
+export class TaskStateError extends Error {
+	/**
+	 * Creates an instance of `TaskStateError`.
+	 * @param {string} message - Error message.
+	 * @param {import('./schema/Task.js').TaskStateTypesInfered} state - Task state when the method called.
+	 * @param {string} action - Called method name.
+	 */
+	constructor(message, state, action) {
+		super(message);
+		this.name = 'TaskStateError';
+		this.state = state;
+		this.action = action;
+	}
+}
+
+/**
+ * Represents a processed task where some files failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+ * Only thrown by `fileReport()` when `throw_on_failure` option are enabled.
+ * @class PartialFailureError
+ * @extends {Error}
+ */
+export class PartialFailureError extends Error {
+	/**
+	 * Creates an instance of `PartialFailureError`.
+	 * @param {string} message - Error message.
+	 * @param {import('./schema/Task.js').TaskFileReportReturnTypeInfered} report - Task file report.
+	 */
+	constructor(message, report) {
+		super(message);
+		this.name = 'PartialFailureError';
+		this.files = report.failed_files;
+		this.report = report;
+	}
+}
+
+/**
+ * Represents a task operation rejected by client `budget` before spending remaining files,
+ * such as adding more files than `max_files` or processing files that would leave fewer remaining files than `reserve`.
+ * @class BudgetExceededError
+ * @extends {Error}
+ */
+export class BudgetExceededError extends Error {
+	/**
+	 * Creates an instance of `BudgetExceededError`.
+	 * @param {string} message - Error message.
+	 * @param {{ reason: 'max_files' | 'reserve', limit: number, file_count: number, remaining_files?: number }} details - Exceeded budget details.
+	 */
+	constructor(message, { reason, limit, file_count, remaining_files }) {
+		super(message);
+		this.name = 'BudgetExceededError';
+		this.reason = reason;
+		this.limit = limit;
+		this.file_count = file_count;
+		this.remaining_files = remaining_files;
+	}
+}
+
+/**
+ * Represents a webhook event that cannot be trusted, such as event with task server outside `ILoveApi` servers
+ * or task that cannot be confirmed through configured `base_url`.
+ * @class WebhookVerificationError
+ * @extends {Error}
+ */
+export class WebhookVerificationError extends Error {
+	/**
+	 * Creates an instance of `WebhookVerificationError`.
+	 * @param {string} message - Error message.
+	 * @param {Error} [error] - Error thrown while confirming the task, when exist.
+	 */
+	constructor(message, error) {
+		super(message, { cause: error });
+		this.name = 'WebhookVerificationError';
+	}
+}
+
+/**
+ * Reads message, code and field-level parameter details from `ILoveApi` error response body,
+ * which are sent either as root attributes or inside `error` attribute.
+ * @param {any} body - Response body.
+ * @returns {{ message?: string, code?: string | number, param?: any }} Error details.
+ * @private Internal usage only.
+ */
+function readErrorBody(body) {
+	if (typeof body?.message === 'string' && body.message.trim()) {
+		return { message: body.message, code: body.code, param: body.param };
+	}
+	if (typeof body?.error?.message === 'string' && body.error.message.trim()) {
+		return {
+			message: body.error.message,
+			code: body.error.code,
+			param: body.error.param
+		};
+	}
+
+	return {};
+}
+
+/**
+ * Resolves `ILoveApiError` subclass that represents given response status code.
+ * @param {number} status - HTTP status code of the response.
+ * @returns {typeof ILoveApiError} Error class.
+ * @private Internal usage only.
+ */
+function getApiErrorClass(status) {
+	if (status === 400) return ValidationError;
+	if (status === 401) return AuthenticationError;
+	if (status === 402) return InsufficientCreditsError;
+	if (status === 404) return TaskNotFoundError;
+	if (status === 429) return RateLimitError;
+	if (status >= 500) return ServerError;
+
+	return ILoveApiError;
+}
+
+/**
+ * Classifies an error into either `ILoveApiError`, `NetworkError`, `AbortError`, or a generic `Error`.
  *
- * - If the error originates from an API response (status `>= 400`), it is classified as `ILoveApiError`.
+ * - If the error originates from an API response (status `>= 400`), it is classified as `ILoveApiError` subclass that represents its status code:
+ *   `ValidationError` (`400`), `AuthenticationError` (`401`), `InsufficientCreditsError` (`402`), `TaskNotFoundError` (`404`),
+ *   `RateLimitError` (`429`), `ServerError` (`>= 500`), otherwise `ILoveApiError` itself.
+ * - If the request cancelled using `AbortSignal`, it is classified as `AbortError`.
  * - If the error occurs due to network-related issues (e.g., timeout, no response), it is classified as `NetworkError`.
+ * - If the error already classified, it is rethrown as is.
  * - Otherwise, the original error is rethrown.
  *
  * @param {AxiosError | Error} error - The error object to classify.
- * @throws {ILoveApiError | NetworkError | Error} - The classified error.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} - The classified error.
  */
 export function classifyError(error) {
+	if (
+		error instanceof ILoveApiError ||
+		error instanceof NetworkError ||
+		error instanceof AbortError ||
+		error instanceof ResponseValidationError ||
+		error instanceof TaskStateError ||
+		error instanceof PartialFailureError ||
+		error instanceof BudgetExceededError
+	) {
+		throw error;
+	}
+
+	if (axios.isCancel(error)) {
+		throw new AbortError('Request aborted.', error);
+	}
+
 	if (axios.isAxiosError(error)) {
 		if (error.response) {
 			// The request was made, and the server responded with a status code outside 2xx.
 			const { status } = error.response;
-			const responseData = error.response.data || {};
+			const details = readErrorBody(error.response.data);
 
 			// Extract relevant message, defaulting to a fallback if undefined.
-			let message = 'Unknown API error occurred.';
-			let code = -1;
-
-			if (
-				typeof responseData.message === 'string' &&
-				responseData.message.trim()
-			) {
-				message = responseData.message;
-				code = responseData.code || -1;
-			} else if (
-				responseData.error &&
-				typeof responseData.error.message === 'string' &&
-				responseData.error.message.trim()
-			) {
-				message = responseData.error.message;
-				code = responseData.error.code || -1;
-			}
+			const message = details.message ?? 'Unknown API error occurred.';
+			const code = details.code || -1;
 
 			const formattedMessage = `${message} (Status: ${status}, Code: ${code})`;
+			const ApiError = getApiErrorClass(status);
 
-			throw new ILoveApiError(formattedMessage, status, error);
+			throw new ApiError(formattedMessage, status, error);
 		}
 
 		if (error.request) {
@@ -4,6 +4,8 @@ import TaskI from './TaskI';
 import * as Schema from './schema/ILoveIMGApi';
 import * as ToolSchema from './schema/Tool';
 import * as AuthSchema from './schema/Auth';
+import * as ClientSchema from './schema/Client';
+import * as TaskSchema from './schema/Task';
 
 type RequestBodyLike = Record<any, string>;
 type RequestHeadersLike = Record<any, Array<string>>;
@@ -54,18 +56,20 @@ declare class ILoveIMGApi {
 	private readonly #secretKey?: string;
 	private #auth: Auth;
 	private #fixedServer: AxiosInstance;
+	private #clientOptions: ClientSchema.ClientOptionsInfered;
 
 	/**
 	 * Create an instance of `ILoveIMGApi` using your project public and secret key (optional).
 	 * With this instance, you can add task for specific image tool using `newTask` or list your tasks using `listTasks` (secret key required).
 	 * @param publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param secretKey Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
-	 * @param params Additional parameters.
+	 * @param params Additional parameters, such as self-signed token options and retry policy.
 	 */
 	constructor(
 		publicKey: string,
 		secretKey?: string,
-		params?: Partial<AuthSchema.SelfSignedTokenOptionsInfered>
+		params?: Partial<AuthSchema.SelfSignedTokenOptionsInfered> &
+			ClientSchema.ClientOptionsInfered
 	);
 
 	/**
@@ -76,6 +80,56 @@ declare class ILoveIMGApi {
 	 */
 	newTask<T extends ToolSchema.ToolTypesInfered>(type: T): TaskI<T>;
 
+	/**
+	 * Resumes task that started on another process using snapshot from `TaskI.snapshot()` or `TaskI.toJSON()`,
+	 * so the task can be continued using `addFile()`, `process()`, `download()`, etc.
+	 * @param snapshot Task snapshot from `TaskI.snapshot()` or `TaskI.toJSON()`.
+	 * @returns Resumed task instance.
+	 * @throws `Error` If snapshot server are not trusted or authentication token cannot be retrieved.
+	 * @throws `ZodError` If `snapshot` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = await iloveimg.resumeTask(JSON.parse(snapshot));
+	 * await task.process();
+	 * ```
+	 */
+	resumeTask<T extends ToolSchema.ToolTypesInfered>(
+		snapshot: TaskSchema.TaskSnapshotInfered & { tool: T }
+	): Promise<TaskI<T>>;
+
+	/**
+	 * Runs the full task lifecycle for a specific `ILoveIMG` tool in one call, which are
+	 * `start()`, `addFile()` for each input, `process()`, `downloadBuffer()` and `delete()`.
+	 * When any step fails, the task are deleted before the error is rethrown.
+	 * The task are deleted only once and errors while deleting are ignored, so it never mask the output or original error.
+	 * @param tool Tool type to run.
+	 * @param inputs Images to process, each can be a public image URL, local image file path or `addFile()` options.
+	 * @param toolOptions Options for specific tool, see `process()` method.
+	 * @param options Generic options for processing task, see `process()` method. `webhook` are not supported since the output are downloaded right after processing.
+	 * @returns Promise resolving processed file content and its meta information. When processing more than one file, output are a ZIP archive.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If any step of task lifecycle failed.
+	 * @throws `ZodError` If the tool type, `inputs`, `toolOptions` or `options` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const { output, metadata } = await iloveimg.run(
+	 * 	'compressimage',
+	 * 	['https://i.imgur.com/awesome.jpeg', './images/local.png'],
+	 * 	{ compression_level: 'extreme' }
+	 * );
+	 * ```
+	 */
+	run<T extends ToolSchema.ToolTypesInfered>(
+		tool: T,
+		inputs: Schema.RunInputsInfered,
+		toolOptions?: TaskSchema.TaskProcessToolOptionsInfered[T],
+		options?: Schema.RunOptionsInfered
+	): Promise<{
+		output: Buffer;
+		metadata: TaskSchema.TaskProcessReturnTypeInfered;
+	}>;
+
 	/**
 	 * Returns a task lists from `ILoveApi` servers ordered from newest to older.
 	 * You need to provide secret key to get the task lists, otherwise this method will throw an error.
@@ -83,6 +137,7 @@ declare class ILoveIMGApi {
 	 * @returns List of tasks.
 	 * @throws `Error` If the secret key is not provided or requests fail.
 	 * @throws `ZodError` If any incorrect or invalid `options` type.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
 	 */
 	listTasks(
 		options: Omit<Schema.ListTasksOptionsInfered, 'debug'> & {
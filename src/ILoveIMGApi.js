@@ -1,13 +1,18 @@
-import axios from 'axios';
-import config from './config/global.js';
 import Auth from './Auth.js';
 import TaskI from './TaskI.js';
 import * as Schema from './schema/ILoveIMGApi.js';
 import * as ToolSchema from './schema/Tool.js';
+import * as TaskSchema from './schema/Task.js';
+import * as ClientSchema from './schema/Client.js';
+import * as _TaskUtils from './util/task.util.js';
+import * as _RetryUtils from './util/retry.util.js';
+import * as _RequestUtils from './util/request.util.js';
 import { classifyError } from './Error.js';
 
-const { ILOVEIMG_API_URL, ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } =
-	config;
+// We need to import with this behaviour to make sinon working in testing environment
+const TaskUtils = _TaskUtils.default;
+const RetryUtils = _RetryUtils.default;
+const RequestUtils = _RequestUtils.default;
 
 /**
  * The `ILoveIMGApi` class provides an interface to interact with the `ILoveApi` server,
@@ -53,6 +58,11 @@ class ILoveIMGApi {
 	 * @private Internal usage only.
 	 */
 	#fixedServer;
+	/**
+	 * Client options that already validated by zod, such as retry policy. This options are shared to each created task.
+	 * @private Internal usage only.
+	 */
+	#clientOptions;
 
 	/**
 	 * Create an instance of `ILoveIMGApi` using your project public and secret key (optional).
@@ -61,16 +71,24 @@ class ILoveIMGApi {
 	 * @constructor
 	 * @param {string} publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param {string} [secretKey=''] Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
-	 * @param {import('./schema/Auth.js').SelfSignedTokenOptionsInfered} [params={}] Additional parameters.
+	 * @param {import('./schema/Auth.js').SelfSignedTokenOptionsInfered & ClientSchema.ClientOptionsInfered} [params={}] Additional parameters, such as self-signed token options and retry policy.
 	 */
 	constructor(publicKey, secretKey = '', params = {}) {
 		this.#publicKey = publicKey;
 		this.#secretKey = secretKey;
+		this.#clientOptions = ClientSchema.ClientOptions.parse(params);
 		this.#auth = new Auth(this.#publicKey, this.#secretKey, params);
-		this.#fixedServer = axios.create({
-			baseURL: `${ILOVEIMG_API_URL_PROTOCOL}://${ILOVEIMG_API_URL}/${ILOVEIMG_API_VERSION}`,
-			headers: { 'Content-Type': 'application/json;charset=UTF-8' }
-		});
+		this.#fixedServer = RequestUtils.createHttpClient(
+			{
+				baseURL: RequestUtils.createBaseURL(
+					this.#clientOptions.base_url,
+					this.#clientOptions
+				),
+				timeout: this.#clientOptions.timeout,
+				headers: { 'Content-Type': 'application/json;charset=UTF-8' }
+			},
+			this.#clientOptions
+		);
 	}
 
 	/**
@@ -82,7 +100,89 @@ class ILoveIMGApi {
 	newTask(type) {
 		ToolSchema.ToolTypes.parse(type);
 
-		return new TaskI(this.#auth, this.#fixedServer, type);
+		return new TaskI(this.#auth, this.#fixedServer, type, this.#clientOptions);
+	}
+
+	/**
+	 * Resumes task that started on another process using snapshot from `TaskI.snapshot()` or `TaskI.toJSON()`,
+	 * so the task can be continued using `addFile()`, `process()`, `download()`, etc.
+	 * @param {TaskSchema.TaskSnapshotInfered} snapshot Task snapshot from `TaskI.snapshot()` or `TaskI.toJSON()`.
+	 * @returns {Promise<TaskI>} Resumed task instance.
+	 * @throws {Error} If snapshot server are not trusted or authentication token cannot be retrieved.
+	 * @throws {import('zod').ZodError} If `snapshot` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = await iloveimg.resumeTask(JSON.parse(snapshot));
+	 * await task.process();
+	 * ```
+	 */
+	async resumeTask(snapshot) {
+		/**
+		 * Snapshot that already validated by zod.
+		 */
+		const _vSnapshot = TaskSchema.TaskSnapshot.parse(snapshot);
+		const task = this.newTask(_vSnapshot.tool);
+		await task.resume(_vSnapshot);
+
+		return task;
+	}
+
+	/**
+	 * Runs the full task lifecycle for a specific `ILoveIMG` tool in one call, which are
+	 * `start()`, `addFile()` for each input, `process()`, `downloadBuffer()` and `delete()`.
+	 * When any step fails, the task are deleted before the error is rethrown.
+	 * The task are deleted only once and errors while deleting are ignored, so it never mask the output or original error.
+	 * @param {ToolSchema.ToolTypesInfered} tool Tool type to run.
+	 * @param {Schema.RunInputsInfered} inputs Images to process, each can be a public image URL, local image file path or `addFile()` options.
+	 * @param {import('./schema/Task.js').TaskProcessToolOptionsInfered[ToolSchema.ToolTypesInfered]} [toolOptions] Options for specific tool, see `process()` method.
+	 * @param {Schema.RunOptionsInfered} [options] Generic options for processing task, see `process()` method. Its `timeout` and `signal` are also used on `start()`, `addFile()` and `downloadBuffer()`, `webhook` are not supported since the output are downloaded right after processing.
+	 * @returns {Promise<{ output: Buffer, metadata: import('./schema/Task.js').TaskProcessReturnTypeInfered }>} Promise resolving processed file content and its meta information. When processing more than one file, output are a ZIP archive.
+	 * @throws {ILoveApiError | NetworkError | Error} If any step of task lifecycle failed.
+	 * @throws {import('zod').ZodError} If the tool type, `inputs`, `toolOptions` or `options` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const { output, metadata } = await iloveimg.run(
+	 * 	'compressimage',
+	 * 	['https://i.imgur.com/awesome.jpeg', './images/local.png'],
+	 * 	{ compression_level: 'extreme' }
+	 * );
+	 * ```
+	 */
+	async run(tool, inputs, toolOptions = {}, options = {}) {
+		const task = this.newTask(tool);
+		const _vInputs = await Schema.RunInputs.parseAsync(inputs);
+		const _vOptions = await Schema.RunOptions.parseAsync(options);
+		// Validate tool options early so no task started when its invalid.
+		await TaskUtils.validateProcessToolOptions(tool, toolOptions);
+
+		// Only defined `timeout` and `signal` are picked, so each step keeps its own defaults.
+		const requestOptions = RequestUtils.createRequestConfig(_vOptions);
+
+		await task.start(requestOptions);
+
+		let output, metadata;
+		try {
+			for (const input of _vInputs) {
+				await task.addFile({
+					...requestOptions,
+					...TaskUtils.resolveAddFileOptions(input)
+				});
+			}
+
+			metadata = await task.process(_vOptions, toolOptions);
+			output = await task.downloadBuffer(requestOptions);
+		} catch (error) {
+			// Cleanup task, any error while deleting are ignored so the original error are rethrown.
+			await task.delete().catch(() => {});
+			throw error;
+		}
+
+		// Cleanup task once, any error while deleting are ignored so the processed output are still resolved.
+		await task.delete().catch(() => {});
+
+		return { output, metadata };
 	}
 
 	/**
@@ -92,6 +192,7 @@ class ILoveIMGApi {
 	 * @returns {Promise<Array<Schema.ListTasksReturnTypeInfered>>} List of tasks.
 	 * @throws {Error} If the secret key is not provided or requests fail.
 	 * @throws {import('zod').ZodError} If any incorrect or invalid `options` type.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
 	 */
 	async listTasks(options = {}) {
 		if (!this.#secretKey || typeof this.#secretKey !== 'string')
@@ -101,16 +202,41 @@ class ILoveIMGApi {
 		 * Generic options that already validated by zod.
 		 */
 		const _vOptions = await Schema.ListTasksOptions.parseAsync(options);
+		// Request options only used by client, so its not sent on request body.
+		const { timeout, signal, ...listOptions } = _vOptions;
 
 		try {
 			const token = await this.#auth.getToken();
 			this.#fixedServer.defaults.headers['Authorization'] = `Bearer ${token}`;
-			const response = await this.#fixedServer.post('/task', {
-				secret_key: this.#secretKey,
-				..._vOptions
-			});
+			const response = await RetryUtils.withRetry(
+				'listTasks',
+				() =>
+					this.#fixedServer.post(
+						'/task',
+						{
+							secret_key: this.#secretKey,
+							...listOptions
+						},
+						RequestUtils.createRequestConfig({ timeout, signal })
+					),
+				this.#clientOptions.retry,
+				signal,
+				{
+					hooks: this.#clientOptions.hooks,
+					http_method: 'POST',
+					endpoint: '/task',
+					data: { secret_key: this.#secretKey, ...listOptions }
+				}
+			);
+
+			if (listOptions.debug) return response.data;
 
-			return response.data;
+			return RequestUtils.validateResponse(
+				Schema.ListTasksReturnType.array(),
+				response.data,
+				'/task',
+				this.#clientOptions
+			);
 		} catch (error) {
 			classifyError(error);
 		}
@@ -2,11 +2,13 @@ import { AxiosInstance, AxiosResponse } from 'axios';
 import Auth from './Auth';
 import * as TaskSchema from './schema/Task';
 import { SelfSignedTokenOptionsInfered } from './schema/Auth';
+import { ClientOptionsInfered } from './schema/Client';
+import { ToolTypesInfered } from './schema/Tool';
 import { DebugReturnTypeInfered } from './ILoveIMGApi';
 
 /**
- * The `Task` class is responsible for handling specific tasks on the `ILoveApi` server,
- * including downloading processed files and retrieving task details.
+ * The `Task` class is responsible for handling specific tasks on the `ILoveApi` server from stored task id and server,
+ * including uploading images, processing, downloading processed files, retrieving task details and deleting task.
  *
  * @class Task
  * @see https://github.com/rheyhannh/iloveimg-nodejs
@@ -21,31 +23,121 @@ import { DebugReturnTypeInfered } from './ILoveIMGApi';
  *
  * // Retrieve Task Details for a Specific Task ID and Server
  * const details = await task.details();
+ *
+ * // Reprocess and Delete Task for a Specific Task ID and Server
+ * await task.process({}, { compression_level: 'extreme' });
+ * await task.delete();
  * ```
  *
  */
 declare class Task {
+	/** Default maximum retry attempts for each failed chunk on chunked upload. */
+	static CHUNK_RETRIES: number;
+	/** Base delay in milliseconds before retrying failed chunk, multiplied by attempt number. */
+	static CHUNK_RETRY_DELAY: number;
 	private readonly #auth: Auth;
 	private readonly #task_id: string;
+	private #tool: ToolTypesInfered | undefined;
+	private #files: TaskSchema.TaskProcessRequiredOptionsInfered['files'];
+	private #download_filename: string | undefined;
+	private #pending_uploads: Map<string, { chunks: number; next: number }>;
 	private #server: AxiosInstance;
+	private #client_options: ClientOptionsInfered;
 
 	/**
-	 * Creates an instance that allows downloading a processed file or retrieving task details for a specific task ID and its assigned server.
+	 * Creates an instance that allows handling a specific task ID and its assigned server, such as uploading images, processing, downloading processed file or retrieving task details.
 	 * @param publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param secretKey Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param taskId The unique task identifier.
 	 * @param taskServer The server assigned to the task.
-	 * @param params Additional parameters.
+	 * @param params Additional parameters, such as self-signed token options, retry policy and task tool type.
 	 * @throws `Error` If taskId or taskServer is missing or invalid.
+	 * @throws `ZodError` If `params` are invalid.
 	 */
 	constructor(
 		publicKey: string,
 		secretKey?: string,
 		taskId: string,
 		taskServer: string,
-		params?: Partial<SelfSignedTokenOptionsInfered>
+		params?: Partial<SelfSignedTokenOptionsInfered> &
+			ClientOptionsInfered & {
+				/** Task tool type, resolved from task details when processing if not provided. */
+				tool?: ToolTypesInfered;
+			}
 	);
 
+	/**
+	 * Upload a image for this task by making request to `ILoveIMG` servers. The image can be a public URL using `cloud_file`,
+	 * or a local source using `file` (file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream) that uploaded as multipart form.
+	 * @param options Generic options for uploading image.
+	 * @returns Promise resolve with object containing server filename.
+	 * @throws `Error` If the request fails.
+	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `BudgetExceededError` If client `budget.max_files` are exceeded, see `budget` params.
+	 */
+	addFile(
+		options: Omit<TaskSchema.TaskAddFileGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: true;
+		}
+	): Promise<DebugReturnTypeInfered>;
+	addFile(
+		options: Omit<TaskSchema.TaskAddFileGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: false;
+		}
+	): Promise<TaskSchema.TaskAddFileReturnTypeInfered>;
+	addFile(
+		options: TaskSchema.TaskAddFileGenericOptionsInfered
+	): Promise<TaskSchema.TaskAddFileReturnTypeInfered>;
+
+	/**
+	 * Delete uploaded image on this task by making request to `ILoveIMG` servers.
+	 * @param options Generic options for delete uploaded image.
+	 * @throws `Error` If the request fails.
+	 * @throws `ZodError` If required `options` are missing or invalid.
+	 */
+	deleteFile(
+		options: Omit<TaskSchema.TaskRemoveFileGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: true;
+		}
+	): Promise<DebugReturnTypeInfered>;
+	deleteFile(
+		options: Omit<TaskSchema.TaskRemoveFileGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: false;
+		}
+	): Promise<void>;
+	deleteFile(
+		options: TaskSchema.TaskRemoveFileGenericOptionsInfered
+	): Promise<void>;
+
+	/**
+	 * Process this task using images uploaded by this instance by making request to `ILoveIMG` servers.
+	 * When tool type or uploaded images are unknown, such as reprocessing task that already processed elsewhere, they are resolved from task details.
+	 * @param options Generic options for processing task.
+	 * @param toolOptions Options for specific tool. Please note that some tool has required options you must fill otherwise it will throw, see tool options from {@link https://www.iloveapi.com/docs/api-reference#resizeimage-extra-parameters here}.
+	 * @returns Promise resolve with processed file meta information.
+	 * @throws `Error` If the request fails, tool type cannot be resolved or no file to process.
+	 * @throws `ZodError` If required `options` or `toolOptions` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `BudgetExceededError` If client `budget.max_files` are exceeded, see `budget` params.
+	 */
+	process(
+		options: Omit<TaskSchema.TaskProcessGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: true;
+		},
+		toolOptions?: TaskSchema.TaskProcessToolOptionsInfered[ToolTypesInfered]
+	): Promise<DebugReturnTypeInfered>;
+	process(
+		options: Omit<TaskSchema.TaskProcessGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: false;
+		},
+		toolOptions?: TaskSchema.TaskProcessToolOptionsInfered[ToolTypesInfered]
+	): Promise<TaskSchema.TaskProcessReturnTypeInfered>;
+	process(
+		options?: TaskSchema.TaskProcessGenericOptionsInfered,
+		toolOptions?: TaskSchema.TaskProcessToolOptionsInfered[ToolTypesInfered]
+	): Promise<TaskSchema.TaskProcessReturnTypeInfered>;
+
 	/**
 	 * Downloads processed files associated with this task by making request to `ILoveIMG` servers.
 	 * @param options Generic options for download.
@@ -67,12 +159,51 @@ declare class Task {
 		options?: TaskSchema.TaskDownloadGenericOptionsInfered
 	): Promise<AxiosResponse<Uint8Array>>;
 
+	/**
+	 * Downloads processed files on this task and resolves its content as `Buffer`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param options Options for download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with processed file content.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails.
+	 * @throws `ZodError` If `options` are invalid.
+	 */
+	downloadBuffer(
+		options?: TaskSchema.TaskDownloadContentOptionsInfered
+	): Promise<Buffer>;
+
+	/**
+	 * Downloads processed files on this task and resolves its content as web `ReadableStream`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param options Options for download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with processed file content stream.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails.
+	 * @throws `ZodError` If `options` are invalid.
+	 */
+	downloadStream(
+		options?: TaskSchema.TaskDownloadContentOptionsInfered
+	): Promise<ReadableStream<Uint8Array>>;
+
+	/**
+	 * Downloads processed files on this task and saves it into given directory, the directory are created when not exist.
+	 * Filename are resolved from `filename` option, `Content-Disposition` response header or `download_filename` from `process()`.
+	 * @param directory Directory to save processed file.
+	 * @param options Options for saving processed file and download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with saved processed file information.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails, filename cannot be resolved or processed file cannot be saved.
+	 * @throws `ZodError` If `directory` or `options` are invalid.
+	 */
+	downloadToDirectory(
+		directory: string,
+		options?: TaskSchema.TaskDownloadToDirectoryOptionsInfered
+	): Promise<TaskSchema.TaskDownloadToDirectoryReturnTypeInfered>;
+
 	/**
 	 * Retrieve task details for this task by making request to `ILoveIMG` servers.
 	 * @param options Generic options for retrieving task details.
 	 * @returns Promise with task details.
 	 * @throws `Error` If the request fails.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
 	 */
 	details(
 		options: Omit<TaskSchema.TaskDetailsGenericOptionsInfered, 'debug'> & {
@@ -87,6 +218,69 @@ declare class Task {
 	details(
 		options?: TaskSchema.TaskDetailsGenericOptionsInfered
 	): Promise<TaskSchema.TaskDetailsReturnTypeInfered>;
+
+	/**
+	 * Creates status report of each file on this task by joining task details files with images uploaded by this instance, useful when processing resolves `TaskSuccessWithWarnings` status.
+	 * Each file are reported with its original filename, status, status message, sizes and whether it failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 * @param options Options for retrieving task details and whether to throw when any file failed.
+	 * @returns Promise with task file report.
+	 * @throws `Error` If request fails.
+	 * @throws `ZodError` If `options` are invalid.
+	 * @throws `PartialFailureError` If `throw_on_failure` enabled and any file failed to process.
+	 * @example
+	 * ```js
+	 * const result = await task.process();
+	 * if (result.status === 'TaskSuccessWithWarnings') {
+	 *   const { failed_files } = await task.fileReport();
+	 *   console.log(failed_files); // [{ filename: 'awesome.jpeg', status: 'DamagedFile', failed: true, ... }]
+	 * }
+	 * ```
+	 */
+	fileReport(
+		options?: TaskSchema.TaskFileReportOptionsInfered
+	): Promise<TaskSchema.TaskFileReportReturnTypeInfered>;
+
+	/**
+	 * Waits until this task completed by polling task details with exponential backoff, useful when processing using `webhook` option.
+	 * Task are completed when its status are `TaskSuccess`, `TaskSuccessWithWarnings`, `TaskError`, `TaskDeleted` or `TaskNotFound`.
+	 * @param options Options for polling task details, such as `interval` and `timeout`.
+	 * @returns Promise with task details that has terminal status.
+	 * @throws `Error` If the request fails, waiting are aborted or task not completed within `timeout`.
+	 * @throws `ZodError` If `options` are invalid.
+	 */
+	waitForCompletion(
+		options?: TaskSchema.TaskWaitForCompletionOptionsInfered
+	): Promise<TaskSchema.TaskDetailsReturnTypeInfered>;
+
+	/**
+	 * Delete this task by making request to `ILoveIMG` servers.
+	 * @param options Generic options for deleting task.
+	 * @throws `Error` If the request fails.
+	 * @throws `ZodError` If required `options` are missing or invalid.
+	 */
+	delete(
+		options: Omit<TaskSchema.TaskDeleteGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: true;
+		}
+	): Promise<DebugReturnTypeInfered>;
+	delete(
+		options: Omit<TaskSchema.TaskDeleteGenericOptionsInfered, 'debug'> & {
+			/** Enables or disables debug mode, default is `false`. */ debug: false;
+		}
+	): Promise<void>;
+	delete(options?: TaskSchema.TaskDeleteGenericOptionsInfered): Promise<void>;
+
+	/**
+	 * Retrieve tool type for this task, resolved from `tool` params or task details when processing.
+	 * @returns Tool type for this task.
+	 */
+	getTool(): ToolTypesInfered | undefined;
+
+	/**
+	 * Retrieve images uploaded by this instance.
+	 * @returns Uploaded images.
+	 */
+	getUploadedFiles(): TaskSchema.TaskProcessRequiredOptionsInfered['files'];
 }
 
 export default Task;
@@ -1,14 +1,19 @@
-import config from './config/global.js';
 import Auth from './Auth.js';
-import axios from 'axios';
+import { z } from 'zod';
 import * as TaskSchema from './schema/Task.js';
+import * as ClientSchema from './schema/Client.js';
+import * as ToolSchema from './schema/Tool.js';
+import * as _TaskUtils from './util/task.util.js';
+import * as _RequestUtils from './util/request.util.js';
 import { classifyError } from './Error.js';
 
-const { ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } = config;
+// We need to import with this behaviour to make sinon working in testing environment
+const TaskUtils = _TaskUtils.default;
+const RequestUtils = _RequestUtils.default;
 
 /**
- * The `Task` class is responsible for handling specific tasks on the `ILoveApi` server,
- * including downloading processed files and retrieving task details.
+ * The `Task` class is responsible for handling specific tasks on the `ILoveApi` server from stored task id and server,
+ * including uploading images, processing, downloading processed files, retrieving task details and deleting task.
  *
  * @class Task
  * @see https://github.com/rheyhannh/iloveimg-nodejs
@@ -23,10 +28,19 @@ const { ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } = config;
  *
  * // Retrieve Task Details for a Specific Task ID and Server
  * const details = await task.details();
+ *
+ * // Reprocess and Delete Task for a Specific Task ID and Server
+ * await task.process({}, { compression_level: 'extreme' });
+ * await task.delete();
  * ```
  *
  */
 class Task {
+	// Default maximum retry attempts for each failed chunk on chunked upload.
+	static CHUNK_RETRIES = 3;
+	// Base delay in milliseconds before retrying failed chunk, multiplied by attempt number.
+	static CHUNK_RETRY_DELAY = 500;
+
 	/**
 	 * An instance of {@link Auth} that issuing, verify and refresh the authentication token used to `ILoveApi` server.
 	 * @private Internal usage only.
@@ -37,6 +51,31 @@ class Task {
 	 * @private Internal usage only.
 	 */
 	#task_id;
+	/**
+	 * Tool type for this task, resolved from `tool` params or task details when processing.
+	 * @private Internal usage only.
+	 */
+	#tool = /** @type {ToolSchema.ToolTypesInfered} */ (undefined);
+	/**
+	 * Uploaded image files using this instance.
+	 * @private Internal usage only.
+	 */
+	#files =
+		/** @type {TaskSchema.TaskProcessRequiredOptionsInfered['files']} */ ([]);
+	/**
+	 * Processed filename resolved from `process()`, used as fallback filename when saving downloaded file.
+	 * @private Internal usage only.
+	 */
+	#download_filename = /** @type {string} */ (undefined);
+	/**
+	 * Progress of chunked uploads that failed due network error, keyed by original filename.
+	 * Used to resume upload from the last acknowledged chunk when the source size match.
+	 * @private Internal usage only.
+	 */
+	#pending_uploads =
+		/** @type {Map<string, { size: number, chunks: number, next: number }>} */ (
+			new Map()
+		);
 	/**
 	 * Axios instance that already configured for specific Task.
 	 * This configuration add authentication token in `Authorization` header,
@@ -44,17 +83,23 @@ class Task {
 	 * @private Internal usage only.
 	 */
 	#server = /** @type {import('axios').AxiosInstance} */ (undefined);
+	/**
+	 * Client options that already validated by zod, such as retry policy.
+	 * @private Internal usage only.
+	 */
+	#client_options;
 
 	/**
-	 * Creates an instance that allows downloading a processed file or retrieving task details for a specific task ID and its assigned server.
+	 * Creates an instance that allows handling a specific task ID and its assigned server, such as uploading images, processing, downloading processed file or retrieving task details.
 	 *
 	 * @constructor
 	 * @param {string} publicKey Projects public key used for authentication, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param {string} [secretKey=''] Projects secret key used for local token generation, obtained from {@link https://www.iloveapi.com/user/projects here}.
 	 * @param {string} taskId The unique task identifier.
 	 * @param {string} taskServer The server assigned to the task.
-	 * @param {import('./schema/Auth.js').SelfSignedTokenOptionsInfered} [params={}] Additional parameters.
+	 * @param {import('./schema/Auth.js').SelfSignedTokenOptionsInfered & ClientSchema.ClientOptionsInfered & { tool?: ToolSchema.ToolTypesInfered }} [params={}] Additional parameters, such as self-signed token options, retry policy and task tool type.
 	 * @throws {Error} If taskId or taskServer is missing or invalid.
+	 * @throws {import('zod').ZodError} If `params` are invalid.
 	 */
 	constructor(publicKey, secretKey = '', taskId, taskServer, params = {}) {
 		if (
@@ -68,13 +113,182 @@ class Task {
 			);
 		}
 		this.#auth = new Auth(publicKey, secretKey, params);
+		this.#client_options = ClientSchema.ClientOptions.parse(params);
+		this.#tool = ToolSchema.ToolTypes.optional().parse(params.tool);
 		this.#task_id = taskId;
-		this.#server = axios.create({
-			baseURL: `${ILOVEIMG_API_URL_PROTOCOL}://${taskServer}/${ILOVEIMG_API_VERSION}`,
-			headers: {
-				'Content-Type': 'application/json;charset=UTF-8'
+		this.#server = RequestUtils.createHttpClient(
+			{
+				baseURL: RequestUtils.createBaseURL(taskServer, this.#client_options),
+				timeout: this.#client_options.timeout,
+				headers: {
+					'Content-Type': 'application/json;charset=UTF-8'
+				}
+			},
+			this.#client_options
+		);
+	}
+
+	/**
+	 * Upload a image for this task. The image can be a public URL using `cloud_file`,
+	 * or a local source using `file` (file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream) that uploaded as multipart form.
+	 * @param {TaskSchema.TaskAddFileGenericOptionsInfered} options Generic options for uploading image.
+	 * @returns {Promise<TaskSchema.TaskAddFileReturnTypeInfered>} Promise resolving object containing server filename. If `debug` is enabled, it resolves with an object containing request information instead.
+	 * @throws {Error} If requests failed.
+	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {import('./Error.js').BudgetExceededError} If client `budget.max_files` are exceeded, see `budget` params.
+	 */
+	async addFile(options) {
+		/**
+		 * Generic options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskAddFileGenericOptions.parseAsync(options);
+		// Nothing are spent on debug mode, so budget are not checked.
+		// Remaining files are never resolved on this module, so only `max_files` are checked.
+		if (!_vOptions.debug) {
+			TaskUtils.assertBudget(
+				this.#client_options.budget,
+				this.#files.length + 1
+			);
+		}
+
+		try {
+			await this.#authorize();
+			const result = await TaskUtils.requestUpload(
+				this.#createRequestContext(),
+				_vOptions,
+				{
+					chunk_retries: Task.CHUNK_RETRIES,
+					chunk_retry_delay: Task.CHUNK_RETRY_DELAY,
+					pending_uploads: this.#pending_uploads
+				}
+			);
+
+			if (!_vOptions.debug) {
+				this.#files.push({
+					server_filename: result.server_filename,
+					filename: _vOptions.filename,
+					...(_vOptions.rotate !== undefined && { rotate: _vOptions.rotate })
+				});
 			}
-		});
+
+			return result;
+		} catch (error) {
+			classifyError(error);
+		}
+	}
+
+	/**
+	 * Delete a image that already uploaded on this task.
+	 * @param {TaskSchema.TaskRemoveFileGenericOptionsInfered} options Generic options for delete uploaded image.
+	 * @returns {Promise<void>} If `debug` is enabled, it resolves with an object containing request information instead.
+	 * @throws {Error} If requests failed.
+	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 */
+	async deleteFile(options) {
+		/**
+		 * Generic options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskRemoveFileGenericOptions.parseAsync(options);
+
+		try {
+			await this.#authorize();
+			const result = await TaskUtils.requestDeleteFile(
+				this.#createRequestContext(),
+				_vOptions
+			);
+
+			if (_vOptions.debug) return result;
+			this.#files = this.#files.filter(
+				(file) => file.server_filename !== _vOptions.server_filename
+			);
+		} catch (error) {
+			classifyError(error);
+		}
+	}
+
+	/**
+	 * Process this task using images uploaded by this instance.
+	 * When tool type or uploaded images are unknown, such as reprocessing task that already processed elsewhere, they are resolved from task details.
+	 * @param {TaskSchema.TaskProcessGenericOptionsInfered} [options] Generic options for processing task.
+	 * @param {TaskSchema.TaskProcessCompressImageOptionsInfered | TaskSchema.TaskProcessWatermarkImageOptionsInfered | TaskSchema.TaskProcessConvertImageOptionsInfered | TaskSchema.TaskProcessCropImageOptionsInfered | TaskSchema.TaskProcessResizeImageOptionsInfered | TaskSchema.TaskProcessUpscaleImageOptionsInfered} [toolOptions] Options for specific tool. Please note that some tool has required options you must fill otherwise it will throw, see tool options from {@link https://www.iloveapi.com/docs/api-reference#resizeimage-extra-parameters here}.
+	 * @returns {Promise<TaskSchema.TaskProcessReturnTypeInfered>} Processed file meta information. If `debug` is enabled, it resolves with an object containing request information instead.
+	 * @throws {Error} If requests failed, tool type cannot be resolved or no file to process.
+	 * @throws {import('zod').ZodError} If required options or toolOptions are missing or invalid.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {import('./Error.js').BudgetExceededError} If client `budget.max_files` are exceeded, see `budget` params.
+	 */
+	async process(options = {}, toolOptions = {}) {
+		/**
+		 * Generic options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskProcessGenericOptions.parseAsync(options);
+		const files = await this.#resolveProcessFiles(_vOptions.signal);
+		/**
+		 * Tool options that already validated by zod.
+		 */
+		const _vToolOptions = await TaskUtils.validateProcessToolOptions(
+			this.#tool,
+			toolOptions
+		);
+		if (!_vOptions.debug) {
+			TaskUtils.assertBudget(this.#client_options.budget, files.length);
+		}
+
+		try {
+			await this.#authorize();
+			const result = await TaskUtils.requestProcess(
+				this.#createRequestContext(),
+				files,
+				_vOptions,
+				_vToolOptions
+			);
+
+			if (result?.download_filename) {
+				this.#download_filename = result.download_filename;
+			}
+
+			return result;
+		} catch (error) {
+			classifyError(error);
+		}
+	}
+
+	/**
+	 * Resolves images to process and tool type of this task. Images uploaded by this instance are used when exist,
+	 * otherwise they are resolved from task details which only include them when task already processed.
+	 * @param {AbortSignal} [signal] Signal used when retrieving task details.
+	 * @returns {Promise<TaskSchema.TaskProcessRequiredOptionsInfered['files']>} Images to process.
+	 * @throws {Error} If requests failed, tool type cannot be resolved or no file to process.
+	 * @private Internal usage only.
+	 */
+	async #resolveProcessFiles(signal) {
+		if (this.#tool && this.#files.length) return this.#files;
+
+		const details = await this.details({ signal });
+		this.#tool = this.#tool ?? details?.tool;
+		const files = this.#files.length
+			? this.#files
+			: (details?.files ?? [])
+					.filter((file) => file.server_filename && file.filename)
+					.map(({ server_filename, filename }) => ({
+						server_filename,
+						filename
+					}));
+
+		if (!this.#tool) {
+			throw new Error(
+				'Unable to resolve task tool, provide tool params instead.'
+			);
+		}
+		if (!files.length) {
+			throw new Error('You need to add files first using addFile() method.');
+		}
+
+		return files;
 	}
 
 	/**
@@ -93,13 +307,11 @@ class Task {
 		const isDebug = !!_vOptions?.debug;
 
 		try {
-			const token = await this.#auth.getToken();
-			this.#server.defaults.headers['Authorization'] = `Bearer ${token}`;
-			const response = isDebug
-				? await this.#server.get(`/download/${this.#task_id}?debug=true`)
-				: await this.#server.get(`/download/${this.#task_id}`, {
-						responseType: 'stream'
-					});
+			await this.#authorize();
+			const response = await TaskUtils.requestDownload(
+				this.#createRequestContext(),
+				_vOptions
+			);
 
 			if (isDebug) {
 				return response.data;
@@ -111,12 +323,74 @@ class Task {
 		}
 	}
 
+	/**
+	 * Downloads processed files on this task and resolves its content as `Buffer`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param {TaskSchema.TaskDownloadContentOptionsInfered} [options] Options for download request, such as `timeout` and `signal`.
+	 * @returns {Promise<Buffer>} Processed file content.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 */
+	async downloadBuffer(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadContentOptions.parseAsync(options);
+
+		return TaskUtils.downloadBuffer((x) => this.download(x), _vOptions);
+	}
+
+	/**
+	 * Downloads processed files on this task and resolves its content as web `ReadableStream`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param {TaskSchema.TaskDownloadContentOptionsInfered} [options] Options for download request, such as `timeout` and `signal`.
+	 * @returns {Promise<ReadableStream<Uint8Array>>} Processed file content stream.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 */
+	async downloadStream(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadContentOptions.parseAsync(options);
+
+		return TaskUtils.downloadStream((x) => this.download(x), _vOptions);
+	}
+
+	/**
+	 * Downloads processed files on this task and saves it into given directory, the directory are created when not exist.
+	 * Filename are resolved from `filename` option, `Content-Disposition` response header or `download_filename` from `process()`.
+	 * @param {string} directory Directory to save processed file.
+	 * @param {TaskSchema.TaskDownloadToDirectoryOptionsInfered} [options] Options for saving processed file and download request, such as `timeout` and `signal`.
+	 * @returns {Promise<TaskSchema.TaskDownloadToDirectoryReturnTypeInfered>} Saved processed file information.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed, filename cannot be resolved or processed file cannot be saved.
+	 * @throws {import('zod').ZodError} If `directory` or `options` are invalid.
+	 */
+	async downloadToDirectory(directory, options = {}) {
+		z.string().min(1).parse(directory);
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadToDirectoryOptions.parseAsync(options);
+
+		return TaskUtils.downloadToDirectory(
+			(x) => this.download(x),
+			directory,
+			_vOptions,
+			this.#download_filename
+		);
+	}
+
 	/**
 	 * Retrieves details about this task.
 	 * @param {TaskSchema.TaskDetailsGenericOptionsInfered} [options] Generic options for retrieving task details.
 	 * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed, task id and server are not resolved, no file to process.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
 	 */
 	async details(options = {}) {
 		/**
@@ -124,21 +398,141 @@ class Task {
 		 */
 		const _vOptions =
 			await TaskSchema.TaskDetailsGenericOptions.parseAsync(options);
-		const isDebug = !!_vOptions?.debug;
 
 		try {
-			const token = await this.#auth.getToken();
-			this.#server.defaults.headers['Authorization'] = `Bearer ${token}`;
-			const response = isDebug
-				? await this.#server.get(`/task/${this.#task_id}?debug=true`)
-				: await this.#server.get(`/task/${this.#task_id}`);
+			await this.#authorize();
+			return await TaskUtils.requestDetails(
+				this.#createRequestContext(),
+				_vOptions
+			);
+		} catch (error) {
+			classifyError(error);
+		}
+	}
+
+	/**
+	 * Creates status report of each file on this task by joining task details files with images uploaded by this instance, useful when processing resolves `TaskSuccessWithWarnings` status.
+	 * Each file are reported with its original filename, status, status message, sizes and whether it failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 * @param {TaskSchema.TaskFileReportOptionsInfered} [options] Options for retrieving task details and whether to throw when any file failed.
+	 * @returns {Promise<TaskSchema.TaskFileReportReturnTypeInfered>} Task file report.
+	 * @throws {Error} If requests failed.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 * @throws {import('./Error.js').PartialFailureError} If `throw_on_failure` enabled and any file failed to process.
+	 * @example
+	 * ```js
+	 * const result = await task.process();
+	 * if (result.status === 'TaskSuccessWithWarnings') {
+	 *   const { failed_files } = await task.fileReport();
+	 *   console.log(failed_files); // [{ filename: 'awesome.jpeg', status: 'DamagedFile', failed: true, ... }]
+	 * }
+	 * ```
+	 */
+	async fileReport(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskFileReportOptions.parseAsync(options);
+		const { throw_on_failure, ...detailsOptions } = _vOptions;
+		const details = await this.details(detailsOptions);
 
-			return response.data;
+		return TaskUtils.createFileReport(details, this.#files, {
+			throw_on_failure
+		});
+	}
+
+	/**
+	 * Waits until this task completed by polling task details with exponential backoff, useful when processing using `webhook` option.
+	 * Task are completed when its status are `TaskSuccess`, `TaskSuccessWithWarnings`, `TaskError`, `TaskDeleted` or `TaskNotFound`.
+	 * @param {TaskSchema.TaskWaitForCompletionOptionsInfered} [options] Options for polling task details, such as `interval` and `timeout`.
+	 * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details with terminal status.
+	 * @throws {Error} If requests failed, waiting are aborted or task not completed within `timeout`.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 * @example
+	 * ```js
+	 * await task.process({ webhook: '' });
+	 * const details = await task.waitForCompletion({ timeout: 60000 });
+	 * ```
+	 */
+	async waitForCompletion(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskWaitForCompletionOptions.parseAsync(options);
+
+		return TaskUtils.pollUntilComplete(
+			({ signal }) => this.details({ signal }),
+			_vOptions
+		);
+	}
+
+	/**
+	 * Delete this task.
+	 * @param {TaskSchema.TaskDeleteGenericOptionsInfered} [options] Generic options for deleting task.
+	 * @returns {Promise<void>} If `debug` is enabled, it resolves with an object containing request information instead.
+	 * @throws {Error} If requests failed.
+	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 */
+	async delete(options = {}) {
+		/**
+		 * Generic options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDeleteGenericOptions.parseAsync(options);
+
+		try {
+			await this.#authorize();
+			const result = await TaskUtils.requestDelete(
+				this.#createRequestContext(),
+				_vOptions
+			);
+
+			if (_vOptions.debug) return result;
 		} catch (error) {
 			classifyError(error);
 		}
 	}
 
+	/**
+	 * Retrieve tool type for this task, resolved from `tool` params or task details when processing.
+	 * @returns Tool type for this task.
+	 */
+	getTool() {
+		return this.#tool;
+	}
+
+	/**
+	 * Retrieve images uploaded by this instance.
+	 * @returns Uploaded images.
+	 */
+	getUploadedFiles() {
+		return this.#files;
+	}
+
+	/**
+	 * Assigns fresh authentication token to `Authorization` header of task server.
+	 * @private Internal usage only.
+	 */
+	async #authorize() {
+		const token = await this.#auth.getToken();
+		this.#server.defaults.headers['Authorization'] = `Bearer ${token}`;
+	}
+
+	/**
+	 * Creates context used by `TaskUtils` request functions with assigned server and information of this task.
+	 * @returns {import('./util/task.util.js').TaskRequestContext} Task request context.
+	 * @private Internal usage only.
+	 */
+	#createRequestContext() {
+		return {
+			server: this.#server,
+			task_id: this.#task_id,
+			tool: this.#tool,
+			client_options: this.#client_options
+		};
+	}
+
 	/**
 	 * @private Internal & testing usage only.
 	 * @param {import('axios').AxiosInstance} x
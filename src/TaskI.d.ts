@@ -10,11 +10,21 @@ import {
 	TaskProcessToolOptionsInfered,
 	TaskProcessReturnTypeInfered,
 	TaskDownloadGenericOptionsInfered,
+	TaskDownloadContentOptionsInfered,
+	TaskDownloadToDirectoryOptionsInfered,
+	TaskDownloadToDirectoryReturnTypeInfered,
 	TaskDetailsGenericOptionsInfered,
 	TaskDetailsReturnTypeInfered,
-	TaskDeleteGenericOptionsInfered
+	TaskFileReportOptionsInfered,
+	TaskFileReportReturnTypeInfered,
+	TaskWaitForCompletionOptionsInfered,
+	TaskDeleteGenericOptionsInfered,
+	TaskStateTypesInfered,
+	TaskSnapshotInfered
 } from './schema/Task';
 import { ToolTypesInfered } from './schema/Tool';
+import { FileRotationInfered } from './schema/File';
+import { ClientOptionsInfered } from './schema/Client';
 import Auth from './Auth';
 import { DebugReturnTypeInfered } from './ILoveIMGApi';
 
@@ -26,6 +36,12 @@ import { DebugReturnTypeInfered } from './ILoveIMGApi';
  * @class TaskI
  */
 declare class TaskI<T extends ToolTypesInfered> {
+	/** Default maximum retry attempts for each failed chunk on chunked upload. */
+	static CHUNK_RETRIES: number;
+	/** Base delay in milliseconds before retrying failed chunk, multiplied by attempt number. */
+	static CHUNK_RETRY_DELAY: number;
+	/** Lifecycle states where each method are allowed to be called. */
+	static STATE_TRANSITIONS: Record<string, Array<TaskStateTypesInfered>>;
 	private auth: Auth;
 	private fixedServer: AxiosInstance;
 	private tool: T;
@@ -33,14 +49,23 @@ declare class TaskI<T extends ToolTypesInfered> {
 	private remainingFiles?: number;
 	private files?: TaskProcessRequiredOptionsInfered['files'];
 	private server?: AxiosInstance;
+	private downloadFilename?: string;
+	private pendingUploads: Map<string, { chunks: number; next: number }>;
+	private clientOptions: ClientOptionsInfered;
 
 	/**
 	 * Creates an instance of Task.
 	 * @param auth Instance of `Auth` that used for maintaining authentication token used.
 	 * @param fixedServer Axios instance that already configured for starting a Task.
 	 * @param taskType Task tool type.
+	 * @param clientOptions Client options, such as retry policy.
 	 */
-	constructor(auth: Auth, fixedServer: AxiosInstance, taskType: T);
+	constructor(
+		auth: Auth,
+		fixedServer: AxiosInstance,
+		taskType: T,
+		clientOptions?: ClientOptionsInfered
+	);
 
 	/**
 	 * Start task by retrieving the assigned server and task id from `ILoveApi` servers.
@@ -48,6 +73,8 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 * @returns Promise resolve with object containing assigned server, task id and project remaining files.
 	 * @throws `Error` If request fails.
 	 * @throws `ZodError` If any incorrect or invalid `options` type.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
 	 */
 	start(
 		options: Omit<TaskStartGenericOptionsInfered, 'debug'> & {
@@ -64,11 +91,57 @@ declare class TaskI<T extends ToolTypesInfered> {
 	): Promise<TaskStartReturnTypeInfered>;
 
 	/**
-	 * Upload a image for this task by making request to `ILoveIMG` servers.
+	 * Resumes task that started on another process using snapshot from `snapshot()` or `toJSON()`, this method can be used instead of `start()`.
+	 * Task id, assigned server, uploaded files and remaining files are restored and a new authentication token are used,
+	 * so the task can be continued using `addFile()`, `process()`, `download()`, etc.
+	 * @param snapshot Task snapshot from `snapshot()` or `toJSON()`.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @throws `Error` If snapshot tool does not match this task tool, snapshot server are not trusted or authentication token cannot be retrieved.
+	 * @throws `ZodError` If `snapshot` are invalid.
+	 */
+	resume(snapshot: TaskSnapshotInfered): Promise<void>;
+
+	/**
+	 * Serializes this task into snapshot that can be resumed on another process using `ILoveIMGApi.resumeTask()`.
+	 * Secrets, such as authentication token, are never included.
+	 * @returns Task snapshot.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * // On web request
+	 * const task = iloveimg.newTask('compressimage');
+	 * await task.start();
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * await queue.add('process', JSON.stringify(task.snapshot()));
+	 *
+	 * // On background job
+	 * const resumed = await iloveimg.resumeTask(JSON.parse(job.data));
+	 * await resumed.process();
+	 * ```
+	 */
+	snapshot(): TaskSnapshotInfered;
+
+	/**
+	 * Serializes this task into snapshot on any state, this method are used by `JSON.stringify()` so logging task never throws.
+	 * Only snapshot of started, files added and processed task can be resumed, use `snapshot()` to check it early.
+	 * @returns Task snapshot.
+	 */
+	toJSON(): Omit<TaskSnapshotInfered, 'task_id' | 'server' | 'state'> & {
+		task_id?: string;
+		server?: string;
+		state: TaskStateTypesInfered;
+	};
+
+	/**
+	 * Upload a image for this task by making request to `ILoveIMG` servers. The image can be a public URL using `cloud_file`,
+	 * or a local source using `file` (file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream) that uploaded as multipart form.
 	 * @param options Generic options for uploading image.
 	 * @returns Promise resolve with object containing server filename.
 	 * @throws `Error` If request fails or task id and server are not resolved.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @throws `BudgetExceededError` If client `budget` are exceeded, see `budget` params.
 	 */
 	addFile(
 		options: Omit<TaskAddFileGenericOptionsInfered, 'debug'> & {
@@ -89,6 +162,7 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 * @param options Generic options for delete uploaded image.
 	 * @throws `Error` If request fails or task id and server are not resolved.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
 	 */
 	deleteFile(
 		options: Omit<TaskRemoveFileGenericOptionsInfered, 'debug'> & {
@@ -109,6 +183,9 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 * @returns Promise resolve with processed file meta information.
 	 * @throws `Error` If request fails, task id and server are not resolved, no file to process.
 	 * @throws `ZodError` If required `options` or `toolOptions` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @throws `BudgetExceededError` If client `budget` are exceeded, see `budget` params.
 	 */
 	process(
 		options: Omit<TaskProcessGenericOptionsInfered, 'debug'> & {
@@ -133,6 +210,7 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 * @returns Promise resolve with `AxiosInstance`.
 	 * @throws `Error` If request fails, task id and server are not resolved.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
 	 */
 	download(
 		options: Omit<TaskDownloadGenericOptionsInfered, 'debug'> & {
@@ -148,12 +226,89 @@ declare class TaskI<T extends ToolTypesInfered> {
 		options?: TaskDownloadGenericOptionsInfered
 	): Promise<AxiosResponse<Uint8Array, any>>;
 
+	/**
+	 * Downloads processed files on this task and resolves its content as `Buffer`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param options Options for download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with processed file content.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails, task id and server are not resolved.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @throws `ZodError` If `options` are invalid.
+	 */
+	downloadBuffer(options?: TaskDownloadContentOptionsInfered): Promise<Buffer>;
+
+	/**
+	 * Downloads processed files on this task and resolves its content as web `ReadableStream`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param options Options for download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with processed file content stream.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails, task id and server are not resolved.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @throws `ZodError` If `options` are invalid.
+	 */
+	downloadStream(
+		options?: TaskDownloadContentOptionsInfered
+	): Promise<ReadableStream<Uint8Array>>;
+
+	/**
+	 * Downloads processed files on this task and saves it into given directory, the directory are created when not exist.
+	 * Filename are resolved from `filename` option, `Content-Disposition` response header or `download_filename` from `process()`.
+	 * @param directory Directory to save processed file.
+	 * @param options Options for saving processed file and download request, such as `timeout` and `signal`.
+	 * @returns Promise resolve with saved processed file information.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails, filename cannot be resolved or processed file cannot be saved, task id and server are not resolved.
+	 * @throws `ZodError` If `directory` or `options` are invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 */
+	downloadToDirectory(
+		directory: string,
+		options?: TaskDownloadToDirectoryOptionsInfered
+	): Promise<TaskDownloadToDirectoryReturnTypeInfered>;
+
+	/**
+	 * Downloads processed files on this task and yields each processed image. When processing more than one file,
+	 * the downloaded ZIP archive are streamed and extracted so each contained image are yielded separately,
+	 * only current image are kept in memory and the rest of archive are read when iterated.
+	 * Each image are matched back to uploaded file from `getUploadedFiles()` using its filename without extension,
+	 * and `uploaded_file` will be `undefined` when no match found (e.g. when using custom `output_filename`)
+	 * or when more than one uploaded file share the same filename without extension.
+	 * @param options Options for download request, such as `timeout` and `signal`.
+	 * @returns Async generator yielding processed images.
+	 * @throws `ILoveApiError` | `NetworkError` | `Error` If request fails, task id and server are not resolved or the ZIP archive are invalid.
+	 * @throws `ZodError` If `options` are invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('compressimage');
+	 * await task.start();
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/other.jpeg', filename: 'other.jpeg' });
+	 * await task.process();
+	 * for await (const { filename, buffer, size, uploaded_file } of task.downloadFiles()) {
+	 * 	console.log(filename, size, uploaded_file?.filename);
+	 * }
+	 * ```
+	 */
+	downloadFiles(options?: TaskDownloadContentOptionsInfered): AsyncGenerator<{
+		/** Processed image filename. */
+		filename: string;
+		/** Processed image content. */
+		buffer: Buffer;
+		/** Processed image size in `bytes`. */
+		size: number;
+		/** Uploaded file that matched to this processed image. */
+		uploaded_file?: TaskProcessRequiredOptionsInfered['files'][number];
+	}>;
+
 	/**
 	 * Retrieve task details for this task by making request to `ILoveIMG` servers.
 	 * @param options Generic options for retrieve task details.
 	 * @returns Promise with task details.
 	 * @throws `Error` If request fails, task id and server are not resolved.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `ResponseValidationError` If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
 	 */
 	details(
 		options: Omit<TaskDetailsGenericOptionsInfered, 'debug'> & {
@@ -169,11 +324,47 @@ declare class TaskI<T extends ToolTypesInfered> {
 		options?: TaskDetailsGenericOptionsInfered
 	): Promise<TaskDetailsReturnTypeInfered>;
 
+	/**
+	 * Creates status report of each file on this task by joining task details files with `getUploadedFiles()`, useful when processing resolves `TaskSuccessWithWarnings` status.
+	 * Each file are reported with its original filename, status, status message, sizes and whether it failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 * @param options Options for retrieving task details and whether to throw when any file failed.
+	 * @returns Promise with task file report.
+	 * @throws `Error` If request fails, task id and server are not resolved.
+	 * @throws `ZodError` If `options` are invalid.
+	 * @throws `PartialFailureError` If `throw_on_failure` enabled and any file failed to process.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * const result = await task.process();
+	 * if (result.status === 'TaskSuccessWithWarnings') {
+	 *   const { failed_files } = await task.fileReport();
+	 *   console.log(failed_files); // [{ filename: 'awesome.jpeg', status: 'DamagedFile', failed: true, ... }]
+	 * }
+	 * ```
+	 */
+	fileReport(
+		options?: TaskFileReportOptionsInfered
+	): Promise<TaskFileReportReturnTypeInfered>;
+
+	/**
+	 * Waits until this task completed by polling task details with exponential backoff, useful when processing using `webhook` option.
+	 * Task are completed when its status are `TaskSuccess`, `TaskSuccessWithWarnings`, `TaskError`, `TaskDeleted` or `TaskNotFound`.
+	 * @param options Options for polling task details, such as `interval` and `timeout`.
+	 * @returns Promise with task details that has terminal status.
+	 * @throws `Error` If request fails, task id and server are not resolved, waiting are aborted or task not completed within `timeout`.
+	 * @throws `ZodError` If `options` are invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
+	 */
+	waitForCompletion(
+		options?: TaskWaitForCompletionOptionsInfered
+	): Promise<TaskDetailsReturnTypeInfered>;
+
 	/**
 	 * Delete this task by making request to `ILoveIMG` servers.
 	 * @param options Generic options for deleting task.
 	 * @throws `Error` If request fails, task id and server are not resolved.
 	 * @throws `ZodError` If required `options` are missing or invalid.
+	 * @throws `TaskStateError` If current task state does not allow this method, see `getState()`.
 	 */
 	delete(
 		options: Omit<TaskDeleteGenericOptionsInfered, 'debug'> & {
@@ -212,6 +403,22 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 */
 	getTaskId(): string | undefined;
 
+	/**
+	 * Retrieve current lifecycle state of this task. Each state only allow specific methods to be called,
+	 * calling method that not allowed on current state will throw `TaskStateError`.
+	 * - `created` → `start()` → `started` → `addFile()` → `files_added` → `process()` → `processing` → `processed` → `delete()` → `deleted`
+	 * @returns Current lifecycle state.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('compressimage');
+	 * console.log(task.getState()); // 'created'
+	 * await task.start();
+	 * console.log(task.getState()); // 'started'
+	 * ```
+	 */
+	getState(): TaskStateTypesInfered;
+
 	/**
 	 * Retrieve your project remaining files. This represents the current limit on how many files you can process. You might need to call `start()` first otherwise it will return `undefined`.
 	 * @returns Project remaining files.
@@ -243,6 +450,25 @@ declare class TaskI<T extends ToolTypesInfered> {
 	 */
 	getUploadedFiles(): TaskProcessRequiredOptionsInfered['files'] | undefined;
 
+	/**
+	 * Assign clockwise rotation for uploaded image file on this task. The rotation will be forwarded when calling `process()`,
+	 * its mostly used with `rotateimage` tool. You might need to upload the file first using `addFile()` otherwise it will throw.
+	 * @param serverFilename Server filename that resolved from adding image file.
+	 * @param rotate Rotation in degrees. Accepted values are `0`, `90`, `180` and `270`.
+	 * @throws `Error` If the file are not uploaded on this task.
+	 * @throws `ZodError` If `rotate` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('rotateimage');
+	 * await task.start();
+	 * const { server_filename } = await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * task.setFileRotation(server_filename, 90);
+	 * await task.process();
+	 * ```
+	 */
+	setFileRotation(serverFilename: string, rotate: FileRotationInfered): void;
+
 	/**
 	 * Retrieve `AxiosInstance` for this task. This instance use required authentication token and point to correct `ILoveApi` task specific server.
 	 * Its usefull to create a direct request to server without using existing methods. You might need to call `start()` first otherwise it will return `undefined`.
@@ -1,12 +1,25 @@
-import axios from 'axios';
-import config from './config/global.js';
+import path from 'node:path';
+import { z } from 'zod';
 import * as TaskSchema from './schema/Task.js';
+import * as FileSchema from './schema/File.js';
+import * as ClientSchema from './schema/Client.js';
 import * as _TaskUtils from './util/task.util.js';
-import { classifyError } from './Error.js';
+import * as _FileUtils from './util/file.util.js';
+import * as _ZipUtils from './util/zip.util.js';
+import * as _RetryUtils from './util/retry.util.js';
+import * as _HookUtils from './util/hook.util.js';
+import * as _TraceUtils from './util/trace.util.js';
+import * as _RequestUtils from './util/request.util.js';
+import { classifyError, TaskStateError } from './Error.js';
 
 // We need to import with this behaviour to make sinon working in testing environment
 const TaskUtils = _TaskUtils.default;
-const { ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } = config;
+const FileUtils = _FileUtils.default;
+const ZipUtils = _ZipUtils.default;
+const RetryUtils = _RetryUtils.default;
+const HookUtils = _HookUtils.default;
+const TraceUtils = _TraceUtils.default;
+const RequestUtils = _RequestUtils.default;
 
 /**
  * The `TaskI` class represents a task initiated through `ILoveIMGApi`.
@@ -16,6 +29,32 @@ const { ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } = config;
  * @class TaskI
  */
 class TaskI {
+	// Default maximum retry attempts for each failed chunk on chunked upload.
+	static CHUNK_RETRIES = 3;
+	// Base delay in milliseconds before retrying failed chunk, multiplied by attempt number.
+	static CHUNK_RETRY_DELAY = 500;
+	// Lifecycle states where each method are allowed to be called.
+	static STATE_TRANSITIONS =
+		/** @type {Record<string, Array<TaskSchema.TaskStateTypesInfered>>} */ ({
+			start: ['created'],
+			resume: ['created'],
+			snapshot: ['started', 'files_added', 'processed'],
+			addFile: ['started', 'files_added'],
+			deleteFile: ['started', 'files_added'],
+			process: ['files_added', 'processed'],
+			download: ['processed'],
+			details: ['started', 'files_added', 'processing', 'processed', 'deleted'],
+			fileReport: [
+				'started',
+				'files_added',
+				'processing',
+				'processed',
+				'deleted'
+			],
+			waitForCompletion: ['started', 'files_added', 'processing', 'processed'],
+			delete: ['started', 'files_added', 'processed']
+		});
+
 	/**
 	 * Instance of JWT that used for maintaining authentication token used.
 	 * @private Internal usage only.
@@ -59,6 +98,35 @@ class TaskI {
 	 * @private Internal usage only.
 	 */
 	#server = /** @type {import('axios').AxiosInstance} */ (undefined);
+	/**
+	 * Assigned server host from `ILoveApi`, such as `api8g.iloveimg.com`.
+	 * @private Internal usage only.
+	 */
+	#assigned_server = /** @type {string} */ (undefined);
+	/**
+	 * Processed filename resolved from `process()`, used as fallback filename when saving downloaded file.
+	 * @private Internal usage only.
+	 */
+	#download_filename = /** @type {string} */ (undefined);
+	/**
+	 * Progress of chunked uploads that failed due network error, keyed by original filename.
+	 * Used to resume upload from the last acknowledged chunk when the source size match.
+	 * @private Internal usage only.
+	 */
+	#pending_uploads =
+		/** @type {Map<string, { size: number, chunks: number, next: number }>} */ (
+			new Map()
+		);
+	/**
+	 * Client options that already validated by zod, such as retry policy.
+	 * @private Internal usage only.
+	 */
+	#client_options;
+	/**
+	 * Current lifecycle state of this task.
+	 * @private Internal usage only.
+	 */
+	#state = /** @type {TaskSchema.TaskStateTypesInfered} */ ('created');
 
 	/**
 	 * Creates an instance of Task.
@@ -67,11 +135,13 @@ class TaskI {
 	 * @param {import('./Auth.js').default} auth Instance of `Auth` that used for maintaining authentication token used.
 	 * @param {import('axios').AxiosInstance} fixedServer Axios instance that already configured for starting a Task.
 	 * @param {import('./schema/Tool.js').ToolTypesInfered} taskType Task tool type.
+	 * @param {ClientSchema.ClientOptionsInfered} [clientOptions={}] Client options, such as retry policy.
 	 */
-	constructor(auth, fixedServer, taskType) {
+	constructor(auth, fixedServer, taskType, clientOptions = {}) {
 		this.#auth = auth;
 		this.#fixed_server = fixedServer;
 		this.#tool = taskType;
+		this.#client_options = ClientSchema.ClientOptions.parse(clientOptions);
 	}
 
 	/**
@@ -80,93 +150,355 @@ class TaskI {
 	 * @returns {Promise<TaskSchema.TaskStartReturnTypeInfered>} Promise resolving an object containing assigned server, task id and project remaining files. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed.
 	 * @throws {import('zod').ZodError} If any incorrect or invalid `options` type.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
 	 */
 	async start(options = {}) {
-		const validatedOptions =
-			await TaskSchema.TaskStartGenericOptions.parseAsync(options);
-		const isDebug = !!validatedOptions?.debug;
+		return TraceUtils.withSpan(
+			this.#client_options.tracer,
+			'iloveimg.start',
+			{ tool: this.#tool },
+			async (setAttributes) => {
+				this.#assertState('start');
 
-		try {
-			const token = await this.#auth.getToken();
-			this.#fixed_server.defaults.headers['Authorization'] = `Bearer ${token}`;
-			const response = isDebug
-				? await this.#fixed_server.get(`/start/${this.#tool}?debug=true`)
-				: await this.#fixed_server.get(`/start/${this.#tool}`);
-
-			if (!isDebug) {
-				if (
-					!response.data ||
-					!response.data.server ||
-					!response.data.task ||
-					!response.data.remaining_files
-				) {
-					throw new Error('Invalid response: missing required fields');
-				}
+				const validatedOptions =
+					await TaskSchema.TaskStartGenericOptions.parseAsync(options);
+				const isDebug = !!validatedOptions?.debug;
+				const requestConfig =
+					RequestUtils.createRequestConfig(validatedOptions);
+
+				try {
+					const token = await this.#auth.getToken();
+					this.#fixed_server.defaults.headers['Authorization'] =
+						`Bearer ${token}`;
+					const response = await RetryUtils.withRetry(
+						'start',
+						() =>
+							isDebug
+								? this.#fixed_server.get(
+										`/start/${this.#tool}?debug=true`,
+										requestConfig
+									)
+								: this.#fixed_server.get(`/start/${this.#tool}`, requestConfig),
+						this.#client_options.retry,
+						validatedOptions.signal,
+						TaskUtils.createHookContext(
+							this.#createRequestContext(),
+							'GET',
+							isDebug
+								? `/start/${this.#tool}?debug=true`
+								: `/start/${this.#tool}`
+						)
+					);
+
+					if (!isDebug) {
+						RequestUtils.validateResponse(
+							// Task id are sent as `task` attribute.
+							z.preprocess(
+								(data) => ({ ...data, task_id: data?.task }),
+								TaskSchema.TaskStartReturnType
+							),
+							response.data,
+							`/start/${this.#tool}`,
+							this.#client_options
+						);
+						if (
+							!response.data ||
+							!response.data.server ||
+							!response.data.task ||
+							// Zero are valid when project credits are exhausted.
+							response.data.remaining_files === undefined
+						) {
+							throw new Error('Invalid response: missing required fields');
+						}
 
-				this.#server = axios.create({
-					baseURL: `${ILOVEIMG_API_URL_PROTOCOL}://${response.data.server}/${ILOVEIMG_API_VERSION}`,
-					headers: {
-						'Content-Type': 'application/json;charset=UTF-8',
-						Authorization: `Bearer ${token}`
+						this.#server = this.#createTaskServer(response.data.server, token);
+						this.#assigned_server = response.data.server;
+						this.#task_id = response.data.task;
+						this.#remaining_files = response.data.remaining_files;
+						this.#files = [];
+						this.#state = 'started';
+						setAttributes({
+							task_id: this.#task_id,
+							server: response.data.server,
+							remaining_files: this.#remaining_files
+						});
+						this.#notifyLowCredits();
+
+						return {
+							server: response.data.server,
+							task_id: response.data.task,
+							remaining_files: response.data.remaining_files
+						};
 					}
-				});
-				this.#task_id = response.data.task;
-				this.#remaining_files = response.data.remaining_files;
-				this.#files = [];
-
-				return {
-					server: response.data.server,
-					task_id: response.data.task,
-					remaining_files: response.data.remaining_files
-				};
+
+					return response.data;
+				} catch (error) {
+					classifyError(error);
+				}
 			}
+		);
+	}
+
+	/**
+	 * Resumes task that started on another process using snapshot from `snapshot()` or `toJSON()`, this method can be used instead of `start()`.
+	 * Task id, assigned server, uploaded files and remaining files are restored and a new authentication token are used,
+	 * so the task can be continued using `addFile()`, `process()`, `download()`, etc.
+	 * @param {TaskSchema.TaskSnapshotInfered} snapshot Task snapshot from `snapshot()` or `toJSON()`.
+	 * @returns {Promise<void>}
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @throws {Error} If snapshot tool does not match this task tool, snapshot server are not trusted or authentication token cannot be retrieved.
+	 * @throws {import('zod').ZodError} If `snapshot` are invalid.
+	 */
+	async resume(snapshot) {
+		this.#assertState('resume');
 
-			return response.data;
+		/**
+		 * Snapshot that already validated by zod.
+		 */
+		const _vSnapshot = TaskSchema.TaskSnapshot.parse(snapshot);
+		if (_vSnapshot.tool !== this.#tool) {
+			throw new Error(
+				`Snapshot tool ${_vSnapshot.tool} does not match task tool ${this.#tool}.`
+			);
+		}
+		// Prevent sending authentication token to server that come from untrusted snapshot.
+		if (
+			!RequestUtils.isTrustedServer(_vSnapshot.server, this.#client_options)
+		) {
+			throw new Error(
+				`Snapshot server ${_vSnapshot.server} are not trusted, add it to trusted_servers params when expected.`
+			);
+		}
+
+		try {
+			const token = await this.#auth.getToken();
+			this.#server = this.#createTaskServer(_vSnapshot.server, token);
 		} catch (error) {
 			classifyError(error);
 		}
+
+		this.#assigned_server = _vSnapshot.server;
+		this.#task_id = _vSnapshot.task_id;
+		this.#remaining_files = _vSnapshot.remaining_files;
+		this.#files = _vSnapshot.files.map((file) => ({ ...file }));
+		this.#download_filename = _vSnapshot.download_filename;
+		this.#state = _vSnapshot.state;
 	}
 
 	/**
-	 * Upload a image for this task.
+	 * Serializes this task into snapshot that can be resumed on another process using `ILoveIMGApi.resumeTask()`.
+	 * Secrets, such as authentication token, are never included.
+	 * @returns {TaskSchema.TaskSnapshotInfered} Task snapshot.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * // On web request
+	 * const task = iloveimg.newTask('compressimage');
+	 * await task.start();
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * await queue.add('process', JSON.stringify(task.snapshot()));
+	 *
+	 * // On background job
+	 * const resumed = await iloveimg.resumeTask(JSON.parse(job.data));
+	 * await resumed.process();
+	 * ```
+	 */
+	snapshot() {
+		this.#assertState('snapshot');
+
+		return /** @type {TaskSchema.TaskSnapshotInfered} */ (this.toJSON());
+	}
+
+	/**
+	 * Serializes this task into snapshot on any state, this method are used by `JSON.stringify()` so logging task never throws.
+	 * Only snapshot of started, files added and processed task can be resumed, use `snapshot()` to check it early.
+	 * @returns {Omit<TaskSchema.TaskSnapshotInfered, 'task_id' | 'server' | 'state'> & { task_id?: string, server?: string, state: TaskSchema.TaskStateTypesInfered }} Task snapshot.
+	 */
+	toJSON() {
+		return {
+			tool: this.#tool,
+			task_id: this.#task_id,
+			server: this.#assigned_server,
+			files: (this.#files ?? []).map((file) => ({ ...file })),
+			...(this.#remaining_files !== undefined && {
+				remaining_files: this.#remaining_files
+			}),
+			state: this.#state,
+			...(this.#download_filename !== undefined && {
+				download_filename: this.#download_filename
+			})
+		};
+	}
+
+	/**
+	 * Creates `AxiosInstance` for assigned server of this task using given authentication token.
+	 * @param {string} server Assigned server host, such as `api8g.iloveimg.com`.
+	 * @param {string} token Authentication token.
+	 * @returns {import('axios').AxiosInstance} Axios instance.
+	 * @private Internal usage only.
+	 */
+	#createTaskServer(server, token) {
+		return RequestUtils.createHttpClient(
+			{
+				baseURL: RequestUtils.createBaseURL(server, this.#client_options),
+				timeout: this.#client_options.timeout,
+				headers: {
+					'Content-Type': 'application/json;charset=UTF-8',
+					Authorization: `Bearer ${token}`
+				}
+			},
+			this.#client_options
+		);
+	}
+
+	/**
+	 * Upload a image for this task. The image can be a public URL using `cloud_file`,
+	 * or a local source using `file` (file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream) that uploaded as multipart form.
 	 * @param {TaskSchema.TaskAddFileGenericOptionsInfered} options Generic options for uploading image.
 	 * @returns {Promise<TaskSchema.TaskAddFileReturnTypeInfered>} Promise resolving object containing server filename. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed or task id and server are not resolved.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @throws {import('./Error.js').BudgetExceededError} If client `budget` are exceeded, see `budget` params.
 	 */
 	async addFile(options) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
+		return TraceUtils.withSpan(
+			this.#client_options.tracer,
+			'iloveimg.addFile',
+			{ tool: this.#tool, task_id: this.#task_id },
+			async (setAttributes) => {
+				this.#assertState('addFile');
 
-		/**
-		 * Generic options that already validated by zod.
-		 */
-		const _vOptions =
-			await TaskSchema.TaskAddFileGenericOptions.parseAsync(options);
-		const isDebug = !!_vOptions?.debug;
-
-		try {
-			const response = await this.#server.post('/upload', {
-				task: this.#task_id,
-				..._vOptions
-			});
-
-			if (!isDebug) {
-				if (!response.data.server_filename) {
-					throw new Error('Invalid response: missing required fields');
+				/**
+				 * Generic options that already validated by zod.
+				 */
+				const _vOptions =
+					await TaskSchema.TaskAddFileGenericOptions.parseAsync(options);
+				// Nothing are spent on debug mode, so budget are not checked.
+				if (!_vOptions.debug) {
+					TaskUtils.assertBudget(
+						this.#client_options.budget,
+						(this.#files?.length ?? 0) + 1,
+						this.#remaining_files
+					);
 				}
 
-				const { server_filename } = response.data;
-				this.#files.push({ server_filename, filename: _vOptions.filename });
+				try {
+					const result = await TaskUtils.requestUpload(
+						this.#createRequestContext(),
+						_vOptions,
+						{
+							chunk_retries: TaskI.CHUNK_RETRIES,
+							chunk_retry_delay: TaskI.CHUNK_RETRY_DELAY,
+							pending_uploads: this.#pending_uploads,
+							setAttributes
+						}
+					);
+
+					if (!_vOptions.debug) {
+						this.#files.push({
+							server_filename: result.server_filename,
+							filename: _vOptions.filename,
+							...(_vOptions.rotate !== undefined && {
+								rotate: _vOptions.rotate
+							})
+						});
+						this.#state = 'files_added';
+						setAttributes({ file_count: this.#files.length });
+					}
+
+					return result;
+				} catch (error) {
+					classifyError(error);
+				}
 			}
+		);
+	}
 
-			return response.data;
-		} catch (error) {
-			classifyError(error);
+	/**
+	 * Asserts current lifecycle state allows given method to be called, see `TaskI.STATE_TRANSITIONS`.
+	 * @param {string} action Called method name.
+	 * @throws {TaskStateError} If current state does not allow given method.
+	 * @private Internal usage only.
+	 */
+	#assertState(action) {
+		const state = this.#state;
+		const allowed = TaskI.STATE_TRANSITIONS[action];
+
+		if (allowed.includes(state)) return;
+		if (state === 'created') {
+			throw new TaskStateError(
+				'You need to retrieve task id and assigned server first using start() method.',
+				state,
+				action
+			);
+		}
+		if (state === 'started' && allowed.includes('files_added')) {
+			throw new TaskStateError(
+				'You need to add files first using addFile() method.',
+				state,
+				action
+			);
+		}
+
+		throw new TaskStateError(
+			`Cannot call ${action}() when task state are ${state}.`,
+			state,
+			action
+		);
+	}
+
+	/**
+	 * Syncs lifecycle state with task id, assigned server and uploaded files that assigned by testing helpers.
+	 * @private Internal & testing usage only.
+	 */
+	#syncState() {
+		if (this.#state === 'created' && this.#task_id && this.#server) {
+			this.#state = 'started';
+		}
+		if (this.#state === 'started' || this.#state === 'files_added') {
+			this.#state =
+				Array.isArray(this.#files) && this.#files.length
+					? 'files_added'
+					: 'started';
+		}
+	}
+
+	/**
+	 * Calls client `budget.onLowCredits` when remaining files are equal or below `budget.low_credits_threshold`.
+	 * @private Internal usage only.
+	 */
+	#notifyLowCredits() {
+		const budget = this.#client_options.budget;
+		if (
+			budget?.low_credits_threshold === undefined ||
+			this.#remaining_files > budget.low_credits_threshold
+		) {
+			return;
 		}
+
+		HookUtils.emit(budget, 'onLowCredits', {
+			tool: this.#tool,
+			task_id: this.#task_id,
+			remaining_files: this.#remaining_files,
+			threshold: budget.low_credits_threshold
+		});
+	}
+
+	/**
+	 * Creates context used by `TaskUtils` request functions with assigned server and information of this task.
+	 * @returns {import('./util/task.util.js').TaskRequestContext} Task request context.
+	 * @private Internal usage only.
+	 */
+	#createRequestContext() {
+		return {
+			server: this.#server,
+			task_id: this.#task_id,
+			tool: this.#tool,
+			client_options: this.#client_options
+		};
 	}
 
 	/**
@@ -175,13 +507,10 @@ class TaskI {
 	 * @returns {Promise<void>} If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed or task id and server are not resolved.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
 	 */
 	async deleteFile(options) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
+		this.#assertState('deleteFile');
 
 		/**
 		 * Generic options that already validated by zod.
@@ -191,19 +520,18 @@ class TaskI {
 		const isDebug = !!_vOptions?.debug;
 
 		try {
-			const response = await this.#server.delete('/upload', {
-				data: {
-					task: this.#task_id,
-					..._vOptions
-				}
-			});
+			const result = await TaskUtils.requestDeleteFile(
+				this.#createRequestContext(),
+				_vOptions
+			);
 
-			if (isDebug) return response.data;
+			if (isDebug) return result;
 			else {
 				const server_filename = _vOptions.server_filename;
 				this.#files = this.#files.filter(
 					(file) => file.server_filename !== server_filename
 				);
+				this.#state = this.#files.length ? 'files_added' : 'started';
 			}
 		} catch (error) {
 			classifyError(error);
@@ -213,47 +541,74 @@ class TaskI {
 	/**
 	 * Process this task.
 	 * @param {TaskSchema.TaskProcessGenericOptionsInfered} [options] Generic options for processing task.
-	 * @param {TaskSchema.TaskProcessWatermarkImageOptionsInfered | TaskSchema.TaskProcessConvertImageOptionsInfered | TaskSchema.TaskProcessUpscaleImageOptionsInfered} [toolOptions] Options for specific tool. Please note that some tool has required options you must fill otherwise it will throw, see tool options from {@link https://www.iloveapi.com/docs/api-reference#resizeimage-extra-parameters here}.
+	 * @param {TaskSchema.TaskProcessCompressImageOptionsInfered | TaskSchema.TaskProcessWatermarkImageOptionsInfered | TaskSchema.TaskProcessConvertImageOptionsInfered | TaskSchema.TaskProcessCropImageOptionsInfered | TaskSchema.TaskProcessResizeImageOptionsInfered | TaskSchema.TaskProcessUpscaleImageOptionsInfered} [toolOptions] Options for specific tool. Please note that some tool has required options you must fill otherwise it will throw, see tool options from {@link https://www.iloveapi.com/docs/api-reference#resizeimage-extra-parameters here}.
 	 * @returns {Promise<TaskSchema.TaskProcessReturnTypeInfered>} Processed file meta information. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed, task id and server are not resolved, no file to process.
 	 * @throws {import('zod').ZodError} If required options or toolOptions are missing or invalid.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @throws {import('./Error.js').BudgetExceededError} If client `budget` are exceeded, see `budget` params.
 	 */
 	async process(options = {}, toolOptions = {}) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
-		if (!Array.isArray(this.#files) || !this.#files.length) {
-			throw new Error('You need to add files first using addFile() method.');
-		}
+		return TraceUtils.withSpan(
+			this.#client_options.tracer,
+			'iloveimg.process',
+			{
+				tool: this.#tool,
+				task_id: this.#task_id,
+				file_count: this.#files?.length
+			},
+			async (setAttributes) => {
+				this.#assertState('process');
 
-		/**
-		 * Generic options that already validated by zod.
-		 */
-		const _vOptions =
-			await TaskSchema.TaskProcessGenericOptions.parseAsync(options);
-		/**
-		 * Tool options that already validated by zod.
-		 */
-		const _vToolOptions = await TaskUtils.validateProcessToolOptions(
-			this.#tool,
-			toolOptions
-		);
+				/**
+				 * Generic options that already validated by zod.
+				 */
+				const _vOptions =
+					await TaskSchema.TaskProcessGenericOptions.parseAsync(options);
+				/**
+				 * Tool options that already validated by zod.
+				 */
+				const _vToolOptions = await TaskUtils.validateProcessToolOptions(
+					this.#tool,
+					toolOptions
+				);
+				if (!_vOptions.debug) {
+					TaskUtils.assertBudget(
+						this.#client_options.budget,
+						this.#files.length,
+						this.#remaining_files
+					);
+				}
 
-		try {
-			const response = await this.#server.post('/process', {
-				task: this.#task_id,
-				tool: this.#tool,
-				files: this.#files,
-				..._vOptions,
-				..._vToolOptions
-			});
+				const previousState = this.#state;
+				this.#state = 'processing';
+				try {
+					const result = await TaskUtils.requestProcess(
+						this.#createRequestContext(),
+						this.#files,
+						_vOptions,
+						_vToolOptions
+					);
 
-			return response.data;
-		} catch (error) {
-			classifyError(error);
-		}
+					if (result?.download_filename) {
+						this.#download_filename = result.download_filename;
+					}
+					setAttributes({
+						bytes: result?.filesize,
+						output_bytes: result?.output_filesize,
+						output_file_count: result?.output_filenumber
+					});
+					// Nothing are processed on debug mode, so previous state are kept.
+					this.#state = _vOptions.debug ? previousState : 'processed';
+
+					return result;
+				} catch (error) {
+					this.#state = previousState;
+					classifyError(error);
+				}
+			}
+		);
 	}
 
 	/**
@@ -262,32 +617,181 @@ class TaskI {
 	 * @returns {Promise<import('axios').AxiosResponse<Uint8Array, any>>} Promise resolve with `AxiosInstance`. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed, task id and server are not resolved.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
 	 */
 	async download(options = {}) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
+		return TraceUtils.withSpan(
+			this.#client_options.tracer,
+			'iloveimg.download',
+			{ tool: this.#tool, task_id: this.#task_id },
+			async (setAttributes) => {
+				this.#assertState('download');
 
+				/**
+				 * Generic options that already validated by zod.
+				 */
+				const _vOptions =
+					await TaskSchema.TaskDownloadGenericOptions.parseAsync(options);
+				const isDebug = !!_vOptions?.debug;
+
+				try {
+					const response = await TaskUtils.requestDownload(
+						this.#createRequestContext(),
+						_vOptions
+					);
+
+					if (isDebug) {
+						return response.data;
+					} else {
+						const contentLength = Number(response.headers?.['content-length']);
+						if (Number.isFinite(contentLength)) {
+							setAttributes({ bytes: contentLength });
+						}
+
+						return response;
+					}
+				} catch (error) {
+					classifyError(error);
+				}
+			}
+		);
+	}
+
+	/**
+	 * Downloads processed files on this task and resolves its content as `Buffer`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param {TaskSchema.TaskDownloadContentOptionsInfered} [options] Options for download request, such as `timeout` and `signal`.
+	 * @returns {Promise<Buffer>} Processed file content.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed, task id and server are not resolved.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 */
+	async downloadBuffer(options = {}) {
 		/**
-		 * Generic options that already validated by zod.
+		 * Options that already validated by zod.
 		 */
 		const _vOptions =
-			await TaskSchema.TaskDownloadGenericOptions.parseAsync(options);
-		const isDebug = !!_vOptions?.debug;
+			await TaskSchema.TaskDownloadContentOptions.parseAsync(options);
 
-		try {
-			const response = isDebug
-				? await this.#server.get(`/download/${this.#task_id}?debug=true`)
-				: await this.#server.get(`/download/${this.#task_id}`, {
-						responseType: 'stream'
-					});
+		return TaskUtils.downloadBuffer((x) => this.download(x), _vOptions);
+	}
+
+	/**
+	 * Downloads processed files on this task and resolves its content as web `ReadableStream`.
+	 * When processing more than one file, the content are a ZIP archive.
+	 * @param {TaskSchema.TaskDownloadContentOptionsInfered} [options] Options for download request, such as `timeout` and `signal`.
+	 * @returns {Promise<ReadableStream<Uint8Array>>} Processed file content stream.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed, task id and server are not resolved.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 */
+	async downloadStream(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadContentOptions.parseAsync(options);
+
+		return TaskUtils.downloadStream((x) => this.download(x), _vOptions);
+	}
 
-			if (isDebug) {
-				return response.data;
-			} else {
-				return response;
+	/**
+	 * Downloads processed files on this task and saves it into given directory, the directory are created when not exist.
+	 * Filename are resolved from `filename` option, `Content-Disposition` response header or `download_filename` from `process()`.
+	 * @param {string} directory Directory to save processed file.
+	 * @param {TaskSchema.TaskDownloadToDirectoryOptionsInfered} [options] Options for saving processed file and download request, such as `timeout` and `signal`.
+	 * @returns {Promise<TaskSchema.TaskDownloadToDirectoryReturnTypeInfered>} Saved processed file information.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed, filename cannot be resolved or processed file cannot be saved, task id and server are not resolved.
+	 * @throws {import('zod').ZodError} If `directory` or `options` are invalid.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 */
+	async downloadToDirectory(directory, options = {}) {
+		z.string().min(1).parse(directory);
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadToDirectoryOptions.parseAsync(options);
+
+		return TaskUtils.downloadToDirectory(
+			(x) => this.download(x),
+			directory,
+			_vOptions,
+			this.#download_filename
+		);
+	}
+
+	/**
+	 * Downloads processed files on this task and yields each processed image. When processing more than one file,
+	 * the downloaded ZIP archive are streamed and extracted so each contained image are yielded separately,
+	 * only current image are kept in memory and the rest of archive are read when iterated.
+	 * Each image are matched back to uploaded file from `getUploadedFiles()` using its filename without extension,
+	 * and `uploaded_file` will be `undefined` when no match found (e.g. when using custom `output_filename`)
+	 * or when more than one uploaded file share the same filename without extension.
+	 * @param {TaskSchema.TaskDownloadContentOptionsInfered} [options] Options for download request, such as `timeout` and `signal`.
+	 * @returns {AsyncGenerator<{ filename: string, buffer: Buffer, size: number, uploaded_file?: TaskSchema.TaskProcessRequiredOptionsInfered['files'][number] }>} Processed images.
+	 * @throws {ILoveApiError | NetworkError | Error} If requests failed, task id and server are not resolved or the ZIP archive are invalid.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('compressimage');
+	 * await task.start();
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * await task.addFile({ cloud_file: 'https://i.imgur.com/other.jpeg', filename: 'other.jpeg' });
+	 * await task.process();
+	 * for await (const { filename, buffer, size, uploaded_file } of task.downloadFiles()) {
+	 * 	console.log(filename, size, uploaded_file?.filename);
+	 * }
+	 * ```
+	 */
+	async *downloadFiles(options = {}) {
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskDownloadContentOptions.parseAsync(options);
+
+		const response = await this.download(
+			RequestUtils.createRequestConfig(_vOptions)
+		);
+		const contentType = response.headers?.['content-type'];
+		const filename =
+			FileUtils.parseContentDisposition(
+				response.headers?.['content-disposition']
+			) || this.#download_filename;
+
+		const files = Array.isArray(this.#files) ? this.#files : [];
+		const stem = (x) => path.parse(x).name.toLowerCase();
+		const match = (x) => {
+			const matched = files.filter((file) => stem(file.filename) === stem(x));
+			// Ambiguous when more than one uploaded file share the same stem.
+			return matched.length === 1 ? matched[0] : undefined;
+		};
+
+		if (!FileUtils.isZip(contentType, filename)) {
+			let buffer;
+			try {
+				buffer = await FileUtils.toBuffer(response.data);
+			} catch (error) {
+				classifyError(error);
+			}
+
+			yield {
+				filename,
+				buffer,
+				size: buffer.length,
+				uploaded_file:
+					(filename && match(filename)) ||
+					(files.length === 1 ? files[0] : undefined)
+			};
+			return;
+		}
+
+		try {
+			for await (const entry of ZipUtils.readEntries(response.data)) {
+				yield { ...entry, uploaded_file: match(entry.filename) };
 			}
 		} catch (error) {
 			classifyError(error);
@@ -300,61 +804,126 @@ class TaskI {
 	 * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details. If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed, task id and server are not resolved.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {import('./Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
 	 */
 	async details(options = {}) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
+		this.#assertState('details');
 
 		/**
 		 * Generic options that already validated by zod.
 		 */
 		const _vOptions =
 			await TaskSchema.TaskDetailsGenericOptions.parseAsync(options);
-		const isDebug = !!_vOptions?.debug;
 
 		try {
-			const response = isDebug
-				? await this.#server.get(`/task/${this.#task_id}?debug=true`)
-				: await this.#server.get(`/task/${this.#task_id}`);
-
-			return response.data;
+			return await TaskUtils.requestDetails(
+				this.#createRequestContext(),
+				_vOptions
+			);
 		} catch (error) {
 			classifyError(error);
 		}
 	}
 
+	/**
+	 * Creates status report of each file on this task by joining task details files with `getUploadedFiles()`, useful when processing resolves `TaskSuccessWithWarnings` status.
+	 * Each file are reported with its original filename, status, status message, sizes and whether it failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 * @param {TaskSchema.TaskFileReportOptionsInfered} [options] Options for retrieving task details and whether to throw when any file failed.
+	 * @returns {Promise<TaskSchema.TaskFileReportReturnTypeInfered>} Task file report.
+	 * @throws {Error} If requests failed, task id and server are not resolved.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 * @throws {import('./Error.js').PartialFailureError} If `throw_on_failure` enabled and any file failed to process.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * const result = await task.process();
+	 * if (result.status === 'TaskSuccessWithWarnings') {
+	 *   const { failed_files } = await task.fileReport();
+	 *   console.log(failed_files); // [{ filename: 'awesome.jpeg', status: 'DamagedFile', failed: true, ... }]
+	 * }
+	 * ```
+	 */
+	async fileReport(options = {}) {
+		this.#assertState('fileReport');
+
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskFileReportOptions.parseAsync(options);
+		const { throw_on_failure, ...detailsOptions } = _vOptions;
+		const details = await this.details(detailsOptions);
+
+		return TaskUtils.createFileReport(details, this.#files ?? [], {
+			throw_on_failure
+		});
+	}
+
+	/**
+	 * Waits until this task completed by polling task details with exponential backoff, useful when processing using `webhook` option.
+	 * Task are completed when its status are `TaskSuccess`, `TaskSuccessWithWarnings`, `TaskError`, `TaskDeleted` or `TaskNotFound`.
+	 * @param {TaskSchema.TaskWaitForCompletionOptionsInfered} [options] Options for polling task details, such as `interval` and `timeout`.
+	 * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details with terminal status.
+	 * @throws {Error} If requests failed, task id and server are not resolved, waiting are aborted or task not completed within `timeout`.
+	 * @throws {import('zod').ZodError} If `options` are invalid.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
+	 * @example
+	 * ```js
+	 * await task.process({ webhook: '' });
+	 * const details = await task.waitForCompletion({ timeout: 60000 });
+	 * ```
+	 */
+	async waitForCompletion(options = {}) {
+		this.#assertState('waitForCompletion');
+
+		/**
+		 * Options that already validated by zod.
+		 */
+		const _vOptions =
+			await TaskSchema.TaskWaitForCompletionOptions.parseAsync(options);
+
+		return TaskUtils.pollUntilComplete(
+			({ signal }) => this.details({ signal }),
+			_vOptions
+		);
+	}
+
 	/**
 	 * Delete this task.
 	 * @param {TaskSchema.TaskDeleteGenericOptionsInfered} [options] Generic options for deleting task.
 	 * @returns {Promise<void>} If `debug` is enabled, it resolves with an object containing request information instead.
 	 * @throws {Error} If requests failed, task id and server are not resolved.
 	 * @throws {import('zod').ZodError} If required options are missing or use invalid options.
+	 * @throws {TaskStateError} If current task state does not allow this method, see `getState()`.
 	 */
 	async delete(options = {}) {
-		if (!this.#task_id || !this.#server) {
-			throw new Error(
-				'You need to retrieve task id and assigned server first using start() method.'
-			);
-		}
+		return TraceUtils.withSpan(
+			this.#client_options.tracer,
+			'iloveimg.delete',
+			{ tool: this.#tool, task_id: this.#task_id },
+			async () => {
+				this.#assertState('delete');
 
-		const _vOptions =
-			await TaskSchema.TaskDeleteGenericOptions.parseAsync(options);
-		const isDebug = !!_vOptions?.debug;
+				const _vOptions =
+					await TaskSchema.TaskDeleteGenericOptions.parseAsync(options);
+				const isDebug = !!_vOptions?.debug;
 
-		try {
-			const response = isDebug
-				? await this.#server.delete(`/task/${this.#task_id}?debug=true`)
-				: await this.#server.delete(`/task/${this.#task_id}`);
+				try {
+					const result = await TaskUtils.requestDelete(
+						this.#createRequestContext(),
+						_vOptions
+					);
 
-			if (isDebug) {
-				return response.data;
+					if (isDebug) {
+						return result;
+					}
+					this.#state = 'deleted';
+				} catch (error) {
+					classifyError(error);
+				}
 			}
-		} catch (error) {
-			classifyError(error);
-		}
+		);
 	}
 
 	/**
@@ -400,8 +969,34 @@ class TaskI {
 	 */
 	_setTaskId(x) {
 		this.#task_id = x;
+		this.#syncState();
 	}
 
+	/**
+	 * Retrieve current lifecycle state of this task. Each state only allow specific methods to be called,
+	 * calling method that not allowed on current state will throw `TaskStateError`.
+	 * - `created` → `start()` → `started` → `addFile()` → `files_added` → `process()` → `processing` → `processed` → `delete()` → `deleted`
+	 * @returns {TaskSchema.TaskStateTypesInfered} Current lifecycle state.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('compressimage');
+	 * console.log(task.getState()); // 'created'
+	 * await task.start();
+	 * console.log(task.getState()); // 'started'
+	 * ```
+	 */
+	getState() {
+		return this.#state;
+	}
+
+	/**
+	 * @private Internal & testing usage only.
+	 * @param {TaskSchema.TaskStateTypesInfered} x
+	 */
+	_setState(x) {
+		this.#state = x;
+	}
 	/**
 	 * Retrieve your project remaining files. This represents the current limit on how many files you can process. You might need to call `start()` first otherwise it will return `undefined`.
 	 * @returns Project remaining files.
@@ -414,7 +1009,7 @@ class TaskI {
 	 * ```
 	 */
 	getRemainingFiles() {
-		return this.#remaining_files || undefined;
+		return this.#remaining_files;
 	}
 
 	/**
@@ -451,6 +1046,39 @@ class TaskI {
 	 */
 	_setUploadedFiles(x) {
 		this.#files = x;
+		this.#syncState();
+	}
+
+	/**
+	 * Assign clockwise rotation for uploaded image file on this task. The rotation will be forwarded when calling `process()`,
+	 * its mostly used with `rotateimage` tool. You might need to upload the file first using `addFile()` otherwise it will throw.
+	 * @param {string} serverFilename Server filename that resolved from adding image file.
+	 * @param {import('./schema/File.js').FileRotationInfered} rotate Rotation in degrees. Accepted values are `0`, `90`, `180` and `270`.
+	 * @throws {Error} If the file are not uploaded on this task.
+	 * @throws {import('zod').ZodError} If `rotate` are invalid.
+	 * @example
+	 * ```js
+	 * const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+	 * const task = iloveimg.newTask('rotateimage');
+	 * await task.start();
+	 * const { server_filename } = await task.addFile({ cloud_file: 'https://i.imgur.com/awesome.jpeg', filename: 'awesome.jpeg' });
+	 * task.setFileRotation(server_filename, 90);
+	 * await task.process();
+	 * ```
+	 */
+	setFileRotation(serverFilename, rotate) {
+		const _vRotate = FileSchema.FileRotation.parse(rotate);
+		const file = Array.isArray(this.#files)
+			? this.#files.find((x) => x.server_filename === serverFilename)
+			: undefined;
+
+		if (!file) {
+			throw new Error(
+				'You need to add file first using addFile() method before assigning rotation.'
+			);
+		}
+
+		file.rotate = _vRotate;
 	}
 
 	/**
@@ -477,6 +1105,7 @@ class TaskI {
 	 */
 	_setServer(x) {
 		this.#server = x;
+		this.#syncState();
 	}
 }
 
@@ -0,0 +1,84 @@
+import { IncomingMessage, ServerResponse } from 'node:http';
+import Task from './Task';
+import { ToolTypesInfered } from './schema/Tool';
+import {
+	TaskStatusTypesInfered,
+	TaskDetailsReturnTypeInfered
+} from './schema/Task';
+import {
+	WebhookParseOptionsInfered,
+	WebhookVerifyOptionsInfered,
+	WebhookHandlerOptionsInfered
+} from './schema/Webhook';
+
+export type WebhookEvent = {
+	/** Webhook event name, such as `task.completed`. */
+	event: string;
+	/** Task id. */
+	task_id?: string;
+	/** Task assigned server. */
+	server?: string;
+	/** Tool type. */
+	tool?: ToolTypesInfered;
+	/** Task status. */
+	status: TaskStatusTypesInfered;
+	/** Task details that already validated by zod. */
+	details: TaskDetailsReturnTypeInfered;
+	/** Task instance for downloading processed files, only exist when `publicKey` provided and event include task id and server. */
+	task?: Task;
+};
+
+/**
+ * Parses webhook request body sent by `ILoveApi` when processing task using `webhook` option.
+ * The body can be an object that already parsed by your framework, or raw JSON as `string`, `Buffer` or `Uint8Array`.
+ *
+ * Webhook requests are not signed, so task server are only accepted when it trusted, see `trusted_servers` params.
+ * Use `verifyWebhook()` to also confirm the task through configured `base_url` before using its `Task` instance.
+ * @param body Webhook request body.
+ * @param options Options used to create `Task` instance on parsed event.
+ * @returns Parsed webhook event.
+ * @throws `Error` If raw body are not a valid JSON.
+ * @throws `ZodError` If the payload or `options` are invalid.
+ * @throws `WebhookVerificationError` If task server are not trusted.
+ */
+export function parseWebhook(
+	body: unknown,
+	options?: WebhookParseOptionsInfered
+): WebhookEvent;
+
+/**
+ * Parses webhook request body using `parseWebhook()`, then confirms the event through configured `base_url`
+ * by retrieving task details of its task id, so only task that exist on your project are accepted.
+ * Resolved event use confirmed task details instead of the payload.
+ * @param body Webhook request body.
+ * @param options Options used to confirm the task and create `Task` instance on parsed event.
+ * @returns Confirmed webhook event.
+ * @throws `Error` If raw body are not a valid JSON or requests failed.
+ * @throws `ZodError` If the payload or `options` are invalid.
+ * @throws `WebhookVerificationError` If task server are not trusted, or the task cannot be confirmed.
+ */
+export function verifyWebhook(
+	body: unknown,
+	options: WebhookVerifyOptionsInfered
+): Promise<WebhookEvent>;
+
+/**
+ * Creates Node `http` request handler that receives webhook requests sent by `ILoveApi`.
+ * Each valid request are parsed using `verifyWebhook()` when `publicKey` provided and `verify` enabled,
+ * otherwise using `parseWebhook()`, then passed to `onEvent`, and responded with:
+ * - `200` when `onEvent` resolved.
+ * - `400` when the payload are invalid.
+ * - `403` when task server are not trusted or the task cannot be confirmed.
+ * - `405` when request method are not `POST`.
+ * - `413` when request body exceeds `max_body_size`.
+ * - `500` when `onEvent` throws or confirming the task failed.
+ * @param options Handler options.
+ * @returns Request handler.
+ * @throws `ZodError` If `options` are invalid.
+ */
+export function createWebhookHandler(
+	options: WebhookHandlerOptionsInfered
+): (
+	req: IncomingMessage & { body?: unknown },
+	res: ServerResponse
+) => Promise<void>;
@@ -0,0 +1,339 @@
+import Task from './Task.js';
+import * as Schema from './schema/Webhook.js';
+import * as ClientSchema from './schema/Client.js';
+import * as _RequestUtils from './util/request.util.js';
+import {
+	ILoveApiError,
+	NetworkError,
+	AbortError,
+	TaskNotFoundError,
+	WebhookVerificationError
+} from './Error.js';
+
+// We need to import with this behaviour to make sinon working in testing environment
+const RequestUtils = _RequestUtils.default;
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} event Webhook event name, such as `task.completed`.
+ * @property {string} [task_id] Task id.
+ * @property {string} [server] Task assigned server.
+ * @property {import('./schema/Tool.js').ToolTypesInfered} [tool] Tool type.
+ * @property {import('./schema/Task.js').TaskStatusTypesInfered} status Task status.
+ * @property {import('./schema/Task.js').TaskDetailsReturnTypeInfered} details Task details that already validated by zod.
+ * @property {Task} [task] Task instance for downloading processed files, only exist when `publicKey` provided and event include task id and server.
+ */
+
+/**
+ * Parses webhook request body sent by `ILoveApi` when processing task using `webhook` option.
+ * The body can be an object that already parsed by your framework, or raw JSON as `string`, `Buffer` or `Uint8Array`.
+ *
+ * Webhook requests are not signed, so task server are only accepted when it trusted, see `trusted_servers` params.
+ * Use {@link verifyWebhook} to also confirm the task through configured `base_url` before using its `Task` instance.
+ *
+ * @param {unknown} body Webhook request body.
+ * @param {Schema.WebhookParseOptionsInfered} [options] Options used to create `Task` instance on parsed event.
+ * @returns {WebhookEvent} Parsed webhook event.
+ * @throws {Error} If raw body are not a valid JSON.
+ * @throws {import('zod').ZodError} If the payload or `options` are invalid.
+ * @throws {WebhookVerificationError} If task server are not trusted.
+ * @example
+ * ```js
+ * import { parseWebhook } from '@rheyhannh/iloveimg-nodejs';
+ *
+ * app.post('/webhook', express.json(), async (req, res) => {
+ *   const { status, task } = parseWebhook(req.body, { publicKey: 'publicKey', secretKey: 'secretKey' });
+ *   if (status === 'TaskSuccess') await task.downloadToDirectory('./output');
+ *   res.sendStatus(200);
+ * });
+ * ```
+ */
+export function parseWebhook(body, options = {}) {
+	/**
+	 * Options that already validated by zod.
+	 */
+	const _vOptions = Schema.WebhookParseOptions.parse(options);
+	const clientOptions = ClientSchema.ClientOptions.parse(
+		_vOptions.params ?? {}
+	);
+	const payload = Schema.WebhookPayload.parse(readBody(body));
+	const { task, ...details } = payload.data.task;
+	const task_id = details.task_id ?? task;
+
+	// Prevent sending authentication token to server that come from unauthenticated request.
+	if (
+		details.server &&
+		!RequestUtils.isTrustedServer(details.server, clientOptions)
+	) {
+		throw new WebhookVerificationError(
+			`Webhook task server ${details.server} are not trusted, add it to trusted_servers params when expected.`
+		);
+	}
+
+	return {
+		event: payload.event,
+		task_id,
+		server: details.server,
+		tool: details.tool,
+		status: details.status,
+		details: { ...details, ...(task_id !== undefined && { task_id }) },
+		...(_vOptions.publicKey &&
+			task_id &&
+			details.server && {
+				task: new Task(
+					_vOptions.publicKey,
+					_vOptions.secretKey,
+					task_id,
+					details.server,
+					_vOptions.params
+				)
+			})
+	};
+}
+
+/**
+ * Parses webhook request body using {@link parseWebhook}, then confirms the event through configured `base_url`
+ * by retrieving task details of its task id, so only task that exist on your project are accepted.
+ * Resolved event use confirmed task details instead of the payload.
+ *
+ * @param {unknown} body Webhook request body.
+ * @param {Schema.WebhookVerifyOptionsInfered} options Options used to confirm the task and create `Task` instance on parsed event.
+ * @returns {Promise<WebhookEvent>} Confirmed webhook event.
+ * @throws {Error} If raw body are not a valid JSON or requests failed.
+ * @throws {import('zod').ZodError} If the payload or `options` are invalid.
+ * @throws {WebhookVerificationError} If task server are not trusted, or the task cannot be confirmed.
+ * @example
+ * ```js
+ * import { verifyWebhook } from '@rheyhannh/iloveimg-nodejs';
+ *
+ * app.post('/webhook', express.json(), async (req, res) => {
+ *   const { status, task } = await verifyWebhook(req.body, { publicKey: 'publicKey', secretKey: 'secretKey' });
+ *   if (status === 'TaskSuccess') await task.downloadToDirectory('./output');
+ *   res.sendStatus(200);
+ * });
+ * ```
+ */
+export async function verifyWebhook(body, options) {
+	/**
+	 * Options that already validated by zod.
+	 */
+	const _vOptions = Schema.WebhookVerifyOptions.parse(options);
+	const event = parseWebhook(body, _vOptions);
+
+	if (!event.task_id) {
+		throw new WebhookVerificationError(
+			'Webhook event does not include task id.'
+		);
+	}
+
+	const { publicKey, secretKey, params = {} } = _vOptions;
+	const { base_url } = ClientSchema.ClientOptions.parse(params);
+	const trusted = new Task(
+		publicKey,
+		secretKey,
+		event.task_id,
+		base_url,
+		params
+	);
+
+	let details;
+	try {
+		details = await trusted.details();
+	} catch (error) {
+		if (error instanceof TaskNotFoundError) {
+			throw new WebhookVerificationError(
+				`Webhook task ${event.task_id} are not found on this project.`,
+				error
+			);
+		}
+
+		throw error;
+	}
+
+	if (
+		(details.task_id !== undefined && details.task_id !== event.task_id) ||
+		(event.server !== undefined && details.server !== event.server)
+	) {
+		throw new WebhookVerificationError(
+			`Webhook task ${event.task_id} does not match its task details.`
+		);
+	}
+
+	return {
+		...event,
+		tool: details.tool ?? event.tool,
+		status: details.status,
+		details: { ...details, task_id: event.task_id }
+	};
+}
+
+/**
+ * Creates Node `http` request handler that receives webhook requests sent by `ILoveApi`.
+ * Each valid request are parsed using {@link verifyWebhook} when `publicKey` provided and `verify` enabled,
+ * otherwise using {@link parseWebhook}, then passed to `onEvent`, and responded with:
+ * - `200` when `onEvent` resolved.
+ * - `400` when the payload are invalid.
+ * - `403` when task server are not trusted or the task cannot be confirmed.
+ * - `405` when request method are not `POST`.
+ * - `413` when request body exceeds `max_body_size`.
+ * - `500` when `onEvent` throws or confirming the task failed.
+ *
+ * @param {Schema.WebhookHandlerOptionsInfered} options Handler options.
+ * @returns {(req: import('node:http').IncomingMessage & { body?: unknown }, res: import('node:http').ServerResponse) => Promise<void>} Request handler.
+ * @throws {import('zod').ZodError} If `options` are invalid.
+ * @example
+ * ```js
+ * import http from 'node:http';
+ * import { createWebhookHandler } from '@rheyhannh/iloveimg-nodejs';
+ *
+ * const handler = createWebhookHandler({
+ *   publicKey: 'publicKey',
+ *   secretKey: 'secretKey',
+ *   onEvent: async ({ status, task }) => {
+ *     if (status === 'TaskSuccess') await task.downloadToDirectory('./output');
+ *   }
+ * });
+ *
+ * http.createServer(handler).listen(3000);
+ * ```
+ */
+export function createWebhookHandler(options) {
+	/**
+	 * Options that already validated by zod.
+	 */
+	const _vOptions = Schema.WebhookHandlerOptions.parse(options);
+	const { onEvent, onError, max_body_size, verify, ...parseOptions } =
+		_vOptions;
+
+	return async (req, res) => {
+		if (req.method !== 'POST') {
+			return respond(res, 405, { Allow: 'POST' });
+		}
+
+		let event;
+		try {
+			// Use body that already parsed by framework middleware when exist.
+			const body =
+				req.body !== undefined
+					? req.body
+					: await readRequest(req, max_body_size);
+			event =
+				verify && parseOptions.publicKey
+					? await verifyWebhook(body, parseOptions)
+					: parseWebhook(body, parseOptions);
+		} catch (error) {
+			notifyError(onError, error);
+			return respond(res, getErrorStatus(error));
+		}
+
+		try {
+			await onEvent(event);
+			respond(res, 200);
+		} catch (error) {
+			notifyError(onError, error);
+			respond(res, 500);
+		}
+	};
+}
+
+/**
+ * Represents a webhook request body that exceeds `max_body_size`.
+ * @private Internal usage only.
+ */
+class PayloadTooLargeError extends Error {
+	constructor(size) {
+		super(`Webhook request body exceeds ${size} bytes.`);
+		this.name = 'PayloadTooLargeError';
+	}
+}
+
+/**
+ * Reads webhook body, raw body are parsed as JSON.
+ * @param {unknown} body Webhook request body.
+ * @returns {unknown} Parsed body.
+ * @throws {Error} If raw body are not a valid JSON.
+ * @private Internal usage only.
+ */
+function readBody(body) {
+	if (typeof body !== 'string' && !(body instanceof Uint8Array)) return body;
+
+	const text =
+		typeof body === 'string' ? body : Buffer.from(body).toString('utf8');
+
+	try {
+		return JSON.parse(text);
+	} catch {
+		throw new Error('Webhook body must be a valid JSON.');
+	}
+}
+
+/**
+ * Reads request body as `Buffer`.
+ * @param {import('node:http').IncomingMessage} req Incoming request.
+ * @param {number} max_body_size Maximum request body size in `bytes`.
+ * @returns {Promise<Buffer>} Request body.
+ * @throws {PayloadTooLargeError} If request body exceeds `max_body_size`.
+ * @private Internal usage only.
+ */
+async function readRequest(req, max_body_size) {
+	const chunks = [];
+	let size = 0;
+
+	for await (const chunk of req) {
+		size += chunk.length;
+		if (size > max_body_size) throw new PayloadTooLargeError(max_body_size);
+		chunks.push(Buffer.from(chunk));
+	}
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Resolves response status code of error thrown while reading, parsing or confirming webhook request.
+ * @param {Error} error Thrown error.
+ * @returns {number} Response status code.
+ * @private Internal usage only.
+ */
+function getErrorStatus(error) {
+	if (error instanceof PayloadTooLargeError) return 413;
+	if (error instanceof WebhookVerificationError) return 403;
+
+	// Confirming the task failed, let ILoveApi retry the request.
+	if (
+		error instanceof ILoveApiError ||
+		error instanceof NetworkError ||
+		error instanceof AbortError
+	) {
+		return 500;
+	}
+
+	return 400;
+}
+
+/**
+ * Calls `onError` handler option. Errors thrown or rejected by the handler are ignored so the request always responded.
+ * @param {((error: unknown) => unknown) | undefined} onError `onError` handler option.
+ * @param {unknown} error Thrown error.
+ * @private Internal usage only.
+ */
+function notifyError(onError, error) {
+	if (typeof onError !== 'function') return;
+
+	try {
+		Promise.resolve(onError(error)).catch(() => {});
+	} catch {
+		// Ignore onError errors.
+	}
+}
+
+/**
+ * Ends response with given status code.
+ * @param {import('node:http').ServerResponse} res Server response.
+ * @param {number} status Response status code.
+ * @param {import('node:http').OutgoingHttpHeaders} [headers] Response headers.
+ * @private Internal usage only.
+ */
+function respond(res, status, headers = {}) {
+	res.writeHead(status, headers);
+	res.end();
+}
@@ -13,5 +13,10 @@ export default {
 	 * ILoveApi version
 	 * - e.g. `v1`
 	 */
-	ILOVEIMG_API_VERSION: 'v1'
+	ILOVEIMG_API_VERSION: 'v1',
+	/**
+	 * ILoveApi assigned task server host pattern, used to trust task server that not come from `start()`
+	 * - e.g. `api8g.iloveimg.com`
+	 */
+	ILOVEIMG_API_SERVER_PATTERN: /^api[a-z0-9]*\.(iloveimg|ilovepdf)\.com$/i
 };
@@ -0,0 +1,322 @@
+import { z } from 'zod';
+import { Agent } from 'node:http';
+import { Tracer } from '@opentelemetry/api';
+import { AxiosInstance, CreateAxiosDefaults } from 'axios';
+
+export type RetryMethodsInfered =
+	| 'auth'
+	| 'start'
+	| 'addFile'
+	| 'deleteFile'
+	| 'process'
+	| 'download'
+	| 'details'
+	| 'delete'
+	| 'listTasks';
+
+export declare const RetryMethods: z.ZodType<RetryMethodsInfered>;
+
+export type RetryOptionsInfered = {
+	/**
+	 * Maximum retry attempts after the first failed request, set to `0` to disable retries.
+	 * - Default: `0`
+	 */
+	retries?: number;
+	/**
+	 * Initial backoff delay in `milliseconds`, multiplied by `factor` on each attempt.
+	 * - Default: `500`
+	 */
+	delay?: number;
+	/**
+	 * Backoff multiplier applied on each attempt.
+	 * - Default: `2`
+	 */
+	factor?: number;
+	/**
+	 * Maximum delay between attempts in `milliseconds`, also applied to `Retry-After` response header.
+	 * - Default: `30000`
+	 */
+	max_delay?: number;
+	/**
+	 * Randomize each delay between half and full computed delay to avoid concurrent clients retrying at the same time.
+	 * - Default: `true`
+	 */
+	jitter?: boolean;
+	/**
+	 * Response status codes that are retried, network errors are always retried.
+	 * - Default: `[408, 429, 500, 502, 503, 504]`
+	 */
+	statuses?: Array<number>;
+	/**
+	 * Methods that are retried. `process` are excluded by default since its not idempotent,
+	 * include it explicitly to opt in.
+	 * - Default: All methods except `process`
+	 */
+	methods?: Array<RetryMethodsInfered>;
+	/**
+	 * Wait for `Retry-After` response header value instead of computed backoff when exist.
+	 * - Default: `true`
+	 */
+	retry_after?: boolean;
+};
+
+export declare const RetryOptions: z.ZodType<RetryOptionsInfered>;
+
+export type TransportInfered =
+	| {
+			/**
+			 * Factory that receives instance config (`baseURL`, `headers` and `timeout`) and returns `AxiosInstance`.
+			 * Useful to add proxies, custom agents or keep-alive pools.
+			 */
+			axios: (config: CreateAxiosDefaults) => AxiosInstance;
+	  }
+	| {
+			/**
+			 * Fetch-compatible function used to send each request instead of Axios default adapter.
+			 */
+			fetch: typeof fetch;
+	  };
+
+export declare const Transport: z.ZodType<TransportInfered>;
+
+export type HookRequestEventInfered = {
+	/**
+	 * Method name that making the request, such as `start`, `process` or `listTasks`.
+	 */
+	method: RetryMethodsInfered;
+	/**
+	 * Tool type of the task, when the request made by a task.
+	 */
+	tool?: string;
+	/**
+	 * Task id, when the request made by a task that already started.
+	 */
+	task_id?: string;
+	/**
+	 * HTTP method, such as `GET`, `POST` or `DELETE`.
+	 */
+	http_method: 'GET' | 'POST' | 'DELETE';
+	/**
+	 * Requested endpoint relative to server base URL, such as `/process`.
+	 */
+	endpoint: string;
+	/**
+	 * Redacted request payload when exist.
+	 */
+	data?: any;
+	/**
+	 * Zero based attempt index.
+	 */
+	attempt: number;
+};
+
+export type HookResponseEventInfered = HookRequestEventInfered & {
+	/**
+	 * Response status code.
+	 */
+	status?: number;
+	/**
+	 * Request duration in `milliseconds`.
+	 */
+	duration: number;
+};
+
+export type HookErrorEventInfered = HookResponseEventInfered & {
+	/**
+	 * Redacted description of error thrown by the request.
+	 */
+	error: { name: string; message: string; code?: string };
+};
+
+export type HookRetryEventInfered = HookErrorEventInfered & {
+	/**
+	 * Delay before next attempt in `milliseconds`.
+	 */
+	delay: number;
+};
+
+export type HooksInfered = {
+	/**
+	 * Called before each request attempt are made.
+	 */
+	onRequest?: (event: HookRequestEventInfered) => void | Promise<void>;
+	/**
+	 * Called after each request attempt succeeded, including `status` and `duration`.
+	 */
+	onResponse?: (event: HookResponseEventInfered) => void | Promise<void>;
+	/**
+	 * Called after each request attempt failed, including `status`, `duration` and `error` description.
+	 */
+	onError?: (event: HookErrorEventInfered) => void | Promise<void>;
+	/**
+	 * Called before waiting for next attempt of failed request, including `delay`.
+	 */
+	onRetry?: (event: HookRetryEventInfered) => void | Promise<void>;
+};
+
+export declare const Hooks: z.ZodType<HooksInfered>;
+
+export type BudgetLowCreditsEventInfered = {
+	/**
+	 * Tool type of the started task.
+	 */
+	tool: string;
+	/**
+	 * Task id of the started task.
+	 */
+	task_id: string;
+	/**
+	 * Remaining files reported by `start()`.
+	 */
+	remaining_files: number;
+	/**
+	 * Configured `low_credits_threshold`.
+	 */
+	threshold: number;
+};
+
+export type BudgetOptionsInfered = {
+	/**
+	 * Minimum remaining files to keep in reserve, `addFile()` and `process()` are rejected with `BudgetExceededError`
+	 * when processing task files would leave fewer remaining files than this value.
+	 * Only checked by `TaskI` since `Task` module never resolves remaining files.
+	 */
+	reserve?: number;
+	/**
+	 * Maximum files per task, `addFile()` and `process()` are rejected with `BudgetExceededError` when task files exceeds this value.
+	 */
+	max_files?: number;
+	/**
+	 * Remaining files threshold, `onLowCredits` are called when remaining files reported by `start()` are equal or below this value.
+	 */
+	low_credits_threshold?: number;
+	/**
+	 * Called when remaining files reported by `start()` are equal or below `low_credits_threshold`, errors thrown by this callback are ignored.
+	 */
+	onLowCredits?: (event: BudgetLowCreditsEventInfered) => void | Promise<void>;
+};
+
+export declare const BudgetOptions: z.ZodType<BudgetOptionsInfered>;
+
+export type ProxyOptionsInfered =
+	| false
+	| {
+			/**
+			 * Proxy protocol.
+			 * - Default: `http`
+			 */
+			protocol?: 'http' | 'https';
+			/**
+			 * Proxy host, such as `proxy.company.com`.
+			 */
+			host: string;
+			/**
+			 * Proxy port.
+			 */
+			port: number;
+			/**
+			 * Proxy basic authentication credentials.
+			 */
+			auth?: {
+				username: string;
+				password: string;
+			};
+	  };
+
+export declare const ProxyOptions: z.ZodType<ProxyOptionsInfered>;
+
+export type CertificateAuthorityInfered =
+	| string
+	| Buffer
+	| [string | Buffer, ...(string | Buffer)[]];
+
+export declare const CertificateAuthority: z.ZodType<CertificateAuthorityInfered>;
+
+export type ServerHostInfered = string;
+
+export declare const ServerHost: z.ZodType<ServerHostInfered>;
+
+export type ClientOptionsInfered = {
+	/**
+	 * `ILoveApi` fixed server used to authenticate, start and list tasks, either a host (with optional port), such as `localhost:8080`,
+	 * or a full URL with optional path prefix, such as `https://proxy.local/iloveimg`, which protocol are used instead of `protocol`.
+	 * When self-signed token `iss` are not provided, its hostname are used as `iss`.
+	 * - Default: `api.ilovepdf.com`
+	 */
+	base_url?: string;
+	/**
+	 * Protocol used on fixed server and assigned task servers, fixed server use `base_url` protocol instead when it are a full URL.
+	 * - Default: `base_url` protocol when it are a full URL, otherwise `https`
+	 */
+	protocol?: 'http' | 'https';
+	/**
+	 * API version used on fixed server and assigned task servers.
+	 * - Default: `v1`
+	 */
+	version?: string;
+	/**
+	 * Additional task server hosts (with optional port) trusted on webhook events and resumed tasks, such as self-hosted or mock servers.
+	 * Servers that match `ILoveApi` server pattern, such as `api8g.iloveimg.com`, and `base_url` are always trusted.
+	 * - Default: `[]`
+	 */
+	trusted_servers?: string[];
+	/**
+	 * Request timeout in `milliseconds` applied to each request, set to `0` to disable timeout.
+	 * Each call can override this value using its `timeout` option.
+	 * - Default: `0`
+	 */
+	timeout?: number;
+	/**
+	 * Retry policy applied to failed requests caused by network errors or retryable response status codes.
+	 * By default no request are retried.
+	 */
+	retry?: RetryOptionsInfered;
+	/**
+	 * HTTP transport used to make requests, either an `AxiosInstance` factory or a fetch-compatible function.
+	 * By default requests are made using `axios.create()`.
+	 */
+	transport?: TransportInfered;
+	/**
+	 * Lifecycle hooks called for each request made by `Auth`, `ILoveIMGApi`, `Task` and `TaskI`, useful for logging and metrics.
+	 * Events are redacted from secrets, such as `secret_key` and bearer tokens, and errors thrown by hooks are ignored.
+	 */
+	hooks?: HooksInfered;
+	/**
+	 * OpenTelemetry tracer used to create spans around task lifecycle and authentication, such as `trace.getTracer('iloveimg')`.
+	 * By default no span are created.
+	 */
+	tracer?: Tracer;
+	/**
+	 * Enables strict mode, each `ILoveApi` response are parsed using its return type schema
+	 * and rejected with `ResponseValidationError` carrying the raw body when it does not match.
+	 * - Default: `false`
+	 */
+	strict?: boolean;
+	/**
+	 * Credit budget checked by tasks before spending remaining files, such as files to keep in reserve and maximum files per task.
+	 * By default no budget are applied.
+	 */
+	budget?: BudgetOptionsInfered;
+	/**
+	 * Proxy used on fixed server and assigned task servers, set to `false` to ignore proxy environment variables.
+	 * By default Axios use `http_proxy` and `https_proxy` environment variables when exist.
+	 */
+	proxy?: ProxyOptionsInfered;
+	/**
+	 * Custom `http.Agent` used on `http` requests, such as keep-alive or proxy agents.
+	 */
+	http_agent?: Agent;
+	/**
+	 * Custom `https.Agent` used on `https` requests, such as keep-alive, proxy or client certificate agents.
+	 * Proxy agents that extend `http.Agent`, such as `HttpsProxyAgent`, are also accepted.
+	 */
+	https_agent?: Agent;
+	/**
+	 * Trusted CA certificates in PEM format used on `https` requests, such as private CA of corporate proxy.
+	 * Trusted in addition to Node default root certificates.
+	 * Cannot be combined with `https_agent`, set `ca` on that agent instead.
+	 */
+	ca?: CertificateAuthorityInfered;
+};
+
+export declare const ClientOptions: z.ZodType<ClientOptionsInfered>;
@@ -0,0 +1,327 @@
+import { z } from 'zod';
+import http from 'node:http';
+import config from '../config/global.js';
+
+const { ILOVEIMG_API_URL, ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } =
+	config;
+
+/**
+ * @typedef {z.infer<typeof RetryMethods>} RetryMethodsInfered
+ */
+export const RetryMethods = z.enum([
+	'auth',
+	'start',
+	'addFile',
+	'deleteFile',
+	'process',
+	'download',
+	'details',
+	'delete',
+	'listTasks'
+]);
+
+/**
+ * @typedef {z.infer<typeof RetryOptions>} RetryOptionsInfered
+ */
+export const RetryOptions = z.object({
+	/**
+	 * Maximum retry attempts after the first failed request, set to `0` to disable retries.
+	 * - Default: `0`
+	 */
+	retries: z.number().int().nonnegative().optional().default(0),
+	/**
+	 * Initial backoff delay in `milliseconds`, multiplied by `factor` on each attempt.
+	 * - Default: `500`
+	 */
+	delay: z.number().nonnegative().optional().default(500),
+	/**
+	 * Backoff multiplier applied on each attempt.
+	 * - Default: `2`
+	 */
+	factor: z.number().min(1).optional().default(2),
+	/**
+	 * Maximum delay between attempts in `milliseconds`, also applied to `Retry-After` response header.
+	 * - Default: `30000`
+	 */
+	max_delay: z.number().nonnegative().optional().default(30000),
+	/**
+	 * Randomize each delay between half and full computed delay to avoid concurrent clients retrying at the same time.
+	 * - Default: `true`
+	 */
+	jitter: z.boolean().optional().default(true),
+	/**
+	 * Response status codes that are retried, network errors are always retried.
+	 * - Default: `[408, 429, 500, 502, 503, 504]`
+	 */
+	statuses: z
+		.array(z.number().int())
+		.optional()
+		.default([408, 429, 500, 502, 503, 504]),
+	/**
+	 * Methods that are retried. `process` are excluded by default since its not idempotent,
+	 * include it explicitly to opt in.
+	 * - Default: All methods except `process`
+	 */
+	methods: z
+		.array(RetryMethods)
+		.optional()
+		.default([
+			'auth',
+			'start',
+			'addFile',
+			'deleteFile',
+			'download',
+			'details',
+			'delete',
+			'listTasks'
+		]),
+	/**
+	 * Wait for `Retry-After` response header value instead of computed backoff when exist.
+	 * - Default: `true`
+	 */
+	retry_after: z.boolean().optional().default(true)
+});
+
+/**
+ * @typedef {z.infer<typeof Transport>} TransportInfered
+ */
+export const Transport = z.union([
+	z
+		.object({
+			/**
+			 * Factory that receives instance config (`baseURL`, `headers` and `timeout`) and returns `AxiosInstance`.
+			 * Useful to add proxies, custom agents or keep-alive pools.
+			 */
+			axios: z.instanceof(Function)
+		})
+		.strict(),
+	z
+		.object({
+			/**
+			 * Fetch-compatible function used to send each request instead of Axios default adapter.
+			 */
+			fetch: z.instanceof(Function)
+		})
+		.strict()
+]);
+
+/**
+ * @typedef {z.infer<typeof Hooks>} HooksInfered
+ */
+export const Hooks = z
+	.object({
+		/**
+		 * Called before each request attempt are made.
+		 */
+		onRequest: z.instanceof(Function).optional(),
+		/**
+		 * Called after each request attempt succeeded, including `status` and `duration`.
+		 */
+		onResponse: z.instanceof(Function).optional(),
+		/**
+		 * Called after each request attempt failed, including `status`, `duration` and `error` description.
+		 */
+		onError: z.instanceof(Function).optional(),
+		/**
+		 * Called before waiting for next attempt of failed request, including `delay`.
+		 */
+		onRetry: z.instanceof(Function).optional()
+	})
+	.strict();
+
+/**
+ * @typedef {z.infer<typeof BudgetOptions>} BudgetOptionsInfered
+ */
+export const BudgetOptions = z
+	.object({
+		/**
+		 * Minimum remaining files to keep in reserve, `addFile()` and `process()` are rejected with `BudgetExceededError`
+		 * when processing task files would leave fewer remaining files than this value.
+		 * Only checked by `TaskI` since `Task` module never resolves remaining files.
+		 */
+		reserve: z.number().int().nonnegative().optional(),
+		/**
+		 * Maximum files per task, `addFile()` and `process()` are rejected with `BudgetExceededError` when task files exceeds this value.
+		 */
+		max_files: z.number().int().positive().optional(),
+		/**
+		 * Remaining files threshold, `onLowCredits` are called when remaining files reported by `start()` are equal or below this value.
+		 */
+		low_credits_threshold: z.number().int().nonnegative().optional(),
+		/**
+		 * Called when remaining files reported by `start()` are equal or below `low_credits_threshold`, errors thrown by this callback are ignored.
+		 */
+		onLowCredits: z.instanceof(Function).optional()
+	})
+	.strict();
+
+/**
+ * @typedef {z.infer<typeof ProxyOptions>} ProxyOptionsInfered
+ */
+export const ProxyOptions = z.union([
+	z.literal(false),
+	z.object({
+		/**
+		 * Proxy protocol.
+		 * - Default: `http`
+		 */
+		protocol: z.enum(['http', 'https']).optional(),
+		/**
+		 * Proxy host, such as `proxy.company.com`.
+		 */
+		host: z.string().min(1),
+		/**
+		 * Proxy port.
+		 */
+		port: z.number().int().min(1).max(65535),
+		/**
+		 * Proxy basic authentication credentials.
+		 */
+		auth: z
+			.object({
+				username: z.string(),
+				password: z.string()
+			})
+			.optional()
+	})
+]);
+
+/**
+ * @typedef {z.infer<typeof CertificateAuthority>} CertificateAuthorityInfered
+ */
+export const CertificateAuthority = z.union([
+	z.string().min(1),
+	z.instanceof(Buffer),
+	z.array(z.union([z.string().min(1), z.instanceof(Buffer)])).nonempty()
+]);
+
+/**
+ * @typedef {z.infer<typeof ServerHost>} ServerHostInfered
+ */
+export const ServerHost = z
+	.string()
+	.regex(
+		/^[^\s/:?#]+(:\d+)?$/,
+		'server must be a host without protocol or path, such as api8g.iloveimg.com or localhost:8080'
+	);
+
+/**
+ * @typedef {z.infer<typeof ClientOptions>} ClientOptionsInfered
+ */
+export const ClientOptions = z
+	.object({
+		/**
+		 * `ILoveApi` fixed server used to authenticate, start and list tasks, either a host (with optional port), such as `localhost:8080`,
+		 * or a full URL with optional path prefix, such as `https://proxy.local/iloveimg`, which protocol are used instead of `protocol`.
+		 * When self-signed token `iss` are not provided, its hostname are used as `iss`.
+		 * - Default: `api.ilovepdf.com`
+		 */
+		base_url: z
+			.string()
+			.regex(
+				/^(https?:\/\/[^\s/:?#]+(:\d+)?(\/[^\s?#]*)?|[^\s/:?#]+(:\d+)?)$/i,
+				'base_url must be a host or http(s) URL without query, such as api.ilovepdf.com, localhost:8080 or https://proxy.local/iloveimg'
+			)
+			.optional()
+			.default(ILOVEIMG_API_URL),
+		/**
+		 * Protocol used on fixed server and assigned task servers, fixed server use `base_url` protocol instead when it are a full URL.
+		 * - Default: `base_url` protocol when it are a full URL, otherwise `https`
+		 */
+		protocol: z.enum(['http', 'https']).optional(),
+		/**
+		 * API version used on fixed server and assigned task servers.
+		 * - Default: `v1`
+		 */
+		version: z
+			.string()
+			.regex(/^[\w.-]+$/, 'version must be a single path segment, such as v1')
+			.optional()
+			.default(ILOVEIMG_API_VERSION),
+		/**
+		 * Additional task server hosts (with optional port) trusted on webhook events and resumed tasks, such as self-hosted or mock servers.
+		 * Servers that match `ILoveApi` server pattern, such as `api8g.iloveimg.com`, and `base_url` are always trusted.
+		 * - Default: `[]`
+		 */
+		trusted_servers: ServerHost.array().optional().default([]),
+		/**
+		 * Request timeout in `milliseconds` applied to each request, set to `0` to disable timeout.
+		 * Each call can override this value using its `timeout` option.
+		 * - Default: `0`
+		 */
+		timeout: z.number().int().nonnegative().optional().default(0),
+		/**
+		 * Retry policy applied to failed requests caused by network errors or retryable response status codes.
+		 * By default no request are retried.
+		 */
+		retry: RetryOptions.optional().default({}),
+		/**
+		 * HTTP transport used to make requests, either an `AxiosInstance` factory or a fetch-compatible function.
+		 * By default requests are made using `axios.create()`.
+		 */
+		transport: Transport.optional(),
+		/**
+		 * Lifecycle hooks called for each request made by `Auth`, `ILoveIMGApi`, `Task` and `TaskI`, useful for logging and metrics.
+		 * Events are redacted from secrets, such as `secret_key` and bearer tokens, and errors thrown by hooks are ignored.
+		 */
+		hooks: Hooks.optional(),
+		/**
+		 * OpenTelemetry tracer used to create spans around task lifecycle and authentication, such as `trace.getTracer('iloveimg')`.
+		 * By default no span are created.
+		 */
+		tracer: z
+			.custom(
+				(value) =>
+					!!value &&
+					typeof value === 'object' &&
+					typeof value.startActiveSpan === 'function',
+				'tracer must be an OpenTelemetry Tracer'
+			)
+			.optional(),
+		/**
+		 * Enables strict mode, each `ILoveApi` response are parsed using its return type schema
+		 * and rejected with `ResponseValidationError` carrying the raw body when it does not match.
+		 * - Default: `false`
+		 */
+		strict: z.boolean().optional().default(false),
+		/**
+		 * Credit budget checked by tasks before spending remaining files, such as files to keep in reserve and maximum files per task.
+		 * By default no budget are applied.
+		 */
+		budget: BudgetOptions.optional(),
+		/**
+		 * Proxy used on fixed server and assigned task servers, set to `false` to ignore proxy environment variables.
+		 * By default Axios use `http_proxy` and `https_proxy` environment variables when exist.
+		 */
+		proxy: ProxyOptions.optional(),
+		/**
+		 * Custom `http.Agent` used on `http` requests, such as keep-alive or proxy agents.
+		 */
+		http_agent: z.instanceof(http.Agent).optional(),
+		/**
+		 * Custom `https.Agent` used on `https` requests, such as keep-alive, proxy or client certificate agents.
+		 * Proxy agents that extend `http.Agent`, such as `HttpsProxyAgent`, are also accepted.
+		 */
+		https_agent: z.instanceof(http.Agent).optional(),
+		/**
+		 * Trusted CA certificates in PEM format used on `https` requests, such as private CA of corporate proxy.
+		 * Trusted in addition to Node default root certificates.
+		 * Cannot be combined with `https_agent`, set `ca` on that agent instead.
+		 */
+		ca: CertificateAuthority.optional()
+	})
+	.refine((options) => !(options.ca && options.https_agent), {
+		message:
+			'ca cannot be combined with https_agent, set ca on https_agent instead.',
+		path: ['ca']
+	})
+	// Stand-in server given as full URL are usually assigned as task server too, so its protocol are used by default.
+	.transform((options) => ({
+		...options,
+		protocol:
+			options.protocol ??
+			/** @type {'http' | 'https'} */ (
+				options.base_url.match(/^(https?):\/\//i)?.[1].toLowerCase() ??
+					ILOVEIMG_API_URL_PROTOCOL
+			)
+	}));
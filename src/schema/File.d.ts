@@ -13,3 +13,14 @@ export type FileStatusInfered =
 	| 'UnknownError';
 
 export declare const FileStatus: z.ZodType<FileStatusInfered>;
+
+export type FileFailureStatusInfered = Exclude<
+	FileStatusInfered,
+	'FileSuccess' | 'FileWaiting'
+>;
+
+export declare const FileFailureStatus: z.ZodType<FileFailureStatusInfered>;
+
+export type FileRotationInfered = 0 | 90 | 180 | 270;
+
+export declare const FileRotation: z.ZodType<FileRotationInfered>;
@@ -15,3 +15,21 @@ export const FileStatus = z.enum([
 	'NonConformant',
 	'UnknownError'
 ]);
+
+/**
+ * @typedef {z.infer<typeof FileFailureStatus>} FileFailureStatusInfered
+ */
+export const FileFailureStatus = FileStatus.exclude([
+	'FileSuccess',
+	'FileWaiting'
+]);
+
+/**
+ * @typedef {z.infer<typeof FileRotation>} FileRotationInfered
+ */
+export const FileRotation = z.union([
+	z.literal(0),
+	z.literal(90),
+	z.literal(180),
+	z.literal(270)
+]);
@@ -1,6 +1,10 @@
 import { z } from 'zod';
 import { ToolTypesInfered } from './Tool';
-import { TaskStatusTypesInfered } from './Task';
+import {
+	TaskStatusTypesInfered,
+	TaskAddFileGenericOptionsInfered,
+	TaskProcessGenericOptionsInfered
+} from './Task';
 
 export type ListTasksOptionsInfered = {
 	/** Results are offered paginated in 50 results per page. */
@@ -11,6 +15,14 @@ export type ListTasksOptionsInfered = {
 	status?: TaskStatusTypesInfered;
 	/** Filter tasks by `custom_int`. */
 	custom_int?: number;
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default is `false`. When set to `true`:
 	 * - No credits will be deducted from your project.
@@ -74,3 +86,24 @@ export type ListTasksReturnTypeInfered = {
 };
 
 export declare const ListTasksReturnType: z.ZodType<ListTasksReturnTypeInfered>;
+
+export type RunInputsInfered = Array<
+	/**
+	 * Public image URL (`http` or `https`) or local image file path,
+	 * filename are resolved from the URL pathname or file path.
+	 */
+	| string
+	/**
+	 * Same options used on `addFile()`.
+	 */
+	| TaskAddFileGenericOptionsInfered
+>;
+
+export declare const RunInputs: z.ZodType<RunInputsInfered>;
+
+export type RunOptionsInfered = Omit<
+	TaskProcessGenericOptionsInfered,
+	'debug' | 'webhook'
+>;
+
+export declare const RunOptions: z.ZodType<RunOptionsInfered>;
@@ -1,6 +1,10 @@
 import { z } from 'zod';
 import { ToolTypes } from './Tool.js';
-import { TaskStatusTypes } from './Task.js';
+import {
+	TaskStatusTypes,
+	TaskAddFileGenericOptions,
+	TaskProcessGenericOptions
+} from './Task.js';
 
 /**
  * @typedef {z.infer<typeof ListTasksOptions>} ListTasksOptionsInfered
@@ -14,6 +18,14 @@ export const ListTasksOptions = z.object({
 	status: TaskStatusTypes.optional(),
 	/** Filter tasks by `custom_int`. */
 	custom_int: z.number().optional(),
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout: z.number().int().nonnegative().optional(),
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional(),
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -94,3 +106,31 @@ export const ListTasksReturnType = z.object({
 	 */
 	download_filename: z.string()
 });
+
+/**
+ * @typedef {z.infer<typeof RunInputs>} RunInputsInfered
+ */
+export const RunInputs = z
+	.array(
+		z.union([
+			/**
+			 * Public image URL (`http` or `https`) or local image file path,
+			 * filename are resolved from the URL pathname or file path.
+			 */
+			z.string().min(1),
+			/**
+			 * Same options used on `addFile()`.
+			 */
+			TaskAddFileGenericOptions
+		])
+	)
+	.min(1);
+
+/**
+ * @typedef {z.infer<typeof RunOptions>} RunOptionsInfered
+ */
+// `webhook` are omitted since `run()` downloads the output right after processing.
+export const RunOptions = TaskProcessGenericOptions.omit({
+	debug: true,
+	webhook: true
+});
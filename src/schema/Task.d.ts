@@ -1,6 +1,7 @@
 import { z } from 'zod';
+import { Readable } from 'stream';
 import { ToolTypesInfered } from './Tool';
-import { FileStatusInfered } from './File';
+import { FileStatusInfered, FileRotationInfered } from './File';
 
 export type TaskStatusTypesInfered =
 	| 'TaskWaiting'
@@ -13,7 +14,46 @@ export type TaskStatusTypesInfered =
 
 export declare const TaskStatusTypes: z.ZodType<TaskStatusTypesInfered>;
 
+/**
+ * Task status that no longer change, used to stop polling task details.
+ */
+export type TaskTerminalStatusTypesInfered =
+	| 'TaskSuccess'
+	| 'TaskSuccessWithWarnings'
+	| 'TaskError'
+	| 'TaskDeleted'
+	| 'TaskNotFound';
+
+export declare const TaskTerminalStatusTypes: z.ZodType<TaskTerminalStatusTypesInfered>;
+
+/**
+ * Local lifecycle state of `TaskI`, each state only allow specific methods to be called.
+ * - `created`: Task are not started yet.
+ * - `started`: Task id and assigned server are resolved using `start()`.
+ * - `files_added`: At least one file are uploaded using `addFile()`.
+ * - `processing`: Task are being processed using `process()`.
+ * - `processed`: Task already processed, processed files can be downloaded.
+ * - `deleted`: Task already deleted using `delete()`.
+ */
+export type TaskStateTypesInfered =
+	| 'created'
+	| 'started'
+	| 'files_added'
+	| 'processing'
+	| 'processed'
+	| 'deleted';
+
+export declare const TaskStateTypes: z.ZodType<TaskStateTypesInfered>;
+
 export type TaskStartGenericOptionsInfered = {
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -44,16 +84,55 @@ export type TaskStartReturnTypeInfered = {
 
 export declare const TaskStartReturnType: z.ZodType<TaskStartReturnTypeInfered>;
 
+export type TaskAddFileSourceInfered =
+	| string
+	| Buffer
+	| Uint8Array
+	| Blob
+	| Readable;
+
+export declare const TaskAddFileSource: z.ZodType<TaskAddFileSourceInfered>;
+
 export type TaskAddFileGenericOptionsInfered = {
 	/**
 	 * Public image URL. When you working with `URL`, you should parse to string first using `toString`.
+	 * Required when `file` are not provided.
+	 */
+	cloud_file?: string;
+	/**
+	 * Local image source that uploaded as multipart form, either file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream.
+	 * Required when `cloud_file` are not provided.
 	 */
-	cloud_file: string;
+	file?: TaskAddFileSourceInfered;
+	/**
+	 * When specified, local image source on `file` are uploaded in multiple chunks with this size in `bytes`.
+	 * Each failed chunk are retried individually, and when upload fails due network error,
+	 * calling `addFile()` again with same `filename` and `chunk_size` resumes from the last acknowledged chunk.
+	 */
+	chunk_size?: number;
+	/**
+	 * Maximum retry attempts for each failed chunk, only used when `chunk_size` are specified.
+	 * - Default: `3`
+	 */
+	chunk_retries?: number;
 	/**
 	 * Original filename, make sure use correct file extension.
 	 * - Example: `myimage.jpg`
 	 */
 	filename: string;
+	/**
+	 * Clockwise rotation in degrees applied to this file when processing. Accepted values are `0`, `90`, `180` and `270`.
+	 * This value are not sent on upload, it will be forwarded on `process()` instead.
+	 */
+	rotate?: FileRotationInfered;
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -115,6 +194,10 @@ export type TaskProcessRequiredOptionsInfered = {
 		 * - Example: `myimage.jpg`
 		 */
 		filename: string;
+		/**
+		 * Clockwise rotation in degrees applied to this file. Accepted values are `0`, `90`, `180` and `270`.
+		 */
+		rotate?: FileRotationInfered;
 	}[];
 };
 
@@ -190,6 +273,14 @@ export type TaskProcessGenericOptionsInfered = {
 	 * by making periodic `GET` requests to `/task/{task}` instead.
 	 */
 	webhook?: string;
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -244,6 +335,14 @@ export type TaskProcessReturnTypeInfered = {
 export declare const TaskProcessReturnType: z.ZodType<TaskProcessReturnTypeInfered>;
 
 export type TaskDownloadGenericOptionsInfered = {
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -255,7 +354,54 @@ export type TaskDownloadGenericOptionsInfered = {
 
 export declare const TaskDownloadGenericOptions: z.ZodType<TaskDownloadGenericOptionsInfered>;
 
+export type TaskDownloadContentOptionsInfered = Omit<
+	TaskDownloadGenericOptionsInfered,
+	'debug'
+>;
+
+export declare const TaskDownloadContentOptions: z.ZodType<TaskDownloadContentOptionsInfered>;
+
+export type TaskDownloadToDirectoryOptionsInfered =
+	TaskDownloadContentOptionsInfered & {
+		/**
+		 * Filename used to save processed file. When not provided, filename are resolved from
+		 * `Content-Disposition` response header or `download_filename` from `process()`.
+		 */
+		filename?: string;
+	};
+
+export declare const TaskDownloadToDirectoryOptions: z.ZodType<TaskDownloadToDirectoryOptionsInfered>;
+
+export type TaskDownloadToDirectoryReturnTypeInfered = {
+	/**
+	 * Saved processed file path.
+	 */
+	path: string;
+	/**
+	 * Saved processed filename.
+	 */
+	filename: string;
+	/**
+	 * Saved processed file size in `bytes`.
+	 */
+	size: number;
+	/**
+	 * Indicates whether saved processed file are a ZIP archive, which happen when processing more than one file.
+	 */
+	is_zip: boolean;
+};
+
+export declare const TaskDownloadToDirectoryReturnType: z.ZodType<TaskDownloadToDirectoryReturnTypeInfered>;
+
 export type TaskDetailsGenericOptionsInfered = {
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -267,6 +413,35 @@ export type TaskDetailsGenericOptionsInfered = {
 
 export declare const TaskDetailsGenericOptions: z.ZodType<TaskDetailsGenericOptionsInfered>;
 
+export type TaskWaitForCompletionOptionsInfered = {
+	/**
+	 * Initial delay in `milliseconds` between task details polling, multiplied by `factor` on each poll.
+	 * - Default: `1000`
+	 */
+	interval?: number;
+	/**
+	 * Backoff multiplier applied on each poll.
+	 * - Default: `1.5`
+	 */
+	factor?: number;
+	/**
+	 * Maximum delay between polls in `milliseconds`.
+	 * - Default: `10000`
+	 */
+	max_interval?: number;
+	/**
+	 * Maximum waiting time in `milliseconds` until task completed, set to `0` to wait without limit.
+	 * - Default: `0`
+	 */
+	timeout?: number;
+	/**
+	 * Signal used to stop waiting, cancelled call are rejected with `AbortError`.
+	 */
+	signal?: AbortSignal;
+};
+
+export declare const TaskWaitForCompletionOptions: z.ZodType<TaskWaitForCompletionOptionsInfered>;
+
 export type TaskDetailsReturnTypeInfered = {
 	/**
 	 * Task status.
@@ -375,6 +550,77 @@ export type TaskDetailsReturnTypeInfered = {
 
 export declare const TaskDetailsReturnType: z.ZodType<TaskDetailsReturnTypeInfered>;
 
+export type TaskFileReportOptionsInfered = Omit<
+	TaskDetailsGenericOptionsInfered,
+	'debug'
+> & {
+	/**
+	 * Throws `PartialFailureError` listing failed files when any file failed to process.
+	 * - Default: `false`
+	 */
+	throw_on_failure?: boolean;
+};
+
+export declare const TaskFileReportOptions: z.ZodType<TaskFileReportOptionsInfered>;
+
+export type TaskFileReportFileInfered = {
+	/**
+	 * Original filename assigned when uploading image, resolved from task details when image are not uploaded using this instance.
+	 */
+	filename?: string;
+	/**
+	 * Server filename that resolved from adding image file.
+	 */
+	server_filename?: string;
+	/**
+	 * File status. This attribute only exist when task already processed.
+	 */
+	status?: FileStatusInfered;
+	/**
+	 * File status message.
+	 */
+	status_message?: string;
+	/**
+	 * Original image file size in `bytes`. This attribute only exist when task already processed.
+	 */
+	filesize?: number;
+	/**
+	 * Processed image file size in `bytes`. This attribute only exist when task already processed.
+	 */
+	output_filesize?: number;
+	/**
+	 * Whether this file failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 */
+	failed: boolean;
+};
+
+export declare const TaskFileReportFile: z.ZodType<TaskFileReportFileInfered>;
+
+export type TaskFileReportReturnTypeInfered = {
+	/**
+	 * Task status.
+	 */
+	status: TaskStatusTypesInfered;
+	/**
+	 * Task status message.
+	 */
+	status_message: string;
+	/**
+	 * Whether task status are `TaskSuccessWithWarnings` or any file failed to process.
+	 */
+	has_warnings: boolean;
+	/**
+	 * Status of each task file joined with uploaded files.
+	 */
+	files: Array<TaskFileReportFileInfered>;
+	/**
+	 * Files that failed to process.
+	 */
+	failed_files: Array<TaskFileReportFileInfered>;
+};
+
+export declare const TaskFileReportReturnType: z.ZodType<TaskFileReportReturnTypeInfered>;
+
 export type TaskDeleteGenericOptionsInfered = {
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
@@ -387,6 +633,18 @@ export type TaskDeleteGenericOptionsInfered = {
 
 export declare const TaskDeleteGenericOptions: z.ZodType<TaskDeleteGenericOptionsInfered>;
 
+export type TaskProcessCompressImageOptionsInfered = {
+	/**
+	 * Compression level to apply. Accepted values are `extreme`, `recommended` and `low`.
+	 * Higher compression results in smaller file size but lower image quality.
+	 *
+	 * - Default: `recommended`
+	 */
+	compression_level?: 'extreme' | 'recommended' | 'low';
+};
+
+export declare const TaskProcessCompressImageOptions: z.ZodType<TaskProcessCompressImageOptionsInfered>;
+
 export type TaskProcessConvertImageOptionsInfered = {
 	/**
 	 * The format to convert to. Accepted values are `jpg`, `png`, `gif`, `gif_animation` and `heic`.
@@ -411,6 +669,67 @@ export type TaskProcessConvertImageOptionsInfered = {
 
 export declare const TaskProcessConvertImageOptions: z.ZodType<TaskProcessConvertImageOptionsInfered>;
 
+export type TaskProcessCropImageOptionsInfered = {
+	/**
+	 * Width in pixels of the area to crop, must be greater than `0`.
+	 */
+	width: number;
+	/**
+	 * Height in pixels of the area to crop, must be greater than `0`.
+	 */
+	height: number;
+	/**
+	 * Horizontal starting point in pixels of the area to crop, measured from the left edge.
+	 * - Default: `0`
+	 */
+	x?: number;
+	/**
+	 * Vertical starting point in pixels of the area to crop, measured from the top edge.
+	 * - Default: `0`
+	 */
+	y?: number;
+};
+
+export declare const TaskProcessCropImageOptions: z.ZodType<TaskProcessCropImageOptionsInfered>;
+
+export type TaskProcessResizeImageOptionsInfered =
+	| {
+			/**
+			 * Resize image using exact pixel dimensions, `pixels_width` and `pixels_height` are required.
+			 */
+			resize_mode: 'pixels';
+			/**
+			 * Target image width in pixels.
+			 */
+			pixels_width: number;
+			/**
+			 * Target image height in pixels.
+			 */
+			pixels_height: number;
+			/**
+			 * Keep the original aspect ratio of the image when resizing.
+			 * - Default: `true`
+			 */
+			maintain_ratio?: boolean;
+			/**
+			 * Avoid enlarging the image when the target size is bigger than the original size.
+			 * - Default: `true`
+			 */
+			no_enlarge_if_smaller?: boolean;
+	  }
+	| {
+			/**
+			 * Resize image using percentage of the original size, `percentage` are required.
+			 */
+			resize_mode: 'percentage';
+			/**
+			 * Percentage of the original image size.
+			 */
+			percentage: number;
+	  };
+
+export declare const TaskProcessResizeImageOptions: z.ZodType<TaskProcessResizeImageOptionsInfered>;
+
 export type TaskProcessUpscaleImageOptionsInfered = {
 	/**
 	 * Image upscale multiplier. Accepted values are `2`, `4`.
@@ -516,10 +835,20 @@ export type TaskProcessWatermarkImageOptionsInfered = {
 export declare const TaskProcessWatermarkImageOptions: z.ZodType<TaskProcessWatermarkImageOptionsInfered>;
 
 export type TaskProcessToolOptionsInfered = {
+	/** When tool type are `compressimage`, this options are optional. */
+	compressimage?: TaskProcessCompressImageOptionsInfered;
 	/** When tool type are `convertimage`, this options are optional. */
 	convertimage?: TaskProcessConvertImageOptionsInfered;
+	/** When tool type are `cropimage`, some options are required. */
+	cropimage: TaskProcessCropImageOptionsInfered;
 	/** When tool type are `removebackgroundimage`, this options are optional. */
 	removebackgroundimage?: {};
+	/** When tool type are `repairimage`, this options are optional. */
+	repairimage?: {};
+	/** When tool type are `resizeimage`, some options are required. */
+	resizeimage: TaskProcessResizeImageOptionsInfered;
+	/** When tool type are `rotateimage`, this options are optional. Rotation are assigned per file using `rotate`. */
+	rotateimage?: {};
 	/** When tool type are `upscaleimage`, some options are required. */
 	upscaleimage: TaskProcessUpscaleImageOptionsInfered;
 	/** When tool type are `watermarkimage`, some options are required. */
@@ -527,3 +856,41 @@ export type TaskProcessToolOptionsInfered = {
 };
 
 export declare const TaskProcessToolOptions: z.ZodType<TaskProcessToolOptionsInfered>;
+
+/**
+ * Serializable state of started `TaskI`, used to continue the task on another process using `ILoveIMGApi.resumeTask()`.
+ * Secrets, such as authentication token, are never included.
+ */
+export type TaskSnapshotInfered = {
+	/**
+	 * Tool type.
+	 */
+	tool: ToolTypesInfered;
+	/**
+	 * Task id.
+	 */
+	task_id: string;
+	/**
+	 * Assigned server host without protocol or path.
+	 * - Ex: `api8g.iloveimg.com`
+	 */
+	server: string;
+	/**
+	 * Uploaded files on this task.
+	 */
+	files?: TaskProcessRequiredOptionsInfered['files'];
+	/**
+	 * The number of remaining files available for processing in your project.
+	 */
+	remaining_files?: number;
+	/**
+	 * Lifecycle state of this task, only started, files added and processed task can be resumed.
+	 */
+	state: 'started' | 'files_added' | 'processed';
+	/**
+	 * Processed filename resolved from `process()`, used as fallback filename when saving downloaded file.
+	 */
+	download_filename?: string;
+};
+
+export declare const TaskSnapshot: z.ZodType<TaskSnapshotInfered>;
@@ -1,6 +1,8 @@
 import { z } from 'zod';
+import { Readable } from 'node:stream';
 import { ToolTypes } from './Tool.js';
-import { FileStatus } from './File.js';
+import { FileStatus, FileRotation } from './File.js';
+import { ServerHost } from './Client.js';
 
 /**
  * @typedef {z.infer<typeof TaskStatusTypes>} TaskStatusTypesInfered
@@ -15,10 +17,49 @@ export const TaskStatusTypes = z.enum([
 	'TaskNotFound'
 ]);
 
+/**
+ * Task status that no longer change, used to stop polling task details.
+ * @typedef {z.infer<typeof TaskTerminalStatusTypes>} TaskTerminalStatusTypesInfered
+ */
+export const TaskTerminalStatusTypes = TaskStatusTypes.extract([
+	'TaskSuccess',
+	'TaskSuccessWithWarnings',
+	'TaskError',
+	'TaskDeleted',
+	'TaskNotFound'
+]);
+
+/**
+ * Local lifecycle state of `TaskI`, each state only allow specific methods to be called.
+ * - `created`: Task are not started yet.
+ * - `started`: Task id and assigned server are resolved using `start()`.
+ * - `files_added`: At least one file are uploaded using `addFile()`.
+ * - `processing`: Task are being processed using `process()`.
+ * - `processed`: Task already processed, processed files can be downloaded.
+ * - `deleted`: Task already deleted using `delete()`.
+ * @typedef {z.infer<typeof TaskStateTypes>} TaskStateTypesInfered
+ */
+export const TaskStateTypes = z.enum([
+	'created',
+	'started',
+	'files_added',
+	'processing',
+	'processed',
+	'deleted'
+]);
+
 /**
  * @typedef {z.infer<typeof TaskStartGenericOptions>} TaskStartGenericOptionsInfered
  */
 export const TaskStartGenericOptions = z.object({
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout: z.number().int().nonnegative().optional(),
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional(),
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -48,27 +89,81 @@ export const TaskStartReturnType = z.object({
 	remaining_files: z.number()
 });
 
+/**
+ * @typedef {z.infer<typeof TaskAddFileSource>} TaskAddFileSourceInfered
+ */
+export const TaskAddFileSource = z.union([
+	/** Local image file path. */
+	z.string().min(1),
+	/** Image content in memory, this also accept `Buffer`. */
+	z.instanceof(Uint8Array),
+	z.instanceof(Blob),
+	z.instanceof(Readable)
+]);
+
 /**
  * @typedef {z.infer<typeof TaskAddFileGenericOptions>} TaskAddFileGenericOptionsInfered
  */
-export const TaskAddFileGenericOptions = z.object({
-	/**
-	 * Public image URL. When you working with `URL`, you should parse to string first using `toString`.
-	 */
-	cloud_file: z.string(),
-	/**
-	 * Original filename, make sure use correct file extension.
-	 * - Example: `myimage.jpg`
-	 */
-	filename: z.string(),
-	/**
-	 * Enables or disables debug mode, default are `false`. When set to `true`,
-	 * - No credits will be deducted from your project.
-	 * - No actual processing will occur, `ILoveApi` only return response from your request details.
-	 * - The returned data may differ from standard response.
-	 */
-	debug: z.boolean().optional()
-});
+export const TaskAddFileGenericOptions = z
+	.object({
+		/**
+		 * Public image URL. When you working with `URL`, you should parse to string first using `toString`.
+		 * Required when `file` are not provided.
+		 */
+		cloud_file: z.string().optional(),
+		/**
+		 * Local image source that uploaded as multipart form, either file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream.
+		 * Required when `cloud_file` are not provided.
+		 */
+		file: TaskAddFileSource.optional(),
+		/**
+		 * When specified, local image source on `file` are uploaded in multiple chunks with this size in `bytes`.
+		 * Each failed chunk are retried individually, and when upload fails due network error,
+		 * calling `addFile()` again with same `filename` and `chunk_size` resumes from the last acknowledged chunk.
+		 */
+		chunk_size: z.number().int().positive().optional(),
+		/**
+		 * Maximum retry attempts for each failed chunk, only used when `chunk_size` are specified.
+		 * - Default: `3`
+		 */
+		chunk_retries: z.number().int().nonnegative().optional(),
+		/**
+		 * Original filename, make sure use correct file extension.
+		 * - Example: `myimage.jpg`
+		 */
+		filename: z.string(),
+		/**
+		 * Clockwise rotation in degrees applied to this file when processing. Accepted values are `0`, `90`, `180` and `270`.
+		 * This value are not sent on upload, it will be forwarded on `process()` instead.
+		 */
+		rotate: FileRotation.optional(),
+		/**
+		 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+		 */
+		timeout: z.number().int().nonnegative().optional(),
+		/**
+		 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+		 */
+		signal: z.instanceof(AbortSignal).optional(),
+		/**
+		 * Enables or disables debug mode, default are `false`. When set to `true`,
+		 * - No credits will be deducted from your project.
+		 * - No actual processing will occur, `ILoveApi` only return response from your request details.
+		 * - The returned data may differ from standard response.
+		 */
+		debug: z.boolean().optional()
+	})
+	.refine(
+		(data) => (data.cloud_file === undefined) !== (data.file === undefined),
+		{
+			message: 'Either cloud_file or file is required, but not both',
+			path: ['cloud_file']
+		}
+	)
+	.refine((data) => data.chunk_size === undefined || data.file !== undefined, {
+		message: 'chunk_size can only be used with file',
+		path: ['chunk_size']
+	});
 
 /**
  * @typedef {z.infer<typeof TaskAddFileReturnType>} TaskAddFileReturnTypeInfered
@@ -127,7 +222,11 @@ export const TaskProcessRequiredOptions = z.object({
 				 * Original filename, make sure use correct file extension.
 				 * - Example: `myimage.jpg`
 				 */
-				filename: z.string()
+				filename: z.string(),
+				/**
+				 * Clockwise rotation in degrees applied to this file. Accepted values are `0`, `90`, `180` and `270`.
+				 */
+				rotate: FileRotation.optional()
 			})
 		)
 		.min(1)
@@ -211,6 +310,14 @@ export const TaskProcessGenericOptions = z.object({
 	 * by making periodic `GET` requests to `/task/{task}` instead.
 	 */
 	webhook: z.string().optional(),
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout: z.number().int().nonnegative().optional(),
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional(),
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -275,6 +382,14 @@ export const TaskProcessReturnType = z.object({
  * @typedef {z.infer<typeof TaskDownloadGenericOptions>} TaskDownloadGenericOptionsInfered
  */
 export const TaskDownloadGenericOptions = z.object({
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout: z.number().int().nonnegative().optional(),
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional(),
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -284,10 +399,60 @@ export const TaskDownloadGenericOptions = z.object({
 	debug: z.boolean().optional()
 });
 
+/**
+ * @typedef {z.infer<typeof TaskDownloadContentOptions>} TaskDownloadContentOptionsInfered
+ */
+export const TaskDownloadContentOptions = TaskDownloadGenericOptions.omit({
+	debug: true
+});
+
+/**
+ * @typedef {z.infer<typeof TaskDownloadToDirectoryOptions>} TaskDownloadToDirectoryOptionsInfered
+ */
+export const TaskDownloadToDirectoryOptions = TaskDownloadContentOptions.extend(
+	{
+		/**
+		 * Filename used to save processed file. When not provided, filename are resolved from
+		 * `Content-Disposition` response header or `download_filename` from `process()`.
+		 */
+		filename: z.string().min(1).optional()
+	}
+);
+
+/**
+ * @typedef {z.infer<typeof TaskDownloadToDirectoryReturnType>} TaskDownloadToDirectoryReturnTypeInfered
+ */
+export const TaskDownloadToDirectoryReturnType = z.object({
+	/**
+	 * Saved processed file path.
+	 */
+	path: z.string(),
+	/**
+	 * Saved processed filename.
+	 */
+	filename: z.string(),
+	/**
+	 * Saved processed file size in `bytes`.
+	 */
+	size: z.number(),
+	/**
+	 * Indicates whether saved processed file are a ZIP archive, which happen when processing more than one file.
+	 */
+	is_zip: z.boolean()
+});
+
 /**
  * @typedef {z.infer<typeof TaskDetailsGenericOptions>} TaskDetailsGenericOptionsInfered
  */
 export const TaskDetailsGenericOptions = z.object({
+	/**
+	 * Request timeout in `milliseconds` for this call, overrides client `timeout` params.
+	 */
+	timeout: z.number().int().nonnegative().optional(),
+	/**
+	 * Signal used to cancel this call, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional(),
 	/**
 	 * Enables or disables debug mode, default are `false`. When set to `true`,
 	 * - No credits will be deducted from your project.
@@ -297,6 +462,36 @@ export const TaskDetailsGenericOptions = z.object({
 	debug: z.boolean().optional()
 });
 
+/**
+ * @typedef {z.infer<typeof TaskWaitForCompletionOptions>} TaskWaitForCompletionOptionsInfered
+ */
+export const TaskWaitForCompletionOptions = z.object({
+	/**
+	 * Initial delay in `milliseconds` between task details polling, multiplied by `factor` on each poll.
+	 * - Default: `1000`
+	 */
+	interval: z.number().int().positive().optional().default(1000),
+	/**
+	 * Backoff multiplier applied on each poll.
+	 * - Default: `1.5`
+	 */
+	factor: z.number().min(1).optional().default(1.5),
+	/**
+	 * Maximum delay between polls in `milliseconds`.
+	 * - Default: `10000`
+	 */
+	max_interval: z.number().int().positive().optional().default(10000),
+	/**
+	 * Maximum waiting time in `milliseconds` until task completed, set to `0` to wait without limit.
+	 * - Default: `0`
+	 */
+	timeout: z.number().int().nonnegative().optional().default(0),
+	/**
+	 * Signal used to stop waiting, cancelled call are rejected with `AbortError`.
+	 */
+	signal: z.instanceof(AbortSignal).optional()
+});
+
 /**
  * @typedef {z.infer<typeof TaskDetailsReturnType>} TaskDetailsReturnTypeInfered
  */
@@ -410,6 +605,79 @@ export const TaskDetailsReturnType = z.object({
 		.optional()
 });
 
+/**
+ * @typedef {z.infer<typeof TaskFileReportOptions>} TaskFileReportOptionsInfered
+ */
+export const TaskFileReportOptions = TaskDetailsGenericOptions.omit({
+	debug: true
+}).extend({
+	/**
+	 * Throws `PartialFailureError` listing failed files when any file failed to process.
+	 * - Default: `false`
+	 */
+	throw_on_failure: z.boolean().optional().default(false)
+});
+
+/**
+ * @typedef {z.infer<typeof TaskFileReportFile>} TaskFileReportFileInfered
+ */
+export const TaskFileReportFile = z.object({
+	/**
+	 * Original filename assigned when uploading image, resolved from task details when image are not uploaded using this instance.
+	 */
+	filename: z.string().optional(),
+	/**
+	 * Server filename that resolved from adding image file.
+	 */
+	server_filename: z.string().optional(),
+	/**
+	 * File status. This attribute only exist when task already processed.
+	 */
+	status: FileStatus.optional(),
+	/**
+	 * File status message.
+	 */
+	status_message: z.string().optional(),
+	/**
+	 * Original image file size in `bytes`. This attribute only exist when task already processed.
+	 */
+	filesize: z.number().optional(),
+	/**
+	 * Processed image file size in `bytes`. This attribute only exist when task already processed.
+	 */
+	output_filesize: z.number().optional(),
+	/**
+	 * Whether this file failed to process, such as `DamagedFile`, `WrongPassword` or `NonConformant` status.
+	 */
+	failed: z.boolean()
+});
+
+/**
+ * @typedef {z.infer<typeof TaskFileReportReturnType>} TaskFileReportReturnTypeInfered
+ */
+export const TaskFileReportReturnType = z.object({
+	/**
+	 * Task status.
+	 */
+	status: TaskStatusTypes,
+	/**
+	 * Task status message.
+	 */
+	status_message: z.string(),
+	/**
+	 * Whether task status are `TaskSuccessWithWarnings` or any file failed to process.
+	 */
+	has_warnings: z.boolean(),
+	/**
+	 * Status of each task file joined with uploaded files.
+	 */
+	files: TaskFileReportFile.array(),
+	/**
+	 * Files that failed to process.
+	 */
+	failed_files: TaskFileReportFile.array()
+});
+
 /**
  * @typedef {z.infer<typeof TaskDeleteGenericOptions>} TaskDeleteGenericOptionsInfered
  */
@@ -423,6 +691,24 @@ export const TaskDeleteGenericOptions = z.object({
 	debug: z.boolean().optional()
 });
 
+/**
+ * @typedef {z.infer<typeof TaskProcessCompressImageOptions>} TaskProcessCompressImageOptionsInfered
+ */
+export const TaskProcessCompressImageOptions = z
+	.object({
+		/**
+		 * Compression level to apply. Accepted values are `extreme`, `recommended` and `low`.
+		 * Higher compression results in smaller file size but lower image quality.
+		 *
+		 * - Default: `recommended`
+		 */
+		compression_level: z
+			.enum(['extreme', 'recommended', 'low'])
+			.optional()
+			.default('recommended')
+	})
+	.optional();
+
 /**
  * @typedef {z.infer<typeof TaskProcessConvertImageOptions>} TaskProcessConvertImageOptionsInfered
  */
@@ -453,6 +739,73 @@ export const TaskProcessConvertImageOptions = z
 	})
 	.optional();
 
+/**
+ * @typedef {z.infer<typeof TaskProcessCropImageOptions>} TaskProcessCropImageOptionsInfered
+ */
+export const TaskProcessCropImageOptions = z.object({
+	/**
+	 * Width in pixels of the area to crop, must be greater than `0`.
+	 */
+	width: z.number().int().positive(),
+	/**
+	 * Height in pixels of the area to crop, must be greater than `0`.
+	 */
+	height: z.number().int().positive(),
+	/**
+	 * Horizontal starting point in pixels of the area to crop, measured from the left edge.
+	 * - Default: `0`
+	 */
+	x: z.number().int().nonnegative().optional().default(0),
+	/**
+	 * Vertical starting point in pixels of the area to crop, measured from the top edge.
+	 * - Default: `0`
+	 */
+	y: z.number().int().nonnegative().optional().default(0)
+});
+
+/**
+ * @typedef {z.infer<typeof TaskProcessResizeImageOptions>} TaskProcessResizeImageOptionsInfered
+ */
+export const TaskProcessResizeImageOptions = z.discriminatedUnion(
+	'resize_mode',
+	[
+		z.object({
+			/**
+			 * Resize image using exact pixel dimensions, `pixels_width` and `pixels_height` are required.
+			 */
+			resize_mode: z.literal('pixels'),
+			/**
+			 * Target image width in pixels.
+			 */
+			pixels_width: z.number().int().positive(),
+			/**
+			 * Target image height in pixels.
+			 */
+			pixels_height: z.number().int().positive(),
+			/**
+			 * Keep the original aspect ratio of the image when resizing.
+			 * - Default: `true`
+			 */
+			maintain_ratio: z.boolean().optional().default(true),
+			/**
+			 * Avoid enlarging the image when the target size is bigger than the original size.
+			 * - Default: `true`
+			 */
+			no_enlarge_if_smaller: z.boolean().optional().default(true)
+		}),
+		z.object({
+			/**
+			 * Resize image using percentage of the original size, `percentage` are required.
+			 */
+			resize_mode: z.literal('percentage'),
+			/**
+			 * Percentage of the original image size.
+			 */
+			percentage: z.number().int().positive()
+		})
+	]
+);
+
 /**
  *
  * @typedef {z.infer<typeof TaskProcessUpscaleImageOptions>} TaskProcessUpscaleImageOptionsInfered
@@ -586,12 +939,67 @@ export const TaskProcessWatermarkImageOptions = z.object({
  * @typedef {z.infer<typeof TaskProcessToolOptions>} TaskProcessToolOptionsInfered
  */
 export const TaskProcessToolOptions = z.object({
+	/** When tool type are `compressimage`, this options are optional. */
+	compressimage: TaskProcessCompressImageOptions,
 	/** When tool type are `convertimage`, this options are optional. */
 	convertimage: TaskProcessConvertImageOptions,
+	/** When tool type are `cropimage`, some options are required. */
+	cropimage: TaskProcessCropImageOptions,
 	/** When tool type are `removebackgroundimage`, this options are optional. */
 	removebackgroundimage: z.object({}).optional(),
+	/** When tool type are `repairimage`, this options are optional. */
+	repairimage: z.object({}).optional(),
+	/** When tool type are `resizeimage`, some options are required. */
+	resizeimage: TaskProcessResizeImageOptions,
+	/** When tool type are `rotateimage`, this options are optional. Rotation are assigned per file using `rotate`. */
+	rotateimage: z.object({}).optional(),
 	/** When tool type are `upscaleimage`, some options are required. */
 	upscaleimage: TaskProcessUpscaleImageOptions,
 	/** When tool type are `watermarkimage`, some options are required. */
 	watermarkimage: TaskProcessWatermarkImageOptions
 });
+
+/**
+ * Serializable state of started `TaskI`, used to continue the task on another process using `ILoveIMGApi.resumeTask()`.
+ * Secrets, such as authentication token, are never included.
+ * @typedef {z.infer<typeof TaskSnapshot>} TaskSnapshotInfered
+ */
+export const TaskSnapshot = z
+	.object({
+		/**
+		 * Tool type.
+		 */
+		tool: ToolTypes,
+		/**
+		 * Task id.
+		 */
+		task_id: z.string().min(1),
+		/**
+		 * Assigned server host without protocol or path.
+		 * - Ex: `api8g.iloveimg.com`
+		 */
+		server: ServerHost,
+		/**
+		 * Uploaded files on this task.
+		 */
+		files: TaskProcessRequiredOptions.shape.files.element
+			.array()
+			.optional()
+			.default([]),
+		/**
+		 * The number of remaining files available for processing in your project.
+		 */
+		remaining_files: z.number().optional(),
+		/**
+		 * Lifecycle state of this task, only started, files added and processed task can be resumed.
+		 */
+		state: TaskStateTypes.extract(['started', 'files_added', 'processed']),
+		/**
+		 * Processed filename resolved from `process()`, used as fallback filename when saving downloaded file.
+		 */
+		download_filename: z.string().optional()
+	})
+	.refine((x) => x.state !== 'files_added' || x.files.length > 0, {
+		message: 'files must contain at least one file when state are files_added',
+		path: ['files']
+	});
@@ -1,8 +1,13 @@
 import { z } from 'zod';
 
 export type ToolTypesInfered =
+	| 'compressimage'
 	| 'convertimage'
+	| 'cropimage'
 	| 'removebackgroundimage'
+	| 'repairimage'
+	| 'resizeimage'
+	| 'rotateimage'
 	| 'upscaleimage'
 	| 'watermarkimage';
 
@@ -4,8 +4,13 @@ import { z } from 'zod';
  * @typedef {z.infer<typeof ToolTypes>} ToolTypesInfered
  */
 export const ToolTypes = z.enum([
+	'compressimage',
 	'convertimage',
+	'cropimage',
 	'removebackgroundimage',
+	'repairimage',
+	'resizeimage',
+	'rotateimage',
 	'upscaleimage',
 	'watermarkimage'
 ]);
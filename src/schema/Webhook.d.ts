@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import { TaskDetailsReturnTypeInfered } from './Task';
+import { ClientOptionsInfered } from './Client';
+import { SelfSignedTokenOptionsInfered } from './Auth';
+
+export type WebhookPayloadInfered = {
+	/**
+	 * Webhook event name.
+	 * - Ex: `task.completed`
+	 */
+	event: string;
+	data: {
+		/**
+		 * Task details of processed task, task id are sent either as `task` or `task_id` attribute.
+		 */
+		task: TaskDetailsReturnTypeInfered & {
+			/**
+			 * Task id.
+			 */
+			task?: string;
+			/**
+			 * Task server host without protocol or path.
+			 * - Ex: `api8g.iloveimg.com`
+			 */
+			server?: string;
+		};
+	};
+};
+
+export declare const WebhookPayload: z.ZodType<WebhookPayloadInfered>;
+
+export type WebhookParseOptionsInfered = {
+	/**
+	 * Projects public key, when provided parsed event include `Task` instance for downloading processed files.
+	 */
+	publicKey?: string;
+	/**
+	 * Projects secret key used for local token generation of created `Task` instance.
+	 */
+	secretKey?: string;
+	/**
+	 * Additional parameters used to create `Task` instance, such as self-signed token options and retry policy.
+	 */
+	params?: SelfSignedTokenOptionsInfered & ClientOptionsInfered;
+};
+
+export declare const WebhookParseOptions: z.ZodType<WebhookParseOptionsInfered>;
+
+export type WebhookVerifyOptionsInfered = WebhookParseOptionsInfered & {
+	/**
+	 * Projects public key used to confirm the task and create `Task` instance on parsed event.
+	 */
+	publicKey: string;
+};
+
+export declare const WebhookVerifyOptions: z.ZodType<WebhookVerifyOptionsInfered>;
+
+export type WebhookHandlerOptionsInfered = WebhookParseOptionsInfered & {
+	/**
+	 * Confirms each event through configured `base_url` using `verifyWebhook()` when `publicKey` provided,
+	 * unconfirmed event are responded with `403`.
+	 * - Default: `true`
+	 */
+	verify?: boolean;
+	/**
+	 * Called with parsed event for each valid webhook request, request are responded with `500` when it throws.
+	 */
+	onEvent: (event: import('../Webhook').WebhookEvent) => void | Promise<void>;
+	/**
+	 * Called with error when webhook request are invalid or `onEvent` throws.
+	 */
+	onError?: (error: Error) => void;
+	/**
+	 * Maximum request body size in `bytes`, larger request are responded with `413`.
+	 * - Default: `1048576`
+	 */
+	max_body_size?: number;
+};
+
+export declare const WebhookHandlerOptions: z.ZodType<WebhookHandlerOptionsInfered>;
@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import { TaskDetailsReturnType } from './Task.js';
+import { ServerHost } from './Client.js';
+
+/**
+ * @typedef {z.infer<typeof WebhookPayload>} WebhookPayloadInfered
+ */
+export const WebhookPayload = z.object({
+	/**
+	 * Webhook event name.
+	 * - Ex: `task.completed`
+	 */
+	event: z.string().min(1),
+	data: z.object({
+		/**
+		 * Task details of processed task, task id are sent either as `task` or `task_id` attribute.
+		 */
+		task: TaskDetailsReturnType.extend({
+			/**
+			 * Task id.
+			 */
+			task: z.string().optional(),
+			/**
+			 * Task server host without protocol or path.
+			 * - Ex: `api8g.iloveimg.com`
+			 */
+			server: ServerHost.optional()
+		})
+	})
+});
+
+/**
+ * @typedef {z.infer<typeof WebhookParseOptions>} WebhookParseOptionsInfered
+ */
+export const WebhookParseOptions = z.object({
+	/**
+	 * Projects public key, when provided parsed event include `Task` instance for downloading processed files.
+	 */
+	publicKey: z.string().min(1).optional(),
+	/**
+	 * Projects secret key used for local token generation of created `Task` instance.
+	 */
+	secretKey: z.string().optional(),
+	/**
+	 * Additional parameters used to create `Task` instance, such as self-signed token options and retry policy.
+	 */
+	params: z.record(z.any()).optional()
+});
+
+/**
+ * @typedef {z.infer<typeof WebhookVerifyOptions>} WebhookVerifyOptionsInfered
+ */
+export const WebhookVerifyOptions = WebhookParseOptions.required({
+	publicKey: true
+});
+
+/**
+ * @typedef {z.infer<typeof WebhookHandlerOptions>} WebhookHandlerOptionsInfered
+ */
+export const WebhookHandlerOptions = WebhookParseOptions.extend({
+	/**
+	 * Confirms each event through configured `base_url` using `verifyWebhook()` when `publicKey` provided,
+	 * unconfirmed event are responded with `403`.
+	 * - Default: `true`
+	 */
+	verify: z.boolean().optional().default(true),
+	/**
+	 * Called with parsed event for each valid webhook request, request are responded with `500` when it throws.
+	 */
+	onEvent: z.instanceof(Function),
+	/**
+	 * Called with error when webhook request are invalid or `onEvent` throws.
+	 */
+	onError: z.instanceof(Function).optional(),
+	/**
+	 * Maximum request body size in `bytes`, larger request are responded with `413`.
+	 * - Default: `1048576`
+	 */
+	max_body_size: z.number().int().positive().optional().default(1048576)
+});
@@ -0,0 +1,126 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+/**
+ * Resolves local image source into `Blob` so it can be appended to multipart form.
+ * @param {import('../schema/Task.js').TaskAddFileSourceInfered} source - Local image source, either file path, `Buffer`, `Uint8Array`, `Blob` or `Readable` stream.
+ * @returns {Promise<Blob>} Resolved image source.
+ * @throws {Error} If the source type are not supported or file path cannot be opened.
+ */
+async function toBlob(source) {
+	if (typeof source === 'string') {
+		return fs.openAsBlob(source);
+	}
+	if (source instanceof Blob) {
+		return source;
+	}
+	if (source instanceof Uint8Array) {
+		return new Blob([source]);
+	}
+	if (source instanceof Readable) {
+		return new Blob([await toBuffer(source)]);
+	}
+
+	throw new Error('Unsupported file source.');
+}
+
+/**
+ * Reads whole `Readable` stream into `Buffer`.
+ * @param {import('node:stream').Readable} stream - Readable stream, such as processed file from `download()`.
+ * @returns {Promise<Buffer>} Stream content.
+ */
+async function toBuffer(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+	}
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Creates multipart form used to upload local image source to `ILoveApi` servers.
+ * @param {Object} fields - Form fields.
+ * @param {string} fields.task - Task id.
+ * @param {Blob} fields.file - Image source.
+ * @param {string} fields.filename - Original filename, make sure use correct file extension.
+ * @param {number} [fields.chunk] - Chunk index, only used on chunked upload.
+ * @param {number} [fields.chunks] - Total chunks, only used on chunked upload.
+ * @param {boolean} [fields.debug] - Enables or disables debug mode.
+ * @returns {FormData} Multipart form.
+ */
+function createUploadForm({ task, file, filename, chunk, chunks, debug }) {
+	const form = new FormData();
+	form.append('task', task);
+	if (chunks !== undefined) {
+		form.append('chunk', String(chunk));
+		form.append('chunks', String(chunks));
+	}
+	form.append('file', file, filename);
+	if (debug) form.append('debug', 'true');
+
+	return form;
+}
+
+/**
+ * Extracts filename from `Content-Disposition` response header, `filename*` are preferred over `filename`.
+ * @param {string} [header] - `Content-Disposition` header value.
+ * @returns {string | undefined} Filename when exist, otherwise `undefined`.
+ */
+function parseContentDisposition(header) {
+	if (typeof header !== 'string') return undefined;
+
+	const encoded = /filename\*\s*=\s*(?:[\w-]+'[\w-]*')?"?([^";]+)"?/i.exec(
+		header
+	);
+	if (encoded) {
+		try {
+			return decodeURIComponent(encoded[1].trim());
+		} catch {
+			// Malformed encoding, fallback to plain filename.
+		}
+	}
+
+	const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(header);
+	return plain ? plain[1].trim() : undefined;
+}
+
+/**
+ * Checks whether downloaded file are a ZIP archive using its `Content-Type` or filename.
+ * @param {string} [contentType] - `Content-Type` header value.
+ * @param {string} [filename] - Downloaded filename.
+ * @returns {boolean} `true` when downloaded file are a ZIP archive.
+ */
+function isZip(contentType, filename) {
+	if (typeof contentType === 'string' && /zip/i.test(contentType)) return true;
+	return typeof filename === 'string' && /\.zip$/i.test(filename);
+}
+
+/**
+ * Writes `Readable` stream into a file inside given directory, the directory are created when not exist.
+ * Only the base name of `filename` are used so it cannot write outside the directory.
+ * @param {Readable} stream - Readable stream, such as processed file from `download()`.
+ * @param {string} directory - Target directory.
+ * @param {string} filename - Target filename.
+ * @returns {Promise<{ path: string, size: number }>} Written file path and its size in `bytes`.
+ */
+async function writeToDirectory(stream, directory, filename) {
+	await fs.promises.mkdir(directory, { recursive: true });
+	const target = path.join(directory, path.basename(filename));
+	await pipeline(stream, fs.createWriteStream(target));
+	const { size } = await fs.promises.stat(target);
+
+	return { path: target, size };
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	toBlob,
+	toBuffer,
+	createUploadForm,
+	parseContentDisposition,
+	isZip,
+	writeToDirectory
+};
@@ -0,0 +1,21 @@
+/**
+ * Parses `Retry-After` response header value, either delay in seconds or HTTP date.
+ * @param {string | number} [value] - `Retry-After` header value.
+ * @returns {number | undefined} Delay in `milliseconds` when valid, otherwise `undefined`.
+ */
+function parseRetryAfter(value) {
+	if (value === undefined || value === null || value === '') return undefined;
+
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(String(value));
+	if (Number.isNaN(date)) return undefined;
+
+	return Math.max(0, date - Date.now());
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	parseRetryAfter
+};
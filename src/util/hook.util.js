@@ -0,0 +1,75 @@
+const REDACTED = '[REDACTED]';
+// Lowercased keys that values are always redacted from hook events.
+const SECRET_KEYS = ['secret_key', 'token', 'authorization', 'password'];
+
+/**
+ * Redacts secrets from given value, such as `secret_key`, `token` and `Authorization` values and bearer tokens inside strings.
+ * Only plain objects and arrays are copied, other objects (such as `FormData`, `Blob` or streams) are kept as is.
+ * @template T
+ * @param {T} value - Value to redact.
+ * @returns {T} Redacted copy of the value.
+ */
+function redact(value) {
+	if (typeof value === 'string') {
+		return /** @type {T} */ (
+			value.replace(/Bearer\s+[^\s,;]+/gi, `Bearer ${REDACTED}`)
+		);
+	}
+	if (Array.isArray(value)) {
+		return /** @type {T} */ (value.map(redact));
+	}
+	if (
+		value &&
+		typeof value === 'object' &&
+		Object.getPrototypeOf(value) === Object.prototype
+	) {
+		return /** @type {T} */ (
+			Object.fromEntries(
+				Object.entries(value).map(([key, item]) => [
+					key,
+					SECRET_KEYS.includes(key.toLowerCase()) ? REDACTED : redact(item)
+				])
+			)
+		);
+	}
+
+	return value;
+}
+
+/**
+ * Describes error thrown by the request without its request config, so hooks never receive credentials sent on headers.
+ * @param {any} error - Error thrown by the request, either raw `AxiosError` or already classified error.
+ * @returns {{ name: string, message: string, code?: string }} Error description.
+ */
+function describeError(error) {
+	return {
+		name: error?.name ?? 'Error',
+		message: redact(String(error?.message ?? error)),
+		...(error?.code !== undefined && { code: error.code })
+	};
+}
+
+/**
+ * Calls hook with redacted event. Errors thrown or rejected by hook are ignored so it never breaks the request.
+ * @param {import('../schema/Client.js').HooksInfered | import('../schema/Client.js').BudgetOptionsInfered} [hooks] - Hooks from client options, or budget options for `onLowCredits`.
+ * @param {'onRequest' | 'onResponse' | 'onError' | 'onRetry' | 'onLowCredits'} name - Hook name.
+ * @param {Record<string, any>} event - Hook event.
+ * @returns {void}
+ */
+function emit(hooks, name, event) {
+	const hook = hooks?.[name];
+	if (typeof hook !== 'function') return;
+
+	try {
+		Promise.resolve(hook(redact(event))).catch(() => {});
+	} catch {
+		// Ignore hook errors.
+	}
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	redact,
+	describeError,
+	emit
+};
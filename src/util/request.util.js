@@ -0,0 +1,309 @@
+import axios, { AxiosError, AxiosHeaders, CanceledError } from 'axios';
+import { Readable } from 'node:stream';
+import https from 'node:https';
+import tls from 'node:tls';
+import { ResponseValidationError } from '../Error.js';
+import config from '../config/global.js';
+
+const { ILOVEIMG_API_SERVER_PATTERN } = config;
+
+/**
+ * `https.Agent` created for each `ca` option keyed by its certificates, so clients, tasks and
+ * assigned task servers that use the same certificates share one agent and reuse keep-alive connections.
+ * @private Internal usage only.
+ */
+const certificateAgents = /** @type {Map<string, https.Agent>} */ (new Map());
+
+/**
+ * Creates Axios request config for a single call, only defined `timeout` and `signal` options are included
+ * so client defaults are kept when the call does not override it.
+ * @param {{ timeout?: number, signal?: AbortSignal }} [options] - Call options that already validated by zod.
+ * @param {import('axios').AxiosRequestConfig} [config] - Base request config.
+ * @returns {import('axios').AxiosRequestConfig} Request config.
+ */
+function createRequestConfig(options = {}, config = {}) {
+	const { timeout, signal } = options;
+
+	return {
+		...config,
+		...(timeout !== undefined && { timeout }),
+		...(signal !== undefined && { signal })
+	};
+}
+
+/**
+ * Parses server into `URL`, either a host (with optional port) or a full URL from `base_url`.
+ * @param {string} server - Server host, such as `api8g.iloveimg.com`, or full URL, such as `https://proxy.local/iloveimg`.
+ * @param {string} [protocol='https'] - Protocol used when server are a host.
+ * @returns {URL} Parsed server URL.
+ */
+function parseServer(server, protocol = 'https') {
+	return new URL(server.includes('://') ? server : `${protocol}://${server}`);
+}
+
+/**
+ * Creates base URL of `ILoveApi` server using protocol and version from client options.
+ * - When host are a full URL from `base_url`, its own protocol and path prefix are used instead.
+ * @param {string} host - Server host, either fixed server from `base_url` or assigned task server.
+ * @param {import('../schema/Client.js').ClientOptionsInfered} clientOptions - Client options that already validated by zod.
+ * @returns {string} Base URL, such as `https://api.ilovepdf.com/v1`.
+ */
+function createBaseURL(host, { protocol, version }) {
+	if (!host.includes('://')) return `${protocol}://${host}/${version}`;
+
+	const url = parseServer(host);
+	return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}/${version}`;
+}
+
+/**
+ * Checks whether task server host that not come from `start()`, such as webhook event or task snapshot,
+ * can be trusted to receive authentication token.
+ * - Trusted when it match `ILoveApi` server pattern, such as `api8g.iloveimg.com`, or equal to `base_url` or one of `trusted_servers`.
+ * @param {string} host - Task server host.
+ * @param {import('../schema/Client.js').ClientOptionsInfered} [clientOptions] - Client options that already validated by zod.
+ * @returns {boolean} `true` when the server are trusted, otherwise `false`.
+ */
+function isTrustedServer(host, { base_url, trusted_servers = [] } = {}) {
+	const server = host.toLowerCase();
+
+	return (
+		ILOVEIMG_API_SERVER_PATTERN.test(server) ||
+		(base_url !== undefined && parseServer(base_url).host === server) ||
+		trusted_servers.some((x) => x.toLowerCase() === server)
+	);
+}
+
+/**
+ * Creates Axios instance config for proxy, agents and TLS options from client options,
+ * only defined options are included so Axios defaults are kept.
+ * - When `ca` provided, `https.Agent` that trust those certificates in addition to Node default root certificates are used as `httpsAgent`,
+ * the agent are created once for each `ca` and reused on next call.
+ * @param {import('../schema/Client.js').ClientOptionsInfered} [clientOptions] - Client options that already validated by zod.
+ * @returns {import('axios').CreateAxiosDefaults} Instance config.
+ */
+function createAgentConfig(clientOptions = {}) {
+	const { proxy, http_agent, https_agent, ca } = clientOptions;
+
+	return {
+		...(proxy !== undefined && { proxy }),
+		...(http_agent !== undefined && { httpAgent: http_agent }),
+		...(https_agent !== undefined && { httpsAgent: https_agent }),
+		...(ca !== undefined && { httpsAgent: getCertificateAgent(ca) })
+	};
+}
+
+/**
+ * Resolves keep-alive `https.Agent` that trust given certificates in addition to Node default root certificates,
+ * created on first call then reused for the same certificates.
+ * @param {import('../schema/Client.js').CertificateAuthorityInfered} ca - Trusted CA certificates in PEM format.
+ * @returns {https.Agent} Agent that trust given certificates.
+ * @private Internal usage only.
+ */
+function getCertificateAgent(ca) {
+	const certificates = [ca].flat();
+	const key = certificates.map(String).join('\n');
+
+	if (!certificateAgents.has(key)) {
+		certificateAgents.set(
+			key,
+			new https.Agent({
+				keepAlive: true,
+				ca: [...tls.rootCertificates, ...certificates]
+			})
+		);
+	}
+
+	return certificateAgents.get(key);
+}
+
+/**
+ * Validates `ILoveApi` response body against its return type schema when client `strict` mode are enabled,
+ * otherwise the body are returned without validation.
+ * @param {import('zod').ZodTypeAny} schema - Return type schema, such as `TaskDetailsReturnType`.
+ * @param {unknown} body - Raw response body.
+ * @param {string} endpoint - Requested endpoint, used on error message.
+ * @param {import('../schema/Client.js').ClientOptionsInfered} [clientOptions] - Client options that already validated by zod.
+ * @returns {any} Raw response body.
+ * @throws {ResponseValidationError} If strict mode are enabled and the body does not match the schema.
+ */
+function validateResponse(schema, body, endpoint, clientOptions = {}) {
+	if (!clientOptions.strict) return body;
+
+	const result = schema.safeParse(body);
+	if (!result.success) {
+		const issues = result.error.issues
+			.map(({ path, message }) =>
+				path.length ? `${path.join('.')}: ${message}` : message
+			)
+			.join('; ');
+
+		throw new ResponseValidationError(
+			`Invalid response from ${endpoint}: ${issues}`,
+			body,
+			result.error
+		);
+	}
+
+	return body;
+}
+
+/**
+ * Creates `AxiosInstance` used to make requests to `ILoveApi` servers using given transport.
+ *
+ * - When `transport.axios` provided, the instance are created by that factory.
+ * - When `transport.fetch` provided, the instance use adapter that send requests through that function.
+ * - Otherwise, the instance are created using `axios.create()`.
+ *
+ * Proxy, agents and TLS options are merged into instance config, except when using `transport.fetch`
+ * since those options are handled by the fetch function itself.
+ *
+ * @param {import('axios').CreateAxiosDefaults} config - Instance config, such as `baseURL`, `headers` and `timeout`.
+ * @param {import('../schema/Client.js').ClientOptionsInfered} [clientOptions] - Client options that already validated by zod.
+ * @returns {import('axios').AxiosInstance} Axios instance.
+ * @throws {Error} If the factory does not return an `AxiosInstance`.
+ */
+function createHttpClient(config, clientOptions = {}) {
+	const { transport } = clientOptions;
+
+	if (transport && 'fetch' in transport) {
+		return axios.create({
+			...config,
+			adapter: createFetchAdapter(transport.fetch)
+		});
+	}
+
+	config = { ...config, ...createAgentConfig(clientOptions) };
+
+	if (transport && 'axios' in transport) {
+		const instance = transport.axios(config);
+		if (!instance || typeof instance.request !== 'function') {
+			throw new Error('Transport axios factory must return an AxiosInstance.');
+		}
+
+		return instance;
+	}
+
+	return axios.create(config);
+}
+
+/**
+ * Creates Axios adapter that send requests through fetch-compatible function. Responses and errors are
+ * shaped like the default adapter, so `classifyError()` keep classifying it into `ILoveApiError`, `NetworkError` and `AbortError`.
+ * @param {typeof fetch} fetchFn - Fetch-compatible function.
+ * @returns {import('axios').AxiosAdapter} Axios adapter.
+ */
+function createFetchAdapter(fetchFn) {
+	return async (config) => {
+		const url = axios.getUri(config);
+		const method = (config.method || 'get').toUpperCase();
+		const headers = AxiosHeaders.from(config.headers).normalize();
+		const body = config.data ?? undefined;
+		const request = { url, method };
+
+		// Let fetch generate multipart boundary.
+		if (body instanceof FormData) headers.delete('Content-Type');
+
+		const controller = new AbortController();
+		let isTimeout = false;
+		const onAbort = () => controller.abort();
+		const timer =
+			config.timeout > 0
+				? setTimeout(() => {
+						isTimeout = true;
+						controller.abort();
+					}, config.timeout)
+				: undefined;
+
+		if (config.signal?.aborted) throw new CanceledError(null, config, request);
+		config.signal?.addEventListener?.('abort', onAbort, { once: true });
+
+		let response;
+		try {
+			response = await fetchFn(url, {
+				method,
+				headers: headers.toJSON(),
+				body: method === 'GET' || method === 'HEAD' ? undefined : body,
+				signal: controller.signal
+			});
+		} catch (error) {
+			if (isTimeout) {
+				throw new AxiosError(
+					`timeout of ${config.timeout}ms exceeded`,
+					AxiosError.ECONNABORTED,
+					config,
+					request
+				);
+			}
+			if (config.signal?.aborted) {
+				throw new CanceledError(null, config, request);
+			}
+
+			throw new AxiosError(
+				error?.message || 'Network Error',
+				AxiosError.ERR_NETWORK,
+				config,
+				request
+			);
+		} finally {
+			clearTimeout(timer);
+			config.signal?.removeEventListener?.('abort', onAbort);
+		}
+
+		const axiosResponse = {
+			data: await readResponseData(response, config.responseType),
+			status: response.status,
+			statusText: response.statusText,
+			headers: AxiosHeaders.from(Object.fromEntries(response.headers)),
+			config,
+			request
+		};
+
+		const validateStatus = config.validateStatus;
+		if (!validateStatus || validateStatus(response.status)) {
+			return axiosResponse;
+		}
+
+		throw new AxiosError(
+			`Request failed with status code ${response.status}`,
+			response.status >= 500
+				? AxiosError.ERR_BAD_RESPONSE
+				: AxiosError.ERR_BAD_REQUEST,
+			config,
+			request,
+			axiosResponse
+		);
+	};
+}
+
+/**
+ * Reads fetch response body based on Axios `responseType`.
+ * JSON body are resolved as text so it parsed by Axios `transformResponse`.
+ * @param {Response} response - Fetch response.
+ * @param {import('axios').ResponseType} [responseType] - Axios response type.
+ * @returns {Promise<any>} Response data.
+ */
+async function readResponseData(response, responseType) {
+	if (responseType === 'stream') {
+		return response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+	}
+	if (responseType === 'arraybuffer') {
+		return Buffer.from(await response.arrayBuffer());
+	}
+	if (responseType === 'blob') {
+		return response.blob();
+	}
+
+	return response.text();
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	createRequestConfig,
+	parseServer,
+	createBaseURL,
+	isTrustedServer,
+	createAgentConfig,
+	validateResponse,
+	createHttpClient,
+	createFetchAdapter
+};
@@ -0,0 +1,143 @@
+import axios from 'axios';
+import { ILoveApiError, NetworkError } from '../Error.js';
+import * as _HookUtils from './hook.util.js';
+import * as _HeaderUtils from './header.util.js';
+
+// We need to import with this behaviour to make sinon working in testing environment
+const HookUtils = _HookUtils.default;
+const HeaderUtils = _HeaderUtils.default;
+
+/**
+ * Checks whether failed request can be retried using given retry policy.
+ * Network errors are always retryable, while errors with response are retryable when its status code listed on policy.
+ * Cancelled requests are never retried.
+ * @param {any} error - Error thrown by the request, either raw `AxiosError` or already classified error.
+ * @param {import('../schema/Client.js').RetryOptionsInfered} policy - Retry policy.
+ * @returns {boolean} `true` when the request can be retried.
+ */
+function isRetryable(error, policy) {
+	if (!error || typeof error !== 'object') return false;
+	if (error.code === 'ERR_CANCELED') return false;
+
+	const status =
+		error instanceof ILoveApiError ? error.status : error.response?.status;
+	if (status !== undefined) return policy.statuses.includes(status);
+
+	return (
+		error instanceof NetworkError ||
+		(axios.isAxiosError(error) && !!error.request)
+	);
+}
+
+/**
+ * Computes delay before next attempt. When enabled, `Retry-After` response header are preferred over exponential backoff.
+ * Both are limited to `max_delay`.
+ * @param {number} attempt - Zero based attempt index that failed.
+ * @param {import('../schema/Client.js').RetryOptionsInfered} policy - Retry policy.
+ * @param {any} [error] - Error thrown by the request.
+ * @returns {number} Delay in `milliseconds`.
+ */
+function getRetryDelay(attempt, policy, error) {
+	if (policy.retry_after) {
+		const retryAfter = HeaderUtils.parseRetryAfter(
+			error?.response?.headers?.['retry-after']
+		);
+		if (retryAfter !== undefined) return Math.min(retryAfter, policy.max_delay);
+	}
+
+	const backoff = Math.min(
+		policy.delay * policy.factor ** attempt,
+		policy.max_delay
+	);
+
+	return policy.jitter ? backoff / 2 + (Math.random() * backoff) / 2 : backoff;
+}
+
+/**
+ * Waits for given delay, rejected with `CanceledError` as soon as the signal aborted.
+ * @param {number} delay - Delay in `milliseconds`.
+ * @param {AbortSignal} [signal] - Signal used to stop waiting.
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) return reject(new axios.CanceledError());
+
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new axios.CanceledError());
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, delay);
+
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/**
+ * Runs request and retries it using given retry policy when it fails with retryable error.
+ * Request are only retried when `method` listed on policy `methods`.
+ *
+ * When `context` provided, its `hooks` are called on each attempt with redacted event:
+ * - `onRequest` before the request are made.
+ * - `onResponse` after the request succeeded, including `status` and `duration`.
+ * - `onError` after the request failed, including `status`, `duration` and `error` description.
+ * - `onRetry` before waiting for next attempt, including `delay`.
+ *
+ * @template T
+ * @param {import('../schema/Client.js').RetryMethodsInfered} method - Method name that making the request.
+ * @param {() => Promise<T>} request - Function that making the request.
+ * @param {import('../schema/Client.js').RetryOptionsInfered} [policy] - Retry policy, when omitted request are not retried.
+ * @param {AbortSignal} [signal] - Signal that stop waiting for next attempt when aborted.
+ * @param {{ hooks?: import('../schema/Client.js').HooksInfered } & Partial<import('../schema/Client.js').HookRequestEventInfered>} [context] - Hooks and request information, such as `tool`, `task_id` and `endpoint`.
+ * @returns {Promise<T>} Request result.
+ * @throws {any} Last error thrown by the request, or `CanceledError` when aborted while waiting for next attempt.
+ */
+async function withRetry(method, request, policy, signal, context = {}) {
+	const retries = policy?.methods.includes(method) ? policy.retries : 0;
+	const { hooks, ...info } = context;
+
+	for (let attempt = 0; ; attempt++) {
+		const event = { method, attempt, ...info };
+		const startedAt = Date.now();
+		HookUtils.emit(hooks, 'onRequest', event);
+
+		try {
+			const response = await request();
+			HookUtils.emit(hooks, 'onResponse', {
+				...event,
+				status: response?.status,
+				duration: Date.now() - startedAt
+			});
+
+			return response;
+		} catch (error) {
+			const failure = {
+				...event,
+				status:
+					error instanceof ILoveApiError
+						? error.status
+						: error?.response?.status,
+				duration: Date.now() - startedAt,
+				error: HookUtils.describeError(error)
+			};
+			HookUtils.emit(hooks, 'onError', failure);
+
+			if (attempt >= retries || !isRetryable(error, policy)) throw error;
+
+			const delay = getRetryDelay(attempt, policy, error);
+			HookUtils.emit(hooks, 'onRetry', { ...failure, delay });
+			await wait(delay, signal);
+		}
+	}
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	isRetryable,
+	getRetryDelay,
+	wait,
+	withRetry
+};
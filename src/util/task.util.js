@@ -1,17 +1,53 @@
+import path from 'node:path';
+import { Readable } from 'node:stream';
 import * as TaskSchema from '../schema/Task.js';
+import * as FileSchema from '../schema/File.js';
+import * as _FileUtils from './file.util.js';
+import * as _RetryUtils from './retry.util.js';
+import * as _HookUtils from './hook.util.js';
+import * as _RequestUtils from './request.util.js';
+import {
+	classifyError,
+	ILoveApiError,
+	NetworkError,
+	AbortError,
+	PartialFailureError,
+	BudgetExceededError
+} from '../Error.js';
+
+// We need to import with this behaviour to make sinon working in testing environment
+const FileUtils = _FileUtils.default;
+const RetryUtils = _RetryUtils.default;
+const HookUtils = _HookUtils.default;
+const RequestUtils = _RequestUtils.default;
+
+/**
+ * @typedef {Object} TaskRequestContext
+ * @property {import('axios').AxiosInstance} server Axios instance that already configured for task assigned server.
+ * @property {string} task_id Task id.
+ * @property {import('../schema/Tool.js').ToolTypesInfered} [tool] Tool type, omitted on hook context when not resolved.
+ * @property {import('../schema/Client.js').ClientOptionsInfered} client_options Client options that already validated by zod.
+ */
 
 /**
  * Validates tool options for the `process` method.
  * @param {import('../schema/Tool.js').ToolTypesInfered} tool - Tool type.
  * @param {TaskSchema.TaskProcessToolOptionsInfered} options - Tool options.
- * @returns {Promise<TaskSchema.TaskProcessConvertImageOptionsInfered | TaskSchema.TaskProcessUpscaleImageOptionsInfered | TaskSchema.TaskProcessWatermarkImageOptionsInfered>} Validated tool options.
+ * @returns {Promise<TaskSchema.TaskProcessCompressImageOptionsInfered | TaskSchema.TaskProcessConvertImageOptionsInfered | TaskSchema.TaskProcessCropImageOptionsInfered | TaskSchema.TaskProcessResizeImageOptionsInfered | TaskSchema.TaskProcessUpscaleImageOptionsInfered | TaskSchema.TaskProcessWatermarkImageOptionsInfered>} Validated tool options.
  * @throws {import('zod').ZodError} If the tool options are invalid.
  */
 async function validateProcessToolOptions(tool, options) {
 	const toolValidators = {
+		compressimage: TaskSchema.TaskProcessCompressImageOptions.parseAsync,
 		convertimage: TaskSchema.TaskProcessConvertImageOptions.parseAsync,
+		cropimage: TaskSchema.TaskProcessCropImageOptions.parseAsync,
 		// No options for this tool, immediately resolve empty object
 		removebackgroundimage: () => Promise.resolve({}),
+		// No options for this tool, immediately resolve empty object
+		repairimage: () => Promise.resolve({}),
+		resizeimage: TaskSchema.TaskProcessResizeImageOptions.parseAsync,
+		// Rotation are assigned per file, immediately resolve empty object
+		rotateimage: () => Promise.resolve({}),
 		upscaleimage: TaskSchema.TaskProcessUpscaleImageOptions.parseAsync,
 		watermarkimage: TaskSchema.TaskProcessWatermarkImageOptions.parseAsync
 	};
@@ -24,7 +60,706 @@ async function validateProcessToolOptions(tool, options) {
 	return validator(options);
 }
 
+/**
+ * Resolves `run()` input into options used on `addFile()` method.
+ * String input that starts with `http://` or `https://` are treated as public image URL, otherwise as local image file path.
+ * Filename are resolved from the last path segment, or `image` when the URL path has no filename.
+ * @param {import('../schema/ILoveIMGApi.js').RunInputsInfered[number]} input - Public image URL, local image file path or `addFile()` options.
+ * @returns {TaskSchema.TaskAddFileGenericOptionsInfered} Options for `addFile()` method.
+ */
+function resolveAddFileOptions(input) {
+	if (typeof input !== 'string') return input;
+
+	if (/^https?:\/\//i.test(input)) {
+		return {
+			cloud_file: input,
+			// URL without filename on its path, such as `https://example.com/images/`, use default filename.
+			filename: new URL(input).pathname.split('/').pop() || 'image'
+		};
+	}
+
+	return { file: input, filename: path.basename(input) };
+}
+
+/**
+ * Polls task details with exponential backoff until its status are terminal, such as `TaskSuccess` or `TaskError`.
+ * @param {(options: { signal: AbortSignal }) => Promise<TaskSchema.TaskDetailsReturnTypeInfered>} details - Function that retrieves task details using given signal.
+ * @param {TaskSchema.TaskWaitForCompletionOptionsInfered} options - Options that already validated by zod.
+ * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details with terminal status.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If requests failed, waiting are aborted or task not completed within `timeout`.
+ */
+async function pollUntilComplete(
+	details,
+	{ interval, factor, max_interval, timeout, signal }
+) {
+	const controller = new AbortController();
+	let isTimeout = false;
+	const onAbort = () => controller.abort();
+	const timer =
+		timeout > 0
+			? setTimeout(() => {
+					isTimeout = true;
+					controller.abort();
+				}, timeout)
+			: undefined;
+
+	if (signal?.aborted) controller.abort();
+	signal?.addEventListener('abort', onAbort, { once: true });
+
+	try {
+		for (let attempt = 0; ; attempt++) {
+			const result = await details({ signal: controller.signal });
+			if (
+				TaskSchema.TaskTerminalStatusTypes.safeParse(result?.status).success
+			) {
+				return result;
+			}
+
+			await RetryUtils.wait(
+				Math.min(interval * factor ** attempt, max_interval),
+				controller.signal
+			);
+		}
+	} catch (error) {
+		if (isTimeout) {
+			throw new Error(`Task not completed within ${timeout}ms.`);
+		}
+
+		classifyError(error);
+	} finally {
+		clearTimeout(timer);
+		signal?.removeEventListener('abort', onAbort);
+	}
+}
+
+/**
+ * Creates context used by `RetryUtils.withRetry()` to call lifecycle hooks with request information of a task.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {'GET' | 'POST' | 'DELETE'} http_method - HTTP method.
+ * @param {string} endpoint - Requested endpoint relative to server base URL.
+ * @param {any} [data] - Request payload.
+ * @returns {{ hooks?: import('../schema/Client.js').HooksInfered, tool?: string, task_id?: string, http_method: 'GET' | 'POST' | 'DELETE', endpoint: string, data?: any }} Hook context.
+ */
+function createHookContext(context, http_method, endpoint, data) {
+	return {
+		hooks: context.client_options.hooks,
+		...(context.tool !== undefined && { tool: context.tool }),
+		task_id: context.task_id,
+		http_method,
+		endpoint,
+		...(data !== undefined && { data })
+	};
+}
+
+/**
+ * Uploads a image to a task. The image can be a public URL using `cloud_file`,
+ * or a local source using `file` that uploaded as multipart form, in multiple chunks when `chunk_size` provided.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {TaskSchema.TaskAddFileGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @param {Object} uploadOptions - Chunked upload options.
+ * @param {number} uploadOptions.chunk_retries - Default maximum retry attempts for each failed chunk, used when `chunk_retries` option are not provided.
+ * @param {number} uploadOptions.chunk_retry_delay - Base delay in milliseconds before retrying failed chunk, multiplied by attempt number.
+ * @param {Map<string, { size: number, chunks: number, next: number }>} uploadOptions.pending_uploads - Progress of chunked uploads that failed due network error, keyed by original filename.
+ * @param {(attributes: Record<string, any>) => void} [uploadOptions.setAttributes] - Called with uploaded source size.
+ * @returns {Promise<TaskSchema.TaskAddFileReturnTypeInfered>} Object containing server filename. If `debug` is enabled, it resolves with an object containing request information instead.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If requests failed.
+ * @throws {import('../Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+ */
+async function requestUpload(
+	context,
+	options,
+	{
+		chunk_retries,
+		chunk_retry_delay,
+		pending_uploads,
+		setAttributes = () => {}
+	}
+) {
+	const { server, task_id, client_options } = context;
+	const isDebug = !!options?.debug;
+	const { file, chunk_size, timeout, signal } = options;
+	// Rotation only used when processing and request options only used by client, so its not sent on upload.
+	const uploadOptions = Object.fromEntries(
+		Object.entries(options).filter(
+			([key]) =>
+				![
+					'rotate',
+					'file',
+					'chunk_size',
+					'chunk_retries',
+					'timeout',
+					'signal'
+				].includes(key)
+		)
+	);
+	const requestConfig = RequestUtils.createRequestConfig({ timeout, signal });
+	let response;
+
+	if (file === undefined) {
+		response = await RetryUtils.withRetry(
+			'addFile',
+			() =>
+				server.post(
+					'/upload',
+					{ task: task_id, ...uploadOptions },
+					requestConfig
+				),
+			client_options.retry,
+			signal,
+			createHookContext(context, 'POST', '/upload', {
+				task: task_id,
+				...uploadOptions
+			})
+		);
+	} else if (chunk_size) {
+		const blob = await FileUtils.toBlob(file);
+		setAttributes({ bytes: blob.size });
+		response = await uploadChunks(context, blob, {
+			filename: options.filename,
+			chunk_size,
+			chunk_retries: options.chunk_retries ?? chunk_retries,
+			chunk_retry_delay,
+			pending_uploads,
+			debug: isDebug,
+			requestConfig
+		});
+	} else {
+		// Resolve source once, so retried upload does not consume stream source again.
+		const blob = await FileUtils.toBlob(file);
+		setAttributes({ bytes: blob.size });
+		response = await RetryUtils.withRetry(
+			'addFile',
+			() =>
+				server.post(
+					'/upload',
+					FileUtils.createUploadForm({
+						task: task_id,
+						file: blob,
+						filename: options.filename,
+						debug: isDebug
+					}),
+					RequestUtils.createRequestConfig(
+						{ timeout, signal },
+						{ headers: { 'Content-Type': 'multipart/form-data' } }
+					)
+				),
+			client_options.retry,
+			signal,
+			createHookContext(context, 'POST', '/upload', {
+				task: task_id,
+				filename: options.filename
+			})
+		);
+	}
+
+	if (!isDebug) {
+		RequestUtils.validateResponse(
+			TaskSchema.TaskAddFileReturnType,
+			response.data,
+			'/upload',
+			client_options
+		);
+		if (!response.data.server_filename) {
+			throw new Error('Invalid response: missing required fields');
+		}
+	}
+
+	return response.data;
+}
+
+/**
+ * Upload local image source in multiple chunks. Each failed chunk are retried individually when the error are transient,
+ * and when retries are exhausted due network error or the upload are aborted, upload progress are kept so it can be resumed from the last acknowledged chunk.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {Blob} blob - Local image source.
+ * @param {Object} options - Chunked upload options.
+ * @param {string} options.filename - Original filename.
+ * @param {number} options.chunk_size - Chunk size in `bytes`.
+ * @param {number} options.chunk_retries - Maximum retry attempts for each failed chunk.
+ * @param {number} options.chunk_retry_delay - Base delay in milliseconds before retrying failed chunk, multiplied by attempt number.
+ * @param {Map<string, { size: number, chunks: number, next: number }>} options.pending_uploads - Progress of chunked uploads that failed due network error, keyed by original filename
+ * and only resumed when the source size match, otherwise the progress are cleared.
+ * @param {boolean} options.debug - Enables or disables debug mode.
+ * @param {import('axios').AxiosRequestConfig} options.requestConfig - Request config for each chunk, such as `timeout` and `signal`.
+ * @returns {Promise<import('axios').AxiosResponse>} Response of the last uploaded chunk.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If any chunk cannot be uploaded.
+ * @private Internal usage only.
+ */
+async function uploadChunks(
+	context,
+	blob,
+	{
+		filename,
+		chunk_size,
+		chunk_retries,
+		chunk_retry_delay,
+		pending_uploads,
+		debug,
+		requestConfig
+	}
+) {
+	const { server, task_id } = context;
+	const chunks = Math.max(1, Math.ceil(blob.size / chunk_size));
+	const pending = pending_uploads.get(filename);
+	const isResumable = pending?.size === blob.size && pending?.chunks === chunks;
+	let chunk = isResumable ? pending.next : 0;
+	let response;
+
+	// Different source uploaded using the same filename, so the progress are stale.
+	if (pending && !isResumable) pending_uploads.delete(filename);
+
+	for (; chunk < chunks; chunk++) {
+		const part = blob.slice(chunk * chunk_size, (chunk + 1) * chunk_size);
+
+		const hookContext = createHookContext(context, 'POST', '/upload', {
+			task: task_id,
+			filename,
+			chunk,
+			chunks
+		});
+
+		for (let attempt = 0; ; attempt++) {
+			try {
+				// Chunk are retried below, so each attempt are made without retry policy.
+				response = await RetryUtils.withRetry(
+					'addFile',
+					() =>
+						server.post(
+							'/upload',
+							FileUtils.createUploadForm({
+								task: task_id,
+								file: part,
+								filename,
+								chunk,
+								chunks,
+								debug
+							}),
+							{
+								...requestConfig,
+								headers: { 'Content-Type': 'multipart/form-data' }
+							}
+						),
+					undefined,
+					undefined,
+					{ ...hookContext, attempt }
+				);
+				break;
+			} catch (error) {
+				try {
+					classifyError(error);
+				} catch (classified) {
+					let failure = classified;
+					const isTransient =
+						classified instanceof NetworkError ||
+						(classified instanceof ILoveApiError && classified.status >= 500);
+
+					if (isTransient && attempt < chunk_retries) {
+						const delay = chunk_retry_delay * (attempt + 1);
+						// Hooks are excluded from event, same as `RetryUtils.withRetry()`.
+						const { hooks, ...info } = hookContext;
+						HookUtils.emit(hooks, 'onRetry', {
+							method: 'addFile',
+							...info,
+							attempt,
+							status: classified.status,
+							error: HookUtils.describeError(classified),
+							delay
+						});
+
+						try {
+							await RetryUtils.wait(delay, requestConfig.signal);
+							continue;
+						} catch (error) {
+							failure = new AbortError('Request aborted.', error);
+						}
+					}
+
+					// Keep progress so the upload can be resumed from this chunk.
+					if (
+						failure instanceof NetworkError ||
+						failure instanceof AbortError
+					) {
+						pending_uploads.set(filename, {
+							size: blob.size,
+							chunks,
+							next: chunk
+						});
+					} else {
+						pending_uploads.delete(filename);
+					}
+
+					throw failure;
+				}
+			}
+		}
+	}
+
+	pending_uploads.delete(filename);
+	return response;
+}
+
+/**
+ * Deletes a image that already uploaded to a task.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {TaskSchema.TaskRemoveFileGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @returns {Promise<any>} Response data, an object containing request information when `debug` is enabled.
+ * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+ */
+async function requestDeleteFile(context, options) {
+	const { server, task_id, client_options } = context;
+	const response = await RetryUtils.withRetry(
+		'deleteFile',
+		() => server.delete('/upload', { data: { task: task_id, ...options } }),
+		client_options.retry,
+		undefined,
+		createHookContext(context, 'DELETE', '/upload', {
+			task: task_id,
+			...options
+		})
+	);
+
+	return response.data;
+}
+
+/**
+ * Processes uploaded images of a task.
+ * @param {TaskRequestContext} context - Task request context, `tool` are required.
+ * @param {TaskSchema.TaskProcessRequiredOptionsInfered['files']} files - Uploaded images to process.
+ * @param {TaskSchema.TaskProcessGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @param {Record<string, any>} toolOptions - Tool options that already validated by zod.
+ * @returns {Promise<TaskSchema.TaskProcessReturnTypeInfered>} Processed file meta information. If `debug` is enabled, it resolves with an object containing request information instead.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If requests failed.
+ * @throws {import('../Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+ */
+async function requestProcess(context, files, options, toolOptions) {
+	const { server, task_id, tool, client_options } = context;
+	// Request options only used by client, so its not sent on process.
+	const { timeout, signal, ...processOptions } = options;
+	const payload = {
+		task: task_id,
+		tool,
+		files,
+		...processOptions,
+		...toolOptions
+	};
+
+	const response = await RetryUtils.withRetry(
+		'process',
+		() =>
+			server.post(
+				'/process',
+				payload,
+				RequestUtils.createRequestConfig({ timeout, signal })
+			),
+		client_options.retry,
+		signal,
+		createHookContext(context, 'POST', '/process', payload)
+	);
+
+	if (!processOptions.debug) {
+		RequestUtils.validateResponse(
+			TaskSchema.TaskProcessReturnType,
+			response.data,
+			'/process',
+			client_options
+		);
+	}
+
+	return response.data;
+}
+
+/**
+ * Downloads processed files of a task.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {TaskSchema.TaskDownloadGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @returns {Promise<import('axios').AxiosResponse>} Response with processed file stream, or with request information when `debug` is enabled.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If requests failed.
+ */
+async function requestDownload(context, options) {
+	const { server, task_id, client_options } = context;
+	const isDebug = !!options?.debug;
+	const endpoint = isDebug
+		? `/download/${task_id}?debug=true`
+		: `/download/${task_id}`;
+
+	return RetryUtils.withRetry(
+		'download',
+		() =>
+			server.get(
+				endpoint,
+				isDebug
+					? RequestUtils.createRequestConfig(options)
+					: RequestUtils.createRequestConfig(options, {
+							responseType: 'stream'
+						})
+			),
+		client_options.retry,
+		options.signal,
+		createHookContext(context, 'GET', endpoint)
+	);
+}
+
+/**
+ * Downloads processed files of a task using given `download()` method and resolves its content as `Buffer`.
+ * @param {(options: TaskSchema.TaskDownloadContentOptionsInfered) => Promise<import('axios').AxiosResponse>} download - Task `download()` method.
+ * @param {TaskSchema.TaskDownloadContentOptionsInfered} options - Options that already validated by zod.
+ * @returns {Promise<Buffer>} Processed file content.
+ * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+ */
+async function downloadBuffer(download, options) {
+	const response = await download(RequestUtils.createRequestConfig(options));
+
+	try {
+		return await FileUtils.toBuffer(response.data);
+	} catch (error) {
+		classifyError(error);
+	}
+}
+
+/**
+ * Downloads processed files of a task using given `download()` method and resolves its content as web `ReadableStream`.
+ * @param {(options: TaskSchema.TaskDownloadContentOptionsInfered) => Promise<import('axios').AxiosResponse>} download - Task `download()` method.
+ * @param {TaskSchema.TaskDownloadContentOptionsInfered} options - Options that already validated by zod.
+ * @returns {Promise<ReadableStream<Uint8Array>>} Processed file content stream.
+ * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+ */
+async function downloadStream(download, options) {
+	const response = await download(RequestUtils.createRequestConfig(options));
+
+	return Readable.toWeb(response.data);
+}
+
+/**
+ * Downloads processed files of a task using given `download()` method and saves it into given directory.
+ * Filename are resolved from `filename` option, `Content-Disposition` response header or given `download_filename`.
+ * @param {(options: TaskSchema.TaskDownloadContentOptionsInfered) => Promise<import('axios').AxiosResponse>} download - Task `download()` method.
+ * @param {string} directory - Directory to save processed file.
+ * @param {TaskSchema.TaskDownloadToDirectoryOptionsInfered} options - Options that already validated by zod.
+ * @param {string} [download_filename] - Processed filename resolved from `process()`.
+ * @returns {Promise<TaskSchema.TaskDownloadToDirectoryReturnTypeInfered>} Saved processed file information.
+ * @throws {ILoveApiError | NetworkError | Error} If requests failed, filename cannot be resolved or processed file cannot be saved.
+ */
+async function downloadToDirectory(
+	download,
+	directory,
+	options,
+	download_filename
+) {
+	const response = await download(RequestUtils.createRequestConfig(options));
+	const contentType = response.headers?.['content-type'];
+	const filename =
+		options.filename ||
+		FileUtils.parseContentDisposition(
+			response.headers?.['content-disposition']
+		) ||
+		download_filename;
+
+	if (!filename) {
+		// Release the connection since the response stream never consumed.
+		response.data?.destroy?.();
+		throw new Error(
+			'Unable to resolve downloaded filename, provide filename option instead.'
+		);
+	}
+
+	try {
+		const saved = await FileUtils.writeToDirectory(
+			response.data,
+			directory,
+			filename
+		);
+
+		return {
+			...saved,
+			filename: path.basename(saved.path),
+			is_zip: FileUtils.isZip(contentType, filename)
+		};
+	} catch (error) {
+		classifyError(error);
+	}
+}
+
+/**
+ * Retrieves details of a task.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {TaskSchema.TaskDetailsGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @returns {Promise<TaskSchema.TaskDetailsReturnTypeInfered>} Task details. If `debug` is enabled, it resolves with an object containing request information instead.
+ * @throws {ILoveApiError | NetworkError | AbortError | Error} If requests failed.
+ * @throws {import('../Error.js').ResponseValidationError} If client `strict` mode are enabled and the response does not match its schema.
+ */
+async function requestDetails(context, options) {
+	const { server, task_id, client_options } = context;
+	const isDebug = !!options?.debug;
+	const endpoint = isDebug ? `/task/${task_id}?debug=true` : `/task/${task_id}`;
+
+	const response = await RetryUtils.withRetry(
+		'details',
+		() => server.get(endpoint, RequestUtils.createRequestConfig(options)),
+		client_options.retry,
+		options.signal,
+		createHookContext(context, 'GET', endpoint)
+	);
+
+	if (isDebug) return response.data;
+
+	return RequestUtils.validateResponse(
+		TaskSchema.TaskDetailsReturnType,
+		response.data,
+		`/task/${task_id}`,
+		client_options
+	);
+}
+
+/**
+ * Deletes a task.
+ * @param {TaskRequestContext} context - Task request context.
+ * @param {TaskSchema.TaskDeleteGenericOptionsInfered} options - Generic options that already validated by zod.
+ * @returns {Promise<any>} Response data, an object containing request information when `debug` is enabled.
+ * @throws {ILoveApiError | NetworkError | Error} If requests failed.
+ */
+async function requestDelete(context, options) {
+	const { server, task_id, client_options } = context;
+	const endpoint = options?.debug
+		? `/task/${task_id}?debug=true`
+		: `/task/${task_id}`;
+
+	const response = await RetryUtils.withRetry(
+		'delete',
+		() => server.delete(endpoint),
+		client_options.retry,
+		undefined,
+		createHookContext(context, 'DELETE', endpoint)
+	);
+
+	return response.data;
+}
+
+/**
+ * Creates status report of each task file by joining task details files with uploaded files using their server filename.
+ * Uploaded files that not exist on task details, such as when task not processed yet, are reported without status.
+ * @param {TaskSchema.TaskDetailsReturnTypeInfered} details - Task details.
+ * @param {TaskSchema.TaskProcessRequiredOptionsInfered['files']} [uploadedFiles] - Uploaded files of the task.
+ * @param {Object} [options] - Report options.
+ * @param {boolean} [options.throw_on_failure] - Throws `PartialFailureError` when any file failed to process.
+ * @returns {TaskSchema.TaskFileReportReturnTypeInfered} Task file report.
+ * @throws {PartialFailureError} If `throw_on_failure` enabled and any file failed to process.
+ */
+function createFileReport(
+	details,
+	uploadedFiles = [],
+	{ throw_on_failure = false } = {}
+) {
+	const detailFiles = details?.files ?? [];
+	const files = detailFiles.map((file) => {
+		const uploaded = uploadedFiles.find(
+			(uploaded) => uploaded.server_filename === file.server_filename
+		);
+
+		return {
+			filename: uploaded?.filename ?? file.filename,
+			server_filename: file.server_filename,
+			status: file.status,
+			status_message: file.status_message,
+			filesize: file.filesize,
+			output_filesize: file.output_filesize,
+			failed: FileSchema.FileFailureStatus.safeParse(file.status).success
+		};
+	});
+
+	for (const uploaded of uploadedFiles) {
+		if (
+			!detailFiles.some(
+				(file) => file.server_filename === uploaded.server_filename
+			)
+		) {
+			files.push({
+				filename: uploaded.filename,
+				server_filename: uploaded.server_filename,
+				failed: false
+			});
+		}
+	}
+
+	const failed_files = files.filter((file) => file.failed);
+	const report = {
+		status: details.status,
+		status_message: details.status_message,
+		has_warnings:
+			details.status === 'TaskSuccessWithWarnings' || failed_files.length > 0,
+		files,
+		failed_files
+	};
+
+	if (throw_on_failure && failed_files.length) {
+		const failures = failed_files
+			.map(
+				(file) => `${file.filename ?? file.server_filename} (${file.status})`
+			)
+			.join(', ');
+
+		throw new PartialFailureError(
+			`${failed_files.length} of ${files.length} files failed to process: ${failures}.`,
+			report
+		);
+	}
+
+	return report;
+}
+
+/**
+ * Asserts task files are within client `budget` before spending remaining files.
+ * Reserve are only checked when remaining files already resolved from `start()`.
+ * @param {import('../schema/Client.js').BudgetOptionsInfered} [budget] - Budget from client options.
+ * @param {number} file_count - Task files that would be processed.
+ * @param {number} [remaining_files] - Remaining files reported by `start()`.
+ * @returns {void}
+ * @throws {BudgetExceededError} If task files exceeds `max_files` or would leave fewer remaining files than `reserve`.
+ */
+function assertBudget(budget, file_count, remaining_files) {
+	if (budget?.max_files !== undefined && file_count > budget.max_files) {
+		throw new BudgetExceededError(
+			`Task files exceeds budget of ${budget.max_files} files per task.`,
+			{
+				reason: 'max_files',
+				limit: budget.max_files,
+				file_count,
+				remaining_files
+			}
+		);
+	}
+
+	if (
+		budget?.reserve !== undefined &&
+		remaining_files !== undefined &&
+		remaining_files - file_count < budget.reserve
+	) {
+		throw new BudgetExceededError(
+			`Processing ${file_count} files would leave ${remaining_files - file_count} remaining files, below reserve of ${budget.reserve}.`,
+			{
+				reason: 'reserve',
+				limit: budget.reserve,
+				file_count,
+				remaining_files
+			}
+		);
+	}
+}
+
 // We need to export with this behaviour to make sinon working in testing environment
 export default {
-	validateProcessToolOptions
+	validateProcessToolOptions,
+	resolveAddFileOptions,
+	pollUntilComplete,
+	createHookContext,
+	requestUpload,
+	requestDeleteFile,
+	requestProcess,
+	requestDownload,
+	downloadBuffer,
+	downloadStream,
+	downloadToDirectory,
+	requestDetails,
+	requestDelete,
+	createFileReport,
+	assertBudget
 };
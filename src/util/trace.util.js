@@ -0,0 +1,56 @@
+// OpenTelemetry `SpanKind.CLIENT` value, defined here so `@opentelemetry/api` are not required at runtime.
+const SPAN_KIND_CLIENT = 2;
+// OpenTelemetry `SpanStatusCode.ERROR` value, defined here so `@opentelemetry/api` are not required at runtime.
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Creates span attributes with `iloveimg.` prefix, only defined attributes are included.
+ * @param {Record<string, string | number | boolean | undefined>} attributes - Attributes without prefix, such as `tool` or `task_id`.
+ * @returns {Record<string, string | number | boolean>} Prefixed attributes.
+ */
+function createAttributes(attributes) {
+	return Object.fromEntries(
+		Object.entries(attributes)
+			.filter(([, value]) => value !== undefined && value !== null)
+			.map(([key, value]) => [`iloveimg.${key}`, value])
+	);
+}
+
+/**
+ * Runs function inside active span created by given OpenTelemetry tracer. The span are ended when the function settled,
+ * and marked as error with recorded exception when it throws. When tracer are not provided, the function are run without span.
+ * @template T
+ * @param {import('@opentelemetry/api').Tracer} [tracer] - OpenTelemetry tracer from client options.
+ * @param {string} name - Span name, such as `iloveimg.start`.
+ * @param {Record<string, string | number | boolean | undefined>} attributes - Initial span attributes without prefix.
+ * @param {(setAttributes: (attributes: Record<string, string | number | boolean | undefined>) => void) => Promise<T>} fn - Function to run, receives function that add attributes to the span.
+ * @returns {Promise<T>} Function result.
+ * @throws {any} Error thrown by the function.
+ */
+async function withSpan(tracer, name, attributes, fn) {
+	if (!tracer) return fn(() => {});
+
+	return tracer.startActiveSpan(
+		name,
+		{ kind: SPAN_KIND_CLIENT, attributes: createAttributes(attributes) },
+		async (span) => {
+			try {
+				return await fn((values) =>
+					span.setAttributes(createAttributes(values))
+				);
+			} catch (error) {
+				span.recordException(error);
+				span.setStatus({ code: SPAN_STATUS_ERROR, message: error?.message });
+				throw error;
+			} finally {
+				span.end();
+			}
+		}
+	);
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	createAttributes,
+	withSpan
+};
@@ -0,0 +1,245 @@
+import zlib from 'node:zlib';
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+// Local file header are 30 bytes followed by filename and extra field.
+const LOCAL_FILE_HEADER_SIZE = 30;
+
+/**
+ * Creates sequential reader over archive chunks, only unread part of current chunk are kept in memory.
+ * @param {AsyncIterable<Buffer | Uint8Array | string>} source - ZIP archive content, such as `Readable` stream.
+ * @private Internal usage only.
+ */
+function createReader(source) {
+	const iterator = source[Symbol.asyncIterator]();
+	let buffered = /** @type {Buffer | undefined} */ (undefined);
+
+	/**
+	 * Reads next available chunk, resolves `undefined` when the archive ended.
+	 * @returns {Promise<Buffer | undefined>}
+	 */
+	const next = async () => {
+		if (buffered) {
+			const chunk = buffered;
+			buffered = undefined;
+			return chunk;
+		}
+
+		const { done, value } = await iterator.next();
+		if (done) return undefined;
+
+		return Buffer.isBuffer(value) ? value : Buffer.from(value);
+	};
+
+	return {
+		next,
+		/**
+		 * Reads exactly `length` bytes.
+		 * @param {number} length - Length in `bytes`.
+		 * @returns {Promise<Buffer>}
+		 * @throws {Error} If the archive ended before `length` bytes are read.
+		 */
+		async read(length) {
+			const chunks = [];
+			let size = 0;
+			while (size < length) {
+				const chunk = await next();
+				if (!chunk) {
+					throw new Error('Invalid ZIP archive: unexpected end of archive.');
+				}
+
+				const part = chunk.subarray(0, length - size);
+				if (part.length < chunk.length) buffered = chunk.subarray(part.length);
+				chunks.push(part);
+				size += part.length;
+			}
+
+			return Buffer.concat(chunks, size);
+		},
+		/**
+		 * Puts back bytes that read ahead, so it are returned on next read.
+		 * @param {Buffer} chunk - Bytes to put back.
+		 */
+		unshift(chunk) {
+			if (chunk.length) {
+				buffered = buffered ? Buffer.concat([chunk, buffered]) : chunk;
+			}
+		},
+		/**
+		 * Stops reading the archive, such as destroying the `Readable` stream.
+		 */
+		async close() {
+			await iterator.return?.();
+		}
+	};
+}
+
+/**
+ * Reads each file contained in ZIP archive using its local file headers, so the archive are streamed
+ * and only current entry are kept in memory. Directory entries are skipped and only `stored` and `deflated`
+ * compression methods are supported, which are the methods used by `ILoveApi` servers.
+ * Entry that has declared size can not inflate beyond it, entry that use data descriptor are checked against it after inflated.
+ * @param {AsyncIterable<Buffer | Uint8Array | string>} source - ZIP archive content, such as `Readable` stream from `download()`.
+ * @returns {AsyncGenerator<{ filename: string, buffer: Buffer, size: number }>} Contained files.
+ * @throws {Error} If the archive are invalid or use unsupported features such as ZIP64 or unsupported compression method.
+ */
+async function* readEntries(source) {
+	const reader = createReader(source);
+
+	try {
+		while (true) {
+			const signature = (await reader.read(4)).readUInt32LE(0);
+			// Central directory follows the last entry, it are not needed since each entry has local header.
+			if (
+				signature === CENTRAL_DIRECTORY_SIGNATURE ||
+				signature === EOCD_SIGNATURE
+			) {
+				return;
+			}
+			if (signature !== LOCAL_FILE_HEADER_SIGNATURE) {
+				throw new Error('Invalid ZIP archive: malformed local file header.');
+			}
+
+			const header = await reader.read(LOCAL_FILE_HEADER_SIZE - 4);
+			const flags = header.readUInt16LE(2);
+			const method = header.readUInt16LE(4);
+			const compressedSize = header.readUInt32LE(14);
+			const uncompressedSize = header.readUInt32LE(18);
+			const nameLength = header.readUInt16LE(22);
+			const extraLength = header.readUInt16LE(24);
+
+			// Bit 11 indicates filename are encoded using UTF-8.
+			const filename = (await reader.read(nameLength)).toString(
+				flags & 0x800 ? 'utf-8' : 'latin1'
+			);
+			await reader.read(extraLength);
+
+			if (compressedSize === 0xffffffff || uncompressedSize === 0xffffffff) {
+				throw new Error('Unsupported ZIP archive: ZIP64 are not supported.');
+			}
+			if (method !== 0 && method !== 8) {
+				throw new Error(
+					`Unsupported ZIP archive: compression method ${method} are not supported.`
+				);
+			}
+
+			let buffer;
+			// Bit 3 indicates sizes are written on data descriptor after entry data.
+			if (flags & 0x8) {
+				if (method === 0) {
+					throw new Error(
+						'Unsupported ZIP archive: stored entry with data descriptor are not supported.'
+					);
+				}
+
+				buffer = await inflateUntilEnd(reader);
+				const descriptor = await readDataDescriptor(reader);
+				if (buffer.length !== descriptor.uncompressedSize) {
+					throw new Error('Invalid ZIP archive: entry size does not match.');
+				}
+			} else {
+				const data = await reader.read(compressedSize);
+				buffer = method === 0 ? data : inflate(data, uncompressedSize);
+				if (buffer.length !== uncompressedSize) {
+					throw new Error('Invalid ZIP archive: entry size does not match.');
+				}
+			}
+
+			if (filename.endsWith('/')) continue;
+
+			yield { filename, buffer, size: buffer.length };
+		}
+	} finally {
+		await reader.close();
+	}
+}
+
+/**
+ * Inflates deflated entry data, output are limited to its declared uncompressed size
+ * so entry that inflate beyond it are rejected before filling the memory.
+ * @param {Buffer} data - Deflated entry data.
+ * @param {number} uncompressedSize - Declared uncompressed size in `bytes`.
+ * @returns {Buffer} Inflated entry content.
+ * @throws {Error} If the data are invalid or inflate beyond its declared size.
+ * @private Internal usage only.
+ */
+function inflate(data, uncompressedSize) {
+	try {
+		return zlib.inflateRawSync(data, {
+			// Zero are not allowed, empty entry are still rejected by size check when it inflate to any byte.
+			maxOutputLength: Math.max(uncompressedSize, 1)
+		});
+	} catch {
+		throw new Error('Invalid ZIP archive: malformed compressed data.');
+	}
+}
+
+/**
+ * Inflates deflated entry data that has unknown size until its deflate stream ended,
+ * bytes read after the end are put back to the reader.
+ * @param {ReturnType<typeof createReader>} reader - Archive reader positioned at entry data.
+ * @returns {Promise<Buffer>} Inflated entry content.
+ * @throws {Error} If the data are invalid or the archive ended before deflate stream ended.
+ * @private Internal usage only.
+ */
+async function inflateUntilEnd(reader) {
+	const inflater = zlib.createInflateRaw();
+	const output = [];
+	inflater.on('data', (chunk) => output.push(chunk));
+	const ended = new Promise((resolve) => inflater.once('end', resolve));
+	// Errors are received on write callback.
+	inflater.on('error', () => {});
+
+	let chunk;
+	let written = 0;
+	// Engine stops consuming input once deflate stream ended.
+	while (inflater.bytesWritten === written) {
+		chunk = await reader.next();
+		if (!chunk) {
+			inflater.destroy();
+			throw new Error('Invalid ZIP archive: unexpected end of archive.');
+		}
+
+		written += chunk.length;
+		const error = await new Promise((resolve) =>
+			inflater.write(chunk, resolve)
+		);
+		if (error) {
+			inflater.destroy();
+			throw new Error('Invalid ZIP archive: malformed compressed data.');
+		}
+	}
+
+	await ended;
+	// Unconsumed bytes are always inside the last written chunk.
+	reader.unshift(
+		chunk.subarray(chunk.length - (written - inflater.bytesWritten))
+	);
+
+	return Buffer.concat(output);
+}
+
+/**
+ * Reads data descriptor written after entry data, its signature are optional.
+ * @param {ReturnType<typeof createReader>} reader - Archive reader positioned after entry data.
+ * @returns {Promise<{ compressedSize: number, uncompressedSize: number }>} Entry sizes.
+ * @private Internal usage only.
+ */
+async function readDataDescriptor(reader) {
+	let descriptor = await reader.read(12);
+	if (descriptor.readUInt32LE(0) === DATA_DESCRIPTOR_SIGNATURE) {
+		descriptor = Buffer.concat([descriptor.subarray(4), await reader.read(4)]);
+	}
+
+	return {
+		compressedSize: descriptor.readUInt32LE(4),
+		uncompressedSize: descriptor.readUInt32LE(8)
+	};
+}
+
+// We need to export with this behaviour to make sinon working in testing environment
+export default {
+	readEntries
+};
@@ -468,3 +468,112 @@ describe('ILoveIMGApi Auth Tests', function () {
 		}
 	});
 });
+
+describe('ILoveIMGApi Auth client options Tests', function () {
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when base_url, protocol or version are invalid', function () {
+		const create = (params) => new Auth('publicKey', 'secretKey', params);
+
+		expect(() => create({ base_url: '' })).to.throw(ZodError);
+		expect(() => create({ base_url: 'ftp://api.ilovepdf.com' })).to.throw(
+			ZodError
+		);
+		expect(() =>
+			create({ base_url: 'https://api.ilovepdf.com/v1?debug=true' })
+		).to.throw(ZodError);
+		expect(() => create({ base_url: 'api.ilovepdf.com/v1' })).to.throw(
+			ZodError
+		);
+		expect(() => create({ protocol: 'ftp' })).to.throw(ZodError);
+		expect(() => create({ version: 'v1/task' })).to.throw(ZodError);
+	});
+
+	it('should use overridden base_url, protocol and version on authentication server', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+
+		new Auth('publicKey', 'secretKey', {
+			base_url: 'localhost:8080',
+			protocol: 'http',
+			version: 'v2',
+			transport: { axios: factory }
+		});
+
+		expect(factory.firstCall.args[0].baseURL).to.be.equal(
+			'http://localhost:8080/v2'
+		);
+	});
+
+	it('should use base_url protocol and path prefix when base_url are a full URL', async function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+
+		const auth = new Auth('publicKey', 'secretKey', {
+			base_url: 'http://proxy.local:8080/iloveimg/',
+			transport: { axios: factory }
+		});
+
+		expect(factory.firstCall.args[0].baseURL).to.be.equal(
+			'http://proxy.local:8080/iloveimg/v1'
+		);
+		const { iss } = jsonwebtoken.decode(await auth.getToken());
+		expect(iss).to.be.equal('proxy.local');
+	});
+
+	it('should use base_url hostname as self-signed token iss when not provided', async function () {
+		const auth = new Auth('publicKey', 'secretKey', {
+			base_url: 'localhost:8080'
+		});
+		const { iss } = jsonwebtoken.decode(await auth.getToken());
+		expect(iss).to.be.equal('localhost');
+
+		const defaultAuth = new Auth('publicKey', 'secretKey');
+		const { iss: defaultIss } = jsonwebtoken.decode(
+			await defaultAuth.getToken()
+		);
+		expect(defaultIss).to.be.equal(ILOVEIMG_API_URL);
+
+		const customAuth = new Auth('publicKey', 'secretKey', {
+			base_url: 'localhost:8080',
+			iss: 'api.projects.com'
+		});
+		const { iss: customIss } = jsonwebtoken.decode(await customAuth.getToken());
+		expect(customIss).to.be.equal('api.projects.com');
+	});
+
+	it('should create span with token source when tracer provided', async function () {
+		const spans = [];
+		const tracer = {
+			startActiveSpan: (name, options, fn) => {
+				const span = {
+					name,
+					attributes: { ...options.attributes },
+					setAttributes(attributes) {
+						Object.assign(this.attributes, attributes);
+					},
+					end: sinon.spy()
+				};
+				spans.push(span);
+
+				return fn(span);
+			}
+		};
+		const auth = new Auth('publicKey', 'secretKey', { tracer });
+
+		await auth.getToken();
+		await auth.getToken();
+
+		expect(spans.map(({ name }) => name)).to.be.deep.equal([
+			'iloveimg.auth.getToken',
+			'iloveimg.auth.getToken'
+		]);
+		expect(spans[0].attributes).to.be.deep.equal({
+			'iloveimg.token_source': 'self_signed'
+		});
+		expect(spans[1].attributes).to.be.deep.equal({
+			'iloveimg.token_source': 'cache'
+		});
+		expect(spans.every(({ end }) => end.calledOnce)).to.be.true;
+	});
+});
@@ -1,6 +1,23 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { ILoveApiError, NetworkError, classifyError } from '../src/Error.js';
+import axios from 'axios';
+import {
+	ILoveApiError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError,
+	AuthenticationError,
+	InsufficientCreditsError,
+	RateLimitError,
+	TaskNotFoundError,
+	ValidationError,
+	ServerError,
+	classifyError
+} from '../src/Error.js';
+import { z } from 'zod';
 
 describe('ILoveIMGApi Error.classifyError() Tests', function () {
 	it('should throw ILoveApiError with response message', function () {
@@ -139,6 +156,88 @@ describe('ILoveIMGApi Error.classifyError() Tests', function () {
 		);
 	});
 
+	it('should throw ILoveApiError subclass that represents response status', function () {
+		const classify = (status, data = { message: 'Lorem', code: 'ipsum' }) => {
+			try {
+				classifyError({ isAxiosError: true, response: { status, data } });
+			} catch (error) {
+				return error;
+			}
+		};
+
+		for (const [status, ErrorClass] of [
+			[400, ValidationError],
+			[401, AuthenticationError],
+			[402, InsufficientCreditsError],
+			[404, TaskNotFoundError],
+			[429, RateLimitError],
+			[500, ServerError],
+			[503, ServerError]
+		]) {
+			const error = classify(status);
+
+			expect(error).to.be.instanceOf(ErrorClass);
+			expect(error).to.be.instanceOf(ILoveApiError);
+			expect(error.name).to.be.equal(ErrorClass.name);
+			expect(error.status).to.be.equal(status);
+			expect(error.api_code).to.be.equal('ipsum');
+			expect(error.body).to.be.deep.equal({ message: 'Lorem', code: 'ipsum' });
+			expect(error.message).to.be.equal(
+				`Lorem (Status: ${status}, Code: ipsum)`
+			);
+		}
+
+		// Other status are classified as ILoveApiError itself.
+		const error = classify(409, {});
+		expect(error.constructor).to.be.equal(ILoveApiError);
+		expect(error.api_code).to.be.undefined;
+		expect(error.body).to.be.deep.equal({});
+	});
+
+	it('should expose field-level param on ValidationError and retry_after on RateLimitError', function () {
+		const param = { files: ['Invalid server_filename'] };
+		const validationError = (() => {
+			try {
+				classifyError({
+					isAxiosError: true,
+					response: {
+						status: 400,
+						data: { error: { message: 'Invalid request', code: 400, param } }
+					}
+				});
+			} catch (error) {
+				return error;
+			}
+		})();
+
+		expect(validationError).to.be.instanceOf(ValidationError);
+		expect(validationError.param).to.be.deep.equal(param);
+		expect(validationError.api_code).to.be.equal(400);
+
+		const rateLimitError = (() => {
+			try {
+				classifyError({
+					isAxiosError: true,
+					response: {
+						status: 429,
+						headers: { 'retry-after': '3' },
+						data: { message: 'Too Many Requests' }
+					}
+				});
+			} catch (error) {
+				return error;
+			}
+		})();
+
+		expect(rateLimitError).to.be.instanceOf(RateLimitError);
+		expect(rateLimitError.retry_after).to.be.equal(3000);
+		expect(
+			new RateLimitError('Too Many Requests', 429, {
+				response: { status: 429, headers: {} }
+			}).retry_after
+		).to.be.undefined;
+	});
+
 	it('should throw NetworkError when request is made but no response received', function () {
 		const error = {
 			isAxiosError: true,
@@ -162,6 +261,84 @@ describe('ILoveIMGApi Error.classifyError() Tests', function () {
 		);
 	});
 
+	it('should rethrow already classified error as is', function () {
+		const apiError = new ILoveApiError(
+			'Not Found (Status: 404, Code: 1001)',
+			404,
+			{
+				isAxiosError: true,
+				response: { status: 404, data: {} }
+			}
+		);
+		const networkError = new NetworkError('Simulating timeout', {
+			isAxiosError: true,
+			request: {}
+		});
+
+		expect(() => classifyError(apiError))
+			.to.throw(ILoveApiError, 'Not Found (Status: 404, Code: 1001)')
+			.that.equal(apiError);
+		expect(() => classifyError(networkError))
+			.to.throw(NetworkError, 'Simulating timeout')
+			.that.equal(networkError);
+		const validationError = new ResponseValidationError(
+			'Invalid response from /upload: server_filename: Required',
+			{},
+			z.object({ server_filename: z.string() }).safeParse({}).error
+		);
+
+		expect(() => classifyError(validationError))
+			.to.throw(ResponseValidationError)
+			.that.equal(validationError);
+		expect(validationError.body).to.be.deep.equal({});
+		expect(validationError.issues[0].path).to.be.deep.equal([
+			'server_filename'
+		]);
+
+		const stateError = new TaskStateError(
+			'Cannot call addFile() when task state are processed.',
+			'processed',
+			'addFile'
+		);
+
+		expect(() => classifyError(stateError))
+			.to.throw(TaskStateError)
+			.that.equal(stateError);
+
+		const failedFile = { filename: 'awesome.jpeg', failed: true };
+		const partialError = new PartialFailureError(
+			'1 of 1 files failed to process: awesome.jpeg (DamagedFile).',
+			{ files: [failedFile], failed_files: [failedFile] }
+		);
+
+		expect(partialError.files).to.be.deep.equal([failedFile]);
+		expect(() => classifyError(partialError))
+			.to.throw(PartialFailureError)
+			.that.equal(partialError);
+
+		const budgetError = new BudgetExceededError(
+			'Task files exceeds budget of 1 files per task.',
+			{ reason: 'max_files', limit: 1, file_count: 2 }
+		);
+
+		expect(budgetError.remaining_files).to.be.undefined;
+		expect(() => classifyError(budgetError))
+			.to.throw(BudgetExceededError)
+			.that.equal(budgetError);
+	});
+
+	it('should throw AbortError when request cancelled', function () {
+		const error = new axios.CanceledError();
+
+		expect(() => classifyError(error)).to.throw(AbortError, 'Request aborted.');
+		expect(() => classifyError(error)).to.not.throw(NetworkError);
+
+		const abortError = new AbortError('Request aborted.', error);
+		expect(() => classifyError(abortError))
+			.to.throw(AbortError)
+			.that.equal(abortError);
+	});
+
 	it("should rethrow generic Error when it's not an AxiosError", function () {
 		const error = new Error('Generic system failure');
 
@@ -1,7 +1,13 @@
 import { describe, it } from 'mocha';
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import axios from 'axios';
+import { Readable } from 'node:stream';
+import https from 'node:https';
 import ILoveIMGApi from '../src/ILoveIMGApi.js';
+import TaskI from '../src/TaskI.js';
+import { ILoveApiError, ResponseValidationError } from '../src/Error.js';
 import { ZodError } from 'zod';
 
 use(chaiAsPromised);
@@ -96,6 +102,55 @@ describe('ILoveIMGApi Tests', function () {
 				})
 		).to.throw(ZodError);
 	});
+
+	it('should use base_url protocol on fixed server and assigned task server when it are a full URL', async function () {
+		const fetch = sinon.stub().callsFake(async (url) =>
+			url.endsWith('/start/compressimage')
+				? Response.json({
+						server: 'localhost:8080',
+						task: 'task-id',
+						remaining_files: 250
+					})
+				: Response.json({ server_filename: 'lorem.jpg' })
+		);
+		const iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			base_url: 'http://localhost:8080/iloveimg',
+			transport: { fetch }
+		});
+		const task = iloveimg.newTask('compressimage');
+
+		await task.start();
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+
+		expect(fetch.firstCall.args[0]).to.be.equal(
+			'http://localhost:8080/iloveimg/v1/start/compressimage'
+		);
+		expect(fetch.secondCall.args[0]).to.be.equal(
+			'http://localhost:8080/v1/upload'
+		);
+
+		// Explicit protocol are still used on assigned task server.
+		const explicit = new ILoveIMGApi('publicKey', 'secretKey', {
+			base_url: 'http://localhost:8080/iloveimg',
+			protocol: 'https',
+			transport: { fetch }
+		}).newTask('compressimage');
+		await explicit.start();
+		await explicit.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+
+		expect(fetch.getCall(2).args[0]).to.be.equal(
+			'http://localhost:8080/iloveimg/v1/start/compressimage'
+		);
+		expect(fetch.getCall(3).args[0]).to.be.equal(
+			'https://localhost:8080/v1/upload'
+		);
+	});
 });
 
 describe('ILoveIMGApi.newTask() Tests', function () {
@@ -110,6 +165,106 @@ describe('ILoveIMGApi.newTask() Tests', function () {
 		expect(() => iloveimg.newTask({})).to.throw(ZodError);
 		expect(() => iloveimg.newTask(666)).to.throw(ZodError);
 	});
+
+	it('should share retry policy to created task', async function () {
+		const iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			retry: { retries: 1, delay: 0 }
+		});
+		const task = iloveimg.newTask('compressimage');
+		const get = sinon.stub();
+		get.onCall(0).rejects({ isAxiosError: true, request: {} });
+		get.onCall(1).resolves({ data: { status: 'TaskSuccess' } });
+		task._setTaskId('task-id');
+		task._setServer({ get });
+
+		await expect(task.details()).to.eventually.be.deep.equal({
+			status: 'TaskSuccess'
+		});
+		expect(get.calledTwice).to.be.true;
+	});
+
+	it('should create fixed server and auth server using transport axios factory', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+		new ILoveIMGApi('publicKey', 'secretKey', {
+			transport: { axios: factory }
+		});
+
+		expect(factory.calledTwice).to.be.true;
+		for (const { args } of factory.getCalls()) {
+			expect(args[0].baseURL).to.be.a('string');
+			expect(args[0].headers).to.be.deep.equal({
+				'Content-Type': 'application/json;charset=UTF-8'
+			});
+		}
+	});
+
+	it('should apply proxy and agents to fixed server and auth server', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+		const proxy = { host: 'proxy.company.com', port: 3128 };
+		const httpsAgent = new https.Agent({ keepAlive: true });
+		new ILoveIMGApi('publicKey', 'secretKey', {
+			proxy,
+			https_agent: httpsAgent,
+			transport: { axios: factory }
+		});
+
+		expect(factory.calledTwice).to.be.true;
+		for (const { args } of factory.getCalls()) {
+			expect(args[0].proxy).to.be.deep.equal(proxy);
+			expect(args[0].httpsAgent).to.be.equal(httpsAgent);
+		}
+	});
+
+	it('should throw ZodError when retry policy are invalid', function () {
+		expect(
+			() =>
+				new ILoveIMGApi('publicKey', 'secretKey', { retry: { retries: 'x' } })
+		).to.throw(ZodError);
+	});
+});
+
+describe('ILoveIMGApi.resumeTask() Tests', function () {
+	const snapshot = {
+		tool: 'resizeimage',
+		task_id: 'task-id',
+		server: 'api8g.iloveimg.com',
+		files: [{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }],
+		state: 'files_added'
+	};
+
+	it('should throw ZodError when snapshot are invalid', async function () {
+		const iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+
+		await expect(iloveimg.resumeTask()).to.be.rejectedWith(ZodError);
+		await expect(iloveimg.resumeTask({})).to.be.rejectedWith(ZodError);
+		await expect(
+			iloveimg.resumeTask({ ...snapshot, tool: 'lorem' })
+		).to.be.rejectedWith(ZodError);
+		await expect(
+			iloveimg.resumeTask({ ...snapshot, task_id: undefined })
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should resume task using shared client options', async function () {
+		const fetch = sinon.stub().resolves(Response.json({ success: true }));
+		const iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			transport: { fetch }
+		});
+
+		const task = await iloveimg.resumeTask(snapshot);
+
+		expect(task).to.be.instanceOf(TaskI);
+		expect(task.getTool()).to.be.equal('resizeimage');
+		expect(task.getState()).to.be.equal('files_added');
+		expect(task.toJSON()).to.be.deep.equal(snapshot);
+
+		await task.deleteFile({ server_filename: 'lorem.jpg' });
+		expect(fetch.firstCall.args[0]).to.include('api8g.iloveimg.com');
+		expect(fetch.firstCall.args[1].headers.Authorization).to.match(
+			/^Bearer .+/
+		);
+		expect(task.getState()).to.be.equal('started');
+	});
 });
 
 describe('ILoveIMGApi.listTasks() Tests', function () {
@@ -147,4 +302,258 @@ describe('ILoveIMGApi.listTasks() Tests', function () {
 			ZodError
 		);
 	});
+
+	it('should call hooks with redacted secret_key', async function () {
+		const hooks = { onRequest: sinon.spy(), onResponse: sinon.spy() };
+		const fetch = sinon.stub().resolves(
+			new Response('[]', {
+				status: 200,
+				headers: { 'Content-Type': 'application/json' }
+			})
+		);
+		iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			hooks,
+			transport: { fetch }
+		});
+
+		await expect(iloveimg.listTasks({ page: 1 })).to.eventually.be.deep.equal(
+			[]
+		);
+		expect(hooks.onRequest.firstCall.args[0]).to.be.deep.equal({
+			method: 'listTasks',
+			attempt: 0,
+			http_method: 'POST',
+			endpoint: '/task',
+			data: { secret_key: '[REDACTED]', page: 1 }
+		});
+		expect(hooks.onResponse.firstCall.args[0].status).to.be.equal(200);
+		expect(JSON.parse(fetch.firstCall.args[1].body).secret_key).to.be.equal(
+			'secretKey'
+		);
+	});
+
+	it('should throw ResponseValidationError on unexpected response when strict mode enabled', async function () {
+		const body = [{ status: 'TaskSuccess', tool: 'lorem' }];
+		const fetch = sinon.stub().callsFake(
+			async () =>
+				new Response(JSON.stringify(body), {
+					status: 200,
+					headers: { 'Content-Type': 'application/json' }
+				})
+		);
+
+		iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			transport: { fetch }
+		});
+		await expect(iloveimg.listTasks()).to.eventually.be.deep.equal(body);
+
+		iloveimg = new ILoveIMGApi('publicKey', 'secretKey', {
+			strict: true,
+			transport: { fetch }
+		});
+		const error = await expect(iloveimg.listTasks()).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /task'
+		);
+		expect(error.body).to.be.deep.equal(body);
+		expect(error.issues).to.be.an('array').that.is.not.empty;
+		expect(error.cause).to.be.instanceOf(ZodError);
+	});
+});
+
+describe('ILoveIMGApi.run() Tests', function () {
+	let iloveimg = /** @type {ILoveIMGApi} */ (undefined);
+	let stubs = /** @type {Record<string, sinon.SinonStub>} */ ({});
+
+	beforeEach(function () {
+		iloveimg = new ILoveIMGApi('publicKey', 'secretKey');
+		stubs = {
+			start: sinon.stub(TaskI.prototype, 'start').resolves({
+				server: 'api8g.iloveimg.com',
+				task_id: 'task-id',
+				remaining_files: 2500
+			}),
+			addFile: sinon
+				.stub(TaskI.prototype, 'addFile')
+				.resolves({ server_filename: 'loremipsum.jpg' }),
+			process: sinon.stub(TaskI.prototype, 'process').resolves({
+				status: 'TaskSuccess',
+				download_filename: 'awesome.jpg',
+				output_filenumber: 1
+			}),
+			download: sinon.stub(TaskI.prototype, 'download').callsFake(async () => ({
+				data: Readable.from([Buffer.from('image')])
+			})),
+			delete: sinon.stub(TaskI.prototype, 'delete').resolves()
+		};
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when tool, inputs, toolOptions or options are invalid', async function () {
+		await expect(
+			iloveimg.run('lorem', ['https://i.imgur.com/awesome.jpeg'])
+		).to.be.rejectedWith(ZodError);
+		await expect(iloveimg.run('compressimage', [])).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(iloveimg.run('compressimage', null)).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(iloveimg.run('compressimage', [55])).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(
+			iloveimg.run('upscaleimage', ['https://i.imgur.com/awesome.jpeg'], {
+				multiplier: 3
+			})
+		).to.be.rejectedWith(ZodError);
+		await expect(
+			iloveimg.run(
+				'compressimage',
+				['https://i.imgur.com/awesome.jpeg'],
+				{},
+				{
+					ignore_errors: 'yes'
+				}
+			)
+		).to.be.rejectedWith(ZodError);
+
+		expect(stubs.start.called).to.be.false;
+	});
+
+	it('should run full task lifecycle and resolve output with metadata', async function () {
+		const result = await iloveimg.run(
+			'compressimage',
+			[
+				'https://i.imgur.com/awesome.jpeg?size=large',
+				'./images/local.png',
+				{ file: Buffer.from('image'), filename: 'buffer.jpg' }
+			],
+			{ compression_level: 'low' },
+			{ output_filename: 'compressed' }
+		);
+
+		expect(result.output).to.be.instanceOf(Buffer);
+		expect(result.output.toString()).to.be.equal('image');
+		expect(result.metadata).to.be.deep.equal({
+			status: 'TaskSuccess',
+			download_filename: 'awesome.jpg',
+			output_filenumber: 1
+		});
+
+		expect(stubs.start.calledOnce).to.be.true;
+		expect(stubs.addFile.callCount).to.be.equal(3);
+		expect(stubs.addFile.getCall(0).args[0]).to.be.deep.equal({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg?size=large',
+			filename: 'awesome.jpeg'
+		});
+		expect(stubs.addFile.getCall(1).args[0]).to.be.deep.equal({
+			file: './images/local.png',
+			filename: 'local.png'
+		});
+		expect(stubs.addFile.getCall(2).args[0].filename).to.be.equal('buffer.jpg');
+		expect(stubs.process.calledOnce).to.be.true;
+		expect(stubs.process.firstCall.args[0]).to.include({
+			output_filename: 'compressed'
+		});
+		expect(stubs.process.firstCall.args[1]).to.be.deep.equal({
+			compression_level: 'low'
+		});
+		expect(stubs.download.calledOnce).to.be.true;
+		expect(stubs.delete.calledOnce).to.be.true;
+		sinon.assert.callOrder(
+			stubs.start,
+			stubs.addFile,
+			stubs.process,
+			stubs.download,
+			stubs.delete
+		);
+	});
+
+	it('should not forward webhook option to process()', async function () {
+		await iloveimg.run(
+			'compressimage',
+			['https://i.imgur.com/awesome.jpeg'],
+			{},
+			{ webhook: 'https://example.com/webhook' }
+		);
+
+		expect(stubs.process.firstCall.args[0]).to.not.have.property('webhook');
+		sinon.assert.callOrder(stubs.process, stubs.download, stubs.delete);
+	});
+
+	it('should forward timeout and signal to start(), addFile(), process() and download()', async function () {
+		const controller = new AbortController();
+
+		await iloveimg.run(
+			'compressimage',
+			['https://i.imgur.com/awesome.jpeg'],
+			{},
+			{
+				timeout: 5000,
+				signal: controller.signal
+			}
+		);
+
+		expect(stubs.start.firstCall.args[0]).to.be.deep.equal({
+			timeout: 5000,
+			signal: controller.signal
+		});
+		expect(stubs.addFile.firstCall.args[0]).to.be.deep.equal({
+			timeout: 5000,
+			signal: controller.signal,
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+		expect(stubs.process.firstCall.args[0]).to.include({
+			timeout: 5000,
+			signal: controller.signal
+		});
+		expect(stubs.download.firstCall.args[0]).to.be.deep.equal({
+			timeout: 5000,
+			signal: controller.signal
+		});
+	});
+
+	it('should delete task then rethrow original error when any step failed', async function () {
+		const error = new ILoveApiError('Simulating process error', 400, {
+			isAxiosError: true,
+			response: { status: 400, data: {} }
+		});
+		stubs.process.rejects(error);
+		stubs.delete.rejects(new Error('Simulating delete error'));
+
+		await expect(
+			iloveimg.run('compressimage', ['https://i.imgur.com/awesome.jpeg'])
+		)
+			.to.be.rejectedWith(ILoveApiError, 'Simulating process error')
+			.and.eventually.equal(error);
+
+		expect(stubs.download.called).to.be.false;
+		expect(stubs.delete.calledOnce).to.be.true;
+	});
+
+	it('should resolve output when deleting task failed after download', async function () {
+		stubs.delete.rejects(new Error('Simulating delete error'));
+
+		const result = await iloveimg.run('compressimage', [
+			'https://i.imgur.com/awesome.jpeg'
+		]);
+
+		expect(result.output.toString()).to.be.equal('image');
+		expect(stubs.delete.calledOnce).to.be.true;
+	});
+
+	it('should use default filename when URL path has no filename', async function () {
+		await iloveimg.run('compressimage', [
+			'https://i.imgur.com/images/',
+			'https://i.imgur.com'
+		]);
+
+		expect(stubs.addFile.getCall(0).args[0].filename).to.be.equal('image');
+		expect(stubs.addFile.getCall(1).args[0].filename).to.be.equal('image');
+	});
 });
@@ -2,9 +2,20 @@ import { describe, it } from 'mocha';
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
+import axios from 'axios';
 import Task from '../src/Task.js';
-import { ILoveApiError, NetworkError } from '../src/Error.js';
+import {
+	ILoveApiError,
+	NetworkError,
+	ResponseValidationError,
+	PartialFailureError,
+	BudgetExceededError
+} from '../src/Error.js';
 import { ZodError } from 'zod';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
 
 use(chaiAsPromised);
 
@@ -30,6 +41,25 @@ describe('ILoveIMGApi Task Tests', function () {
 		).to.throw(Error, 'publicKey is required and must be a string.');
 	});
 
+	it('should use overridden protocol and version on assigned server', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+
+		new Task('publicKey', 'secretKey', 'someTaskId', 'localhost:8081', {
+			base_url: 'localhost:8080',
+			protocol: 'http',
+			version: 'v2',
+			transport: { axios: factory }
+		});
+
+		expect(factory.calledTwice).to.be.true;
+		expect(factory.firstCall.args[0].baseURL).to.be.equal(
+			'http://localhost:8080/v2'
+		);
+		expect(factory.secondCall.args[0].baseURL).to.be.equal(
+			'http://localhost:8081/v2'
+		);
+	});
+
 	it('should throw Error when secretKey provided but not an string', function () {
 		expect(
 			() => new Task('publicKey', [], 'someTaskId', 'provider.com')
@@ -306,6 +336,133 @@ describe('ILoveIMGApi Task.download() Tests', function () {
 	});
 });
 
+describe('ILoveIMGApi Task download helpers Tests', function () {
+	let task = /** @type {Task} */ (undefined);
+	let tmpDir = /** @type {string} */ (undefined);
+
+	const createServer = (headers = {}) => ({
+		get: async () => ({
+			data: Readable.from([Buffer.from('processed-image')]),
+			headers
+		}),
+		defaults: {
+			headers: {}
+		}
+	});
+
+	beforeEach(function () {
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com');
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iloveimg-'));
+	});
+
+	afterEach(function () {
+		sinon.restore();
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it('should resolve processed file content as Buffer or web ReadableStream', async function () {
+		task._setServer(createServer());
+		const buffer = await task.downloadBuffer();
+		expect(buffer.toString()).to.be.equal('processed-image');
+
+		task._setServer(createServer());
+		const stream = await task.downloadStream();
+		expect(stream).to.be.instanceOf(ReadableStream);
+		expect(await new Response(stream).text()).to.be.equal('processed-image');
+	});
+
+	it('should save processed file into directory', async function () {
+		task._setServer(
+			createServer({
+				'content-type': 'image/png',
+				'content-disposition':
+					"attachment; filename*=UTF-8''awesome%20image.png"
+			})
+		);
+
+		const result = await task.downloadToDirectory(tmpDir);
+
+		expect(result).to.be.deep.equal({
+			path: path.join(tmpDir, 'awesome image.png'),
+			filename: 'awesome image.png',
+			size: 15,
+			is_zip: false
+		});
+
+		// Without Content-Disposition header, filename option are required.
+		task._setServer(createServer());
+		await expect(task.downloadToDirectory(tmpDir)).to.be.rejectedWith(
+			Error,
+			'Unable to resolve downloaded filename, provide filename option instead.'
+		);
+
+		task._setServer(createServer());
+		const named = await task.downloadToDirectory(tmpDir, {
+			filename: 'images.zip'
+		});
+		expect(named.is_zip).to.be.true;
+	});
+
+	it('should forward timeout and signal to download request', async function () {
+		const server = createServer({ 'content-type': 'image/jpeg' });
+		const getSpy = sinon.spy(server, 'get');
+		const { signal } = new AbortController();
+		task._setServer(server);
+
+		await task.downloadBuffer({ timeout: 1000, signal });
+		await task.downloadStream({ timeout: 2000 });
+		await task.downloadToDirectory(tmpDir, {
+			filename: 'image.jpg',
+			signal
+		});
+
+		expect(getSpy.firstCall.args[1]).to.include({ timeout: 1000, signal });
+		expect(getSpy.secondCall.args[1]).to.include({ timeout: 2000 });
+		expect(getSpy.thirdCall.args[1]).to.include({ signal });
+		expect(getSpy.thirdCall.args[1]).to.not.have.property('filename');
+
+		await expect(task.downloadBuffer({ timeout: -1 })).to.be.rejectedWith(
+			ZodError
+		);
+	});
+
+	it('should destroy response stream when filename cannot be resolved', async function () {
+		const data = Readable.from([Buffer.from('processed-image')]);
+		task._setServer({
+			get: async () => ({ data, headers: {} }),
+			defaults: { headers: {} }
+		});
+
+		await expect(task.downloadToDirectory(tmpDir)).to.be.rejectedWith(
+			Error,
+			'Unable to resolve downloaded filename, provide filename option instead.'
+		);
+		expect(data.destroyed).to.be.true;
+	});
+
+	it('should rethrow classified error from download()', async function () {
+		task._setServer({
+			get: async () => {
+				throw {
+					isAxiosError: true,
+					response: {
+						status: 404,
+						data: { error: { message: 'Task not found', code: 404 } }
+					}
+				};
+			},
+			defaults: {
+				headers: {}
+			}
+		});
+
+		await expect(task.downloadBuffer()).to.be.rejectedWith(
+			ILoveApiError,
+			'Task not found (Status: 404, Code: 404)'
+		);
+	});
+});
+
 describe('ILoveIMGApi Task.details() Tests', function () {
 	let task = /** @type {Task} */ (undefined);
 
@@ -492,4 +649,342 @@ describe('ILoveIMGApi Task.details() Tests', function () {
 			serverSpy.restore();
 		}
 	});
+
+	it('should throw ResponseValidationError on unexpected response when strict mode enabled', async function () {
+		const body = { status: 'TaskSuccess' };
+		const server = {
+			get: sinon.stub().resolves({ data: body }),
+			defaults: { headers: {} }
+		};
+
+		task._setServer(server);
+		await expect(task.details()).to.eventually.be.deep.equal(body);
+
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com', {
+			strict: true
+		});
+		task._setServer(server);
+		const error = await expect(task.details()).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /task/someTaskId: status_message: Required'
+		);
+		expect(error.body).to.be.equal(body);
+	});
+});
+
+describe('ILoveIMGApi Task.waitForCompletion() Tests', function () {
+	let task = /** @type {Task} */ (undefined);
+
+	beforeEach(function () {
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com');
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when some attribute of options param are invalid', async function () {
+		await expect(task.waitForCompletion(null)).to.be.rejectedWith(ZodError);
+		await expect(task.waitForCompletion({ interval: 0 })).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(task.waitForCompletion({ timeout: -1 })).to.be.rejectedWith(
+			ZodError
+		);
+	});
+
+	it('should poll task details until terminal status', async function () {
+		const get = sinon.stub();
+		get.onCall(0).resolves({ data: { status: 'TaskProcessing' } });
+		get.onCall(1).resolves({ data: { status: 'TaskError' } });
+		task._setServer({ get, defaults: { headers: {} } });
+
+		await expect(
+			task.waitForCompletion({ interval: 1 })
+		).to.eventually.be.deep.equal({ status: 'TaskError' });
+		expect(get.calledTwice).to.be.true;
+		expect(get.firstCall.args[0]).to.be.equal('/task/someTaskId');
+	});
+});
+
+describe('ILoveIMGApi Task file, process and delete Tests', function () {
+	let task = /** @type {Task} */ (undefined);
+
+	beforeEach(function () {
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com', {
+			tool: 'compressimage'
+		});
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when params tool or options are invalid', async function () {
+		expect(
+			() =>
+				new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com', {
+					tool: 'lorem'
+				})
+		).to.throw(ZodError);
+
+		await expect(task.addFile(null)).to.be.rejectedWith(ZodError);
+		await expect(task.addFile({ cloud_file: 1 })).to.be.rejectedWith(ZodError);
+		await expect(task.deleteFile({})).to.be.rejectedWith(ZodError);
+		await expect(task.process(null)).to.be.rejectedWith(ZodError);
+		await expect(task.delete({ debug: 'xyz' })).to.be.rejectedWith(ZodError);
+	});
+
+	it('should add and delete files then process using uploaded files', async function () {
+		const server = {
+			post: sinon.stub(),
+			delete: sinon.stub().resolves({ data: {} }),
+			defaults: { headers: {} }
+		};
+		server.post
+			.withArgs('/upload')
+			.onFirstCall()
+			.resolves({ data: { server_filename: 'server1.jpg' } })
+			.onSecondCall()
+			.resolves({ data: { server_filename: 'server2.jpg' } });
+		server.post
+			.withArgs('/process')
+			.resolves({ data: { download_filename: 'awesome.zip' } });
+		task._setServer(server);
+
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg',
+			rotate: 90
+		});
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/other.jpeg',
+			filename: 'other.jpeg'
+		});
+		expect(server.defaults.headers['Authorization']).to.match(/^Bearer /);
+		expect(server.post.firstCall.args[1]).to.be.deep.equal({
+			task: 'someTaskId',
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+
+		await task.deleteFile({
+			server_filename: 'server2.jpg',
+			filename: 'other.jpeg'
+		});
+		expect(server.delete.firstCall.args[0]).to.be.equal('/upload');
+		expect(server.delete.firstCall.args[1].data).to.include({
+			task: 'someTaskId',
+			server_filename: 'server2.jpg'
+		});
+		expect(task.getUploadedFiles()).to.be.deep.equal([
+			{ server_filename: 'server1.jpg', filename: 'awesome.jpeg', rotate: 90 }
+		]);
+
+		await expect(
+			task.process({}, { compression_level: 'extreme' })
+		).to.eventually.be.deep.equal({ download_filename: 'awesome.zip' });
+		expect(server.post.lastCall.args[1]).to.include({
+			task: 'someTaskId',
+			tool: 'compressimage',
+			compression_level: 'extreme'
+		});
+		expect(server.post.lastCall.args[1].files).to.be.deep.equal(
+			task.getUploadedFiles()
+		);
+	});
+
+	it('should reject addFile() and process() when budget max_files exceeded', async function () {
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com', {
+			tool: 'compressimage',
+			budget: { max_files: 1, reserve: 100 }
+		});
+		const server = {
+			post: sinon.stub().resolves({ data: { server_filename: 'server1.jpg' } }),
+			get: sinon.stub().resolves({
+				data: {
+					status: 'TaskSuccess',
+					status_message: 'Completed',
+					tool: 'compressimage',
+					files: [
+						{ server_filename: 'server1.jpg', filename: 'awesome.jpeg' },
+						{ server_filename: 'server2.jpg', filename: 'other.jpeg' }
+					]
+				}
+			}),
+			defaults: { headers: {} }
+		};
+		task._setServer(server);
+
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+		const error = await expect(
+			task.addFile({
+				cloud_file: 'https://i.imgur.com/other.jpeg',
+				filename: 'other.jpeg'
+			})
+		).to.be.rejectedWith(
+			BudgetExceededError,
+			'Task files exceeds budget of 1 files per task.'
+		);
+		expect(error).to.include({ reason: 'max_files', file_count: 2 });
+		expect(server.post.calledOnce).to.be.true;
+
+		// Nothing are spent on debug mode.
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/other.jpeg',
+			filename: 'other.jpeg',
+			debug: true
+		});
+
+		// Files resolved from task details are also checked.
+		const reprocess = new Task(
+			'publicKey',
+			'secretKey',
+			'someTaskId',
+			'provider.com',
+			{ budget: { max_files: 1 } }
+		);
+		reprocess._setServer(server);
+		await expect(reprocess.process()).to.be.rejectedWith(BudgetExceededError);
+		expect(server.post.callCount).to.be.equal(2);
+	});
+
+	it('should resolve tool and files from task details when reprocessing', async function () {
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com');
+		const server = {
+			get: sinon.stub().resolves({
+				data: {
+					status: 'TaskSuccess',
+					status_message: 'Completed',
+					tool: 'upscaleimage',
+					files: [
+						{
+							server_filename: 'server1.jpg',
+							filename: 'awesome.jpeg',
+							status: 'FileSuccess'
+						}
+					]
+				}
+			}),
+			post: sinon.stub().resolves({ data: {} }),
+			defaults: { headers: {} }
+		};
+		task._setServer(server);
+
+		await task.process({}, { multiplier: 4 });
+		expect(server.get.firstCall.args[0]).to.be.equal('/task/someTaskId');
+		expect(server.post.firstCall.args[0]).to.be.equal('/process');
+		expect(server.post.firstCall.args[1]).to.deep.include({
+			tool: 'upscaleimage',
+			files: [{ server_filename: 'server1.jpg', filename: 'awesome.jpeg' }],
+			multiplier: 4
+		});
+		expect(task.getTool()).to.be.equal('upscaleimage');
+	});
+
+	it('should throw Error when tool or files cannot be resolved on process', async function () {
+		const server = {
+			get: sinon
+				.stub()
+				.resolves({ data: { status: 'TaskWaiting', status_message: '' } }),
+			post: sinon.stub().resolves({ data: {} }),
+			defaults: { headers: {} }
+		};
+
+		task._setServer(server);
+		await expect(task.process()).to.be.rejectedWith(
+			Error,
+			'You need to add files first using addFile() method.'
+		);
+
+		task = new Task('publicKey', 'secretKey', 'someTaskId', 'provider.com');
+		task._setServer(server);
+		await expect(task.process()).to.be.rejectedWith(
+			Error,
+			'Unable to resolve task tool, provide tool params instead.'
+		);
+		expect(server.post.called).to.be.false;
+	});
+
+	it('should report files status joined with uploaded files', async function () {
+		const server = {
+			get: sinon.stub().resolves({
+				data: {
+					status: 'TaskSuccessWithWarnings',
+					status_message: 'Completed with warnings',
+					files: [
+						{
+							server_filename: 'server1.jpg',
+							filename: 'processed1.jpg',
+							status: 'WrongPassword'
+						}
+					]
+				}
+			}),
+			post: sinon.stub().resolves({ data: { server_filename: 'server1.jpg' } }),
+			defaults: { headers: {} }
+		};
+		task._setServer(server);
+
+		// Original filename are resolved from task details when not uploaded using this instance.
+		const report = await task.fileReport();
+		expect(report.has_warnings).to.be.true;
+		expect(report.failed_files[0]).to.include({
+			filename: 'processed1.jpg',
+			status: 'WrongPassword'
+		});
+
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+		await expect(
+			task.fileReport({ throw_on_failure: true })
+		).to.be.rejectedWith(
+			PartialFailureError,
+			'1 of 1 files failed to process: awesome.jpeg (WrongPassword).'
+		);
+	});
+
+	it('should delete task and resolve debug information when debug enabled', async function () {
+		const server = {
+			delete: sinon.stub().resolves({ data: { debug: true } }),
+			defaults: { headers: {} }
+		};
+		task._setServer(server);
+
+		await expect(task.delete()).to.eventually.be.undefined;
+		expect(server.delete.firstCall.args[0]).to.be.equal('/task/someTaskId');
+
+		await expect(task.delete({ debug: true })).to.eventually.be.deep.equal({
+			debug: true
+		});
+		expect(server.delete.lastCall.args[0]).to.be.equal(
+			'/task/someTaskId?debug=true'
+		);
+	});
+
+	it('should catch error then rethrown error with classifyError()', async function () {
+		const server = {
+			post: sinon.stub().rejects({
+				isAxiosError: true,
+				response: { status: 400, data: { error: { message: 'Bad' } } }
+			}),
+			delete: sinon.stub().rejects({ isAxiosError: true, request: {} }),
+			defaults: { headers: {} }
+		};
+		task._setServer(server);
+
+		await expect(
+			task.addFile({
+				cloud_file: 'https://i.imgur.com/awesome.jpeg',
+				filename: 'awesome.jpeg'
+			})
+		).to.be.rejectedWith(ILoveApiError);
+		await expect(task.delete()).to.be.rejectedWith(NetworkError);
+		expect(task.getUploadedFiles()).to.be.deep.equal([]);
+	});
 });
@@ -3,18 +3,94 @@ import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
 import TaskI from '../src/TaskI.js';
-import { ILoveApiError, NetworkError } from '../src/Error.js';
+import axios from 'axios';
+import {
+	ILoveApiError,
+	NetworkError,
+	AbortError,
+	ResponseValidationError,
+	TaskStateError,
+	PartialFailureError,
+	BudgetExceededError
+} from '../src/Error.js';
 import { ZodError } from 'zod';
 import * as TaskSchema from '../src/schema/Task.js';
 import * as _TaskUtils from '../src/util/task.util.js';
+import * as _RetryUtils from '../src/util/retry.util.js';
 import config from '../src/config/global.js';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import zlib from 'node:zlib';
 
 use(chaiAsPromised);
 
 // We need to import with this behaviour to make sinon working in testing environment
 const TaskUtils = _TaskUtils.default;
+const RetryUtils = _RetryUtils.default;
 const { ILOVEIMG_API_URL_PROTOCOL, ILOVEIMG_API_VERSION } = config;
 
+/**
+ * Creates minimal ZIP archive, CRC are not computed since its not validated when extracting.
+ * @param {Array<{ filename: string, content: string, deflate?: boolean }>} entries
+ */
+function createZip(entries) {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+
+	for (const { filename, content, deflate, descriptor } of entries) {
+		const name = Buffer.from(filename);
+		const raw = Buffer.from(content);
+		const data = deflate ? zlib.deflateRawSync(raw) : raw;
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		// Sizes are written on data descriptor after entry data when bit 3 set.
+		local.writeUInt16LE(descriptor ? 0x808 : 0x800, 6);
+		local.writeUInt16LE(deflate ? 8 : 0, 8);
+		if (!descriptor) {
+			local.writeUInt32LE(data.length, 18);
+			local.writeUInt32LE(raw.length, 22);
+		}
+		local.writeUInt16LE(name.length, 26);
+
+		const trailer = Buffer.alloc(descriptor ? 16 : 0);
+		if (descriptor) {
+			trailer.writeUInt32LE(0x08074b50, 0);
+			trailer.writeUInt32LE(data.length, 8);
+			trailer.writeUInt32LE(raw.length, 12);
+		}
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(0x800, 8);
+		central.writeUInt16LE(deflate ? 8 : 0, 10);
+		central.writeUInt32LE(data.length, 20);
+		central.writeUInt32LE(raw.length, 24);
+		central.writeUInt16LE(name.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		locals.push(local, name, data, trailer);
+		centrals.push(central, name);
+		offset += local.length + name.length + data.length + trailer.length;
+	}
+
+	const centralDirectory = Buffer.concat(centrals);
+	const eocd = Buffer.alloc(22);
+	eocd.writeUInt32LE(0x06054b50, 0);
+	eocd.writeUInt16LE(entries.length, 8);
+	eocd.writeUInt16LE(entries.length, 10);
+	eocd.writeUInt32LE(centralDirectory.length, 12);
+	eocd.writeUInt32LE(offset, 16);
+
+	return Buffer.concat([...locals, centralDirectory, eocd]);
+}
+
 describe('ILoveIMGApi TaskI.getTool() Tests', function () {
 	let task = /** @type {TaskI} */ (undefined);
 
@@ -55,6 +131,452 @@ describe('ILoveIMGApi TaskI.getTaskId() Tests', function () {
 	});
 });
 
+describe('ILoveIMGApi TaskI.getState() Tests', function () {
+	const fixedServer = {
+		defaults: { headers: {} },
+		get: async () => ({
+			data: {
+				server: 'api8g.iloveimg.com',
+				task: 'task-id',
+				remaining_files: 250
+			}
+		})
+	};
+	const auth = { getToken: async () => 'token' };
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should return created when start() not initiated', function () {
+		expect(new TaskI().getState()).to.be.equal('created');
+	});
+
+	it('should follow task lifecycle and throw TaskStateError on illegal transitions', async function () {
+		const fetchFn = sinon.stub().callsFake(async (url, init) => {
+			if (url.endsWith('/upload')) {
+				return Response.json({ server_filename: 'lorem.jpg' });
+			}
+			if (url.endsWith('/process')) {
+				return Response.json({ status: 'TaskSuccess' });
+			}
+			if (init.method === 'DELETE') return Response.json({});
+
+			return Response.json({ status: 'TaskDeleted', status_message: '' });
+		});
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			transport: { fetch: fetchFn }
+		});
+		const file = {
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		};
+
+		await expect(task.addFile(file)).to.be.rejectedWith(
+			TaskStateError,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+
+		await task.start();
+		expect(task.getState()).to.be.equal('started');
+		await expect(task.start()).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call start() when task state are started.'
+		);
+		await expect(task.process()).to.be.rejectedWith(
+			TaskStateError,
+			'You need to add files first using addFile() method.'
+		);
+
+		await task.addFile(file);
+		expect(task.getState()).to.be.equal('files_added');
+		await expect(task.download()).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call download() when task state are files_added.'
+		);
+
+		await task.process();
+		expect(task.getState()).to.be.equal('processed');
+		const error = await expect(task.addFile(file)).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call addFile() when task state are processed.'
+		);
+		expect(error.state).to.be.equal('processed');
+		expect(error.action).to.be.equal('addFile');
+
+		await task.delete();
+		expect(task.getState()).to.be.equal('deleted');
+		await expect(task.process()).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call process() when task state are deleted.'
+		);
+		await expect(task.delete()).to.be.rejectedWith(TaskStateError);
+		await expect(task.details()).to.eventually.be.deep.equal({
+			status: 'TaskDeleted',
+			status_message: ''
+		});
+	});
+
+	it('should block process() while processing and restore previous state when failed', async function () {
+		const task = new TaskI(undefined, undefined, 'compressimage');
+		let reject;
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+		task._setServer({
+			post: () => new Promise((_, x) => (reject = x))
+		});
+
+		const processing = task.process();
+		await new Promise((resolve) => setImmediate(resolve));
+		expect(task.getState()).to.be.equal('processing');
+		await expect(task.process()).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call process() when task state are processing.'
+		);
+		await expect(task.delete()).to.be.rejectedWith(TaskStateError);
+
+		reject(new Error('Simulating generic error'));
+		await expect(processing).to.be.rejectedWith('Simulating generic error');
+		expect(task.getState()).to.be.equal('files_added');
+	});
+
+	it('should return to started when all uploaded files deleted', async function () {
+		const task = new TaskI();
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+		task._setServer({ delete: sinon.stub().resolves({ data: {} }) });
+
+		expect(task.getState()).to.be.equal('files_added');
+		await task.deleteFile({ server_filename: 'lorem.jpg' });
+		expect(task.getState()).to.be.equal('started');
+	});
+});
+
+describe('ILoveIMGApi TaskI budget Tests', function () {
+	const auth = { getToken: async () => 'token' };
+	const file = {
+		cloud_file: 'https://i.imgur.com/awesome.jpeg',
+		filename: 'awesome.jpeg'
+	};
+
+	/**
+	 * Creates task with given budget that reports given remaining files on start().
+	 */
+	const createTask = (budget, remaining_files = 10) => {
+		const fetchFn = sinon.stub().callsFake(async (url) => {
+			if (url.endsWith('/upload')) {
+				return Response.json({ server_filename: 'lorem.jpg' });
+			}
+
+			return Response.json({ status: 'TaskSuccess' });
+		});
+		const fixedServer = {
+			defaults: { headers: {} },
+			get: async () => ({
+				data: { server: 'api8g.iloveimg.com', task: 'task-id', remaining_files }
+			})
+		};
+
+		return {
+			task: new TaskI(auth, fixedServer, 'compressimage', {
+				transport: { fetch: fetchFn },
+				budget
+			}),
+			fetchFn
+		};
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when budget are invalid', function () {
+		expect(() => createTask({ reserve: -1 })).to.throw(ZodError);
+		expect(() => createTask({ max_files: 0 })).to.throw(ZodError);
+		expect(() => createTask({ lorem: 1 })).to.throw(ZodError);
+	});
+
+	it('should throw BudgetExceededError when task files exceeds max_files', async function () {
+		const { task, fetchFn } = createTask({ max_files: 1 });
+
+		await task.start();
+		await task.addFile(file);
+		const error = await expect(task.addFile(file)).to.be.rejectedWith(
+			BudgetExceededError,
+			'Task files exceeds budget of 1 files per task.'
+		);
+		expect(error).to.include({
+			reason: 'max_files',
+			limit: 1,
+			file_count: 2,
+			remaining_files: 10
+		});
+		expect(fetchFn.callCount).to.be.equal(1);
+		expect(task.getUploadedFiles()).to.have.lengthOf(1);
+
+		// Nothing are spent on debug mode, so budget are not checked.
+		await task.addFile({ ...file, debug: true });
+		expect(fetchFn.callCount).to.be.equal(2);
+	});
+
+	it('should throw BudgetExceededError when processing would leave fewer remaining files than reserve', async function () {
+		const { task, fetchFn } = createTask({ reserve: 8 }, 10);
+
+		await task.start();
+		await task.addFile(file);
+		await task.addFile(file);
+		await expect(task.addFile(file)).to.be.rejectedWith(
+			BudgetExceededError,
+			'Processing 3 files would leave 7 remaining files, below reserve of 8.'
+		);
+
+		task._setRemainingFiles(9);
+		const error = await expect(task.process()).to.be.rejectedWith(
+			BudgetExceededError,
+			'Processing 2 files would leave 7 remaining files, below reserve of 8.'
+		);
+		expect(error.reason).to.be.equal('reserve');
+		expect(task.getState()).to.be.equal('files_added');
+		expect(fetchFn.callCount).to.be.equal(2);
+
+		task._setRemainingFiles(10);
+		await task.process();
+		expect(task.getState()).to.be.equal('processed');
+	});
+
+	it('should call onLowCredits when remaining files are equal or below threshold', async function () {
+		const onLowCredits = sinon.spy();
+
+		await createTask(
+			{ low_credits_threshold: 5, onLowCredits },
+			6
+		).task.start();
+		expect(onLowCredits.called).to.be.false;
+
+		await createTask(
+			{ low_credits_threshold: 5, onLowCredits },
+			5
+		).task.start();
+		expect(onLowCredits.calledOnce).to.be.true;
+		expect(onLowCredits.firstCall.args[0]).to.be.deep.equal({
+			tool: 'compressimage',
+			task_id: 'task-id',
+			remaining_files: 5,
+			threshold: 5
+		});
+
+		// Errors thrown by callback are ignored.
+		await expect(
+			createTask(
+				{
+					low_credits_threshold: 5,
+					onLowCredits: () => {
+						throw new Error('Simulating callback error');
+					}
+				},
+				1
+			).task.start()
+		).to.be.fulfilled;
+	});
+
+	it('should call onLowCredits and throw BudgetExceededError when remaining files are exhausted', async function () {
+		const onLowCredits = sinon.spy();
+		const { task } = createTask(
+			{ reserve: 0, low_credits_threshold: 5, onLowCredits },
+			0
+		);
+
+		await expect(task.start()).to.eventually.include({ remaining_files: 0 });
+		expect(task.getRemainingFiles()).to.be.equal(0);
+		expect(onLowCredits.firstCall.args[0].remaining_files).to.be.equal(0);
+
+		const error = await expect(task.addFile(file)).to.be.rejectedWith(
+			BudgetExceededError,
+			'Processing 1 files would leave -1 remaining files, below reserve of 0.'
+		);
+		expect(error.reason).to.be.equal('reserve');
+	});
+});
+
+describe('ILoveIMGApi TaskI.snapshot(), toJSON() and resume() Tests', function () {
+	const fixedServer = {
+		defaults: { headers: {} },
+		get: async () => ({
+			data: {
+				server: 'api8g.iloveimg.com',
+				task: 'task-id',
+				remaining_files: 250
+			}
+		})
+	};
+	const snapshot = {
+		tool: 'compressimage',
+		task_id: 'task-id',
+		server: 'api8g.iloveimg.com',
+		files: [
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg', rotate: 90 }
+		],
+		remaining_files: 249,
+		state: 'files_added'
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw TaskStateError on snapshot() when task not started', function () {
+		const task = new TaskI(undefined, undefined, 'compressimage');
+
+		expect(() => task.snapshot()).to.throw(
+			TaskStateError,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+	});
+
+	it('should serialize task on any state using toJSON() without throwing', async function () {
+		const task = new TaskI(undefined, undefined, 'compressimage');
+
+		expect(task.toJSON()).to.include({
+			tool: 'compressimage',
+			state: 'created'
+		});
+		expect(JSON.parse(JSON.stringify(task))).to.be.deep.equal({
+			tool: 'compressimage',
+			files: [],
+			state: 'created'
+		});
+
+		// Snapshot of task that cannot be resumed are rejected on resume.
+		await expect(
+			new TaskI(undefined, undefined, 'compressimage').resume(
+				JSON.parse(JSON.stringify(task))
+			)
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should serialize started task without secrets', async function () {
+		const fetchFn = sinon
+			.stub()
+			.resolves(Response.json({ server_filename: 'lorem.jpg' }));
+		const task = new TaskI(
+			{ getToken: async () => 'secret-token' },
+			fixedServer,
+			'compressimage',
+			{ transport: { fetch: fetchFn } }
+		);
+
+		await task.start();
+		expect(task.snapshot()).to.be.deep.equal({
+			tool: 'compressimage',
+			task_id: 'task-id',
+			server: 'api8g.iloveimg.com',
+			files: [],
+			remaining_files: 250,
+			state: 'started'
+		});
+
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+		task.setFileRotation('lorem.jpg', 90);
+
+		const json = JSON.stringify(task);
+		expect(json).to.not.include('secret-token');
+		expect(JSON.parse(json)).to.be.deep.equal({
+			...snapshot,
+			remaining_files: 250
+		});
+	});
+
+	it('should resume task from snapshot using new authentication token', async function () {
+		const fetchFn = sinon
+			.stub()
+			.resolves(Response.json({ status: 'TaskSuccess' }));
+		const task = new TaskI(
+			{ getToken: async () => 'new-token' },
+			undefined,
+			'compressimage',
+			{ transport: { fetch: fetchFn } }
+		);
+
+		await task.resume(snapshot);
+
+		expect(task.getState()).to.be.equal('files_added');
+		expect(task.getTaskId()).to.be.equal('task-id');
+		expect(task.getRemainingFiles()).to.be.equal(249);
+		expect(task.getUploadedFiles()).to.be.deep.equal(snapshot.files);
+		expect(task.getUploadedFiles()[0]).to.not.be.equal(snapshot.files[0]);
+
+		await task.process();
+		const [url, init] = fetchFn.firstCall.args;
+		expect(url).to.be.equal(
+			`${ILOVEIMG_API_URL_PROTOCOL}://api8g.iloveimg.com/${ILOVEIMG_API_VERSION}/process`
+		);
+		expect(init.headers).to.include({ Authorization: 'Bearer new-token' });
+		expect(JSON.parse(init.body).files).to.be.deep.equal(snapshot.files);
+		expect(task.toJSON().state).to.be.equal('processed');
+	});
+
+	it('should throw when snapshot are invalid', async function () {
+		const auth = { getToken: async () => 'token' };
+		const task = new TaskI(auth, fixedServer, 'compressimage');
+
+		await expect(task.resume({})).to.be.rejectedWith(ZodError);
+		await expect(
+			task.resume({ ...snapshot, state: 'processing' })
+		).to.be.rejectedWith(ZodError);
+		await expect(task.resume({ ...snapshot, files: [] })).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(
+			task.resume({ ...snapshot, tool: 'upscaleimage' })
+		).to.be.rejectedWith(
+			Error,
+			'Snapshot tool upscaleimage does not match task tool compressimage.'
+		);
+		expect(task.getState()).to.be.equal('created');
+	});
+
+	it('should throw when snapshot server are not trusted', async function () {
+		const auth = { getToken: sinon.stub().resolves('token') };
+		const task = new TaskI(auth, fixedServer, 'compressimage');
+
+		await expect(
+			task.resume({ ...snapshot, server: 'https://attacker.example' })
+		).to.be.rejectedWith(ZodError);
+		await expect(
+			task.resume({ ...snapshot, server: 'attacker.example' })
+		).to.be.rejectedWith(
+			Error,
+			'Snapshot server attacker.example are not trusted, add it to trusted_servers params when expected.'
+		);
+		expect(auth.getToken.called).to.be.false;
+		expect(task.getState()).to.be.equal('created');
+
+		const trusted = new TaskI(auth, fixedServer, 'compressimage', {
+			trusted_servers: ['attacker.example']
+		});
+		await trusted.resume({ ...snapshot, server: 'attacker.example' });
+		expect(trusted.getState()).to.be.equal('files_added');
+	});
+
+	it('should throw TaskStateError when task already started', async function () {
+		const auth = { getToken: async () => 'token' };
+		const task = new TaskI(auth, fixedServer, 'compressimage');
+
+		await task.start();
+		await expect(task.resume(snapshot)).to.be.rejectedWith(
+			TaskStateError,
+			'Cannot call resume() when task state are started.'
+		);
+	});
+});
+
 describe('ILoveIMGApi TaskI.getRemainingFiles() Tests', function () {
 	let task = /** @type {TaskI} */ (undefined);
 
@@ -145,6 +667,81 @@ describe('ILoveIMGApi TaskI.getServer() Tests', function () {
 	});
 });
 
+describe('ILoveIMGApi TaskI.setFileRotation() Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+
+	beforeEach(function () {
+		task = new TaskI();
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw Error when file not uploaded yet', function () {
+		expect(() => task.setFileRotation('loremipsum.jpg', 90)).to.throw(
+			Error,
+			'You need to add file first using addFile() method before assigning rotation.'
+		);
+
+		task._setUploadedFiles([
+			{ server_filename: 'dolorsitamet.jpg', filename: 'image.jpg' }
+		]);
+		expect(() => task.setFileRotation('loremipsum.jpg', 90)).to.throw(
+			Error,
+			'You need to add file first using addFile() method before assigning rotation.'
+		);
+	});
+
+	it('should throw ZodError when rotate are invalid', function () {
+		task._setUploadedFiles([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' }
+		]);
+
+		expect(() => task.setFileRotation('loremipsum.jpg', 45)).to.throw(ZodError);
+		expect(() => task.setFileRotation('loremipsum.jpg', '90')).to.throw(
+			ZodError
+		);
+		expect(() => task.setFileRotation('loremipsum.jpg')).to.throw(ZodError);
+	});
+
+	it('should forward assigned rotation when calling process()', async function () {
+		const setup = {
+			server: {
+				post: async () => ({
+					data: { status: 'TaskSuccess' }
+				})
+			},
+			tool: 'rotateimage',
+			task_id: 'fake-taskid'
+		};
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' },
+			{ server_filename: 'dolorsitamet.jpg', filename: 'image_two.jpg' }
+		]);
+
+		task.setFileRotation('dolorsitamet.jpg', 270);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+		await task.process();
+
+		expect(fixedServerSpy.calledOnce).to.be.true;
+		expect(fixedServerSpy.firstCall.args[0]).to.be.equal('/process');
+		expect(fixedServerSpy.firstCall.args[1].files).to.be.deep.equal([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' },
+			{
+				server_filename: 'dolorsitamet.jpg',
+				filename: 'image_two.jpg',
+				rotate: 270
+			}
+		]);
+	});
+});
+
 describe('ILoveIMGApi TaskI.start() Tests', function () {
 	let task = /** @type {TaskI} */ (undefined);
 
@@ -607,44 +1204,398 @@ describe('ILoveIMGApi TaskI.addFile() Tests', function () {
 		).to.eventually.deep.equal(options);
 	});
 
-	it('should throw Error when missing required fields on API response', async function () {
-		const setup = {
-			server: {
-				post: async () => ({
-					data: {
-						server_filename: undefined
-					}
-				})
-			},
-			tool: 'removebackgroundimage',
-			task_id: 'fake-taskid'
-		};
-
-		task._setTool(setup.tool);
-		task._setTaskId(setup.task_id);
-		task._setServer(setup.server);
+	it('should throw ZodError when cloud_file and file are both or neither provided', async function () {
+		task._setTool('removebackgroundimage');
+		task._setTaskId('stubed-task_id');
+		task._setServer('stubed-server');
 
-		const fixedServerSpy = sinon.spy(setup.server, 'post');
+		await expect(task.addFile({ filename: 'image.jpg' })).to.be.rejectedWith(
+			ZodError
+		);
 
 		await expect(
 			task.addFile({
 				cloud_file: 'https://github.com/image.jpg',
+				file: Buffer.from('lorem'),
 				filename: 'image.jpg'
 			})
-		).to.be.rejectedWith(Error, 'Invalid response: missing required fields');
-		expect(fixedServerSpy.calledOnce).to.be.true;
-		expect(fixedServerSpy.firstCall.args[0]).to.be.equal('/upload');
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.addFile({ file: 55, filename: 'image.jpg' })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.addFile({ file: '', filename: 'image.jpg' })
+		).to.be.rejectedWith(ZodError);
 	});
 
-	it('should catch generic Error then rethrown error with classifyError()', async function () {
+	it('should upload local file source as multipart form', async function () {
 		const setup = {
 			server: {
-				post: async () => {
-					throw new Error('Simulating generic error');
-				}
+				post: async () => ({
+					data: { server_filename: 'loremipsum.jpg' }
+				})
 			},
 			tool: 'removebackgroundimage',
-			task_id: 'fake-taskid'
+			task_id: 'fake-taskid',
+			content: 'simulating-image-content'
+		};
+
+		const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iloveimg-'));
+		const tmpFile = path.join(tmpDir, 'image.jpg');
+		fs.writeFileSync(tmpFile, setup.content);
+
+		const sources = [
+			tmpFile,
+			Buffer.from(setup.content),
+			new TextEncoder().encode(setup.content),
+			new Blob([setup.content]),
+			Readable.from([Buffer.from(setup.content)])
+		];
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([]);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+
+		try {
+			for (const [index, source] of sources.entries()) {
+				const result = await task.addFile({
+					file: source,
+					filename: 'image.jpg'
+				});
+				expect(result).to.be.deep.equal({ server_filename: 'loremipsum.jpg' });
+
+				const [endpoint, form, config] = fixedServerSpy.getCall(index).args;
+				expect(endpoint).to.be.equal('/upload');
+				expect(form).to.be.instanceOf(FormData);
+				expect(form.get('task')).to.be.equal(setup.task_id);
+				expect(form.get('debug')).to.be.null;
+				expect(form.get('file').name).to.be.equal('image.jpg');
+				expect(await form.get('file').text()).to.be.equal(setup.content);
+				expect(config).to.be.deep.equal({
+					headers: { 'Content-Type': 'multipart/form-data' }
+				});
+			}
+		} finally {
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		}
+
+		expect(task.getUploadedFiles()).to.have.lengthOf(sources.length);
+		expect(task.getUploadedFiles()[0]).to.be.deep.equal({
+			server_filename: 'loremipsum.jpg',
+			filename: 'image.jpg'
+		});
+	});
+
+	it('should upload local file source in chunks when chunk_size provided', async function () {
+		const setup = {
+			server: {
+				post: async () => ({
+					data: { server_filename: 'loremipsum.jpg' }
+				})
+			},
+			tool: 'compressimage',
+			task_id: 'fake-taskid',
+			content: '0123456789'
+		};
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([]);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+
+		const result = await task.addFile({
+			file: Buffer.from(setup.content),
+			filename: 'image.jpg',
+			chunk_size: 4
+		});
+
+		expect(result).to.be.deep.equal({ server_filename: 'loremipsum.jpg' });
+		expect(fixedServerSpy.callCount).to.be.equal(3);
+
+		const parts = ['0123', '4567', '89'];
+		for (const [index, part] of parts.entries()) {
+			const [endpoint, form] = fixedServerSpy.getCall(index).args;
+			expect(endpoint).to.be.equal('/upload');
+			expect(form.get('task')).to.be.equal(setup.task_id);
+			expect(form.get('chunk')).to.be.equal(String(index));
+			expect(form.get('chunks')).to.be.equal('3');
+			expect(await form.get('file').text()).to.be.equal(part);
+		}
+
+		expect(task.getUploadedFiles()).to.be.deep.equal([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' }
+		]);
+
+		// Expect ZodError when chunk_size used without file or invalid.
+		await expect(
+			task.addFile({
+				cloud_file: 'https://github.com/image.jpg',
+				filename: 'image.jpg',
+				chunk_size: 4
+			})
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.addFile({
+				file: Buffer.from(setup.content),
+				filename: 'image.jpg',
+				chunk_size: 0
+			})
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should retry individual failed chunk and resume from last acknowledged chunk', async function () {
+		sinon.stub(TaskI, 'CHUNK_RETRY_DELAY').value(0);
+
+		const networkError = { isAxiosError: true, request: {} };
+		const setup = {
+			server: { post: sinon.stub() },
+			tool: 'compressimage',
+			task_id: 'fake-taskid',
+			content: '0123456789'
+		};
+
+		// First chunk succeed, second chunk fails once then succeed,
+		// third chunk fails until retries exhausted.
+		setup.server.post.onCall(0).resolves({ data: {} });
+		setup.server.post.onCall(1).rejects(networkError);
+		setup.server.post.onCall(2).resolves({ data: {} });
+		setup.server.post.onCall(3).rejects(networkError);
+		setup.server.post.onCall(4).rejects(networkError);
+		// Resumed upload only send the third chunk.
+		setup.server.post
+			.onCall(5)
+			.resolves({ data: { server_filename: 'loremipsum.jpg' } });
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([]);
+
+		const options = {
+			file: Buffer.from(setup.content),
+			filename: 'image.jpg',
+			chunk_size: 4,
+			chunk_retries: 1
+		};
+
+		await expect(task.addFile(options)).to.be.rejectedWith(
+			NetworkError,
+			'No response received from the server.'
+		);
+		expect(setup.server.post.callCount).to.be.equal(5);
+		expect(setup.server.post.getCall(2).args[1].get('chunk')).to.be.equal('1');
+		expect(setup.server.post.getCall(4).args[1].get('chunk')).to.be.equal('2');
+		expect(task.getUploadedFiles()).to.be.deep.equal([]);
+
+		const result = await task.addFile(options);
+
+		expect(result).to.be.deep.equal({ server_filename: 'loremipsum.jpg' });
+		expect(setup.server.post.callCount).to.be.equal(6);
+		expect(setup.server.post.getCall(5).args[1].get('chunk')).to.be.equal('2');
+		expect(task.getUploadedFiles()).to.be.deep.equal([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' }
+		]);
+	});
+
+	it('should stop waiting for chunk retry as soon as signal aborted and keep progress', async function () {
+		sinon.stub(TaskI, 'CHUNK_RETRY_DELAY').value(60000);
+
+		const controller = new AbortController();
+		const server = { post: sinon.stub() };
+		server.post.onCall(0).resolves({ data: {} });
+		server.post.onCall(1).callsFake(async () => {
+			setTimeout(() => controller.abort(), 10);
+			throw { isAxiosError: true, request: {} };
+		});
+		server.post.resolves({ data: { server_filename: 'loremipsum.jpg' } });
+
+		task._setTool('compressimage');
+		task._setTaskId('fake-taskid');
+		task._setServer(server);
+		task._setUploadedFiles([]);
+
+		const options = {
+			file: Buffer.from('01234567'),
+			filename: 'image.jpg',
+			chunk_size: 4,
+			chunk_retries: 1
+		};
+
+		const startedAt = Date.now();
+		await expect(
+			task.addFile({ ...options, signal: controller.signal })
+		).to.be.rejectedWith(AbortError);
+		expect(Date.now() - startedAt).to.be.below(5000);
+		expect(server.post.callCount).to.be.equal(2);
+
+		// Resumed upload only send the second chunk.
+		await task.addFile(options);
+		expect(server.post.callCount).to.be.equal(3);
+		expect(server.post.getCall(2).args[1].get('chunk')).to.be.equal('1');
+	});
+
+	it('should restart chunked upload when different source use the same filename', async function () {
+		sinon.stub(TaskI, 'CHUNK_RETRY_DELAY').value(0);
+
+		const networkError = { isAxiosError: true, request: {} };
+		const server = { post: sinon.stub() };
+
+		// First chunk succeed, second chunk fails until retries exhausted.
+		server.post.onCall(0).resolves({ data: {} });
+		server.post.onCall(1).rejects(networkError);
+		server.post.resolves({ data: { server_filename: 'loremipsum.jpg' } });
+
+		task._setTool('compressimage');
+		task._setTaskId('fake-taskid');
+		task._setServer(server);
+		task._setUploadedFiles([]);
+
+		const options = {
+			filename: 'image.jpg',
+			chunk_size: 4,
+			chunk_retries: 0
+		};
+
+		await expect(
+			task.addFile({ ...options, file: Buffer.from('01234567') })
+		).to.be.rejectedWith(NetworkError);
+
+		// Same chunk count but different size, so upload are started from the first chunk.
+		await task.addFile({ ...options, file: Buffer.from('0123456') });
+
+		expect(server.post.callCount).to.be.equal(4);
+		expect(server.post.getCall(2).args[1].get('chunk')).to.be.equal('0');
+		expect(server.post.getCall(3).args[1].get('chunk')).to.be.equal('1');
+	});
+
+	it('should not retry chunk on non-transient ILoveApiError', async function () {
+		const setup = {
+			server: {
+				post: async () => {
+					throw {
+						isAxiosError: true,
+						response: {
+							status: 400,
+							data: { error: { message: 'Invalid chunk', code: 400 } }
+						}
+					};
+				}
+			},
+			tool: 'compressimage',
+			task_id: 'fake-taskid'
+		};
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([]);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+
+		await expect(
+			task.addFile({
+				file: Buffer.from('0123456789'),
+				filename: 'image.jpg',
+				chunk_size: 4
+			})
+		).to.be.rejectedWith(
+			ILoveApiError,
+			'Invalid chunk (Status: 400, Code: 400)'
+		);
+		expect(fixedServerSpy.calledOnce).to.be.true;
+	});
+
+	it('should track rotate on #files without sending it on upload', async function () {
+		const setup = {
+			server: {
+				post: async () => ({
+					data: { server_filename: 'loremipsum.jpg' }
+				})
+			},
+			tool: 'rotateimage',
+			task_id: 'fake-taskid'
+		};
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+		task._setUploadedFiles([]);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+
+		await task.addFile({
+			cloud_file: 'https://github.com/image.jpg',
+			filename: 'image.jpg',
+			rotate: 90
+		});
+
+		expect(fixedServerSpy.calledOnce).to.be.true;
+		expect(fixedServerSpy.firstCall.args[0]).to.be.equal('/upload');
+		expect(fixedServerSpy.firstCall.args[1]).to.be.deep.equal({
+			task: setup.task_id,
+			cloud_file: 'https://github.com/image.jpg',
+			filename: 'image.jpg'
+		});
+		expect(task.getUploadedFiles()).to.be.deep.equal([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg', rotate: 90 }
+		]);
+
+		// Expect ZodError when rotate are invalid.
+		await expect(
+			task.addFile({
+				cloud_file: 'https://github.com/image.jpg',
+				filename: 'image.jpg',
+				rotate: 45
+			})
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should throw Error when missing required fields on API response', async function () {
+		const setup = {
+			server: {
+				post: async () => ({
+					data: {
+						server_filename: undefined
+					}
+				})
+			},
+			tool: 'removebackgroundimage',
+			task_id: 'fake-taskid'
+		};
+
+		task._setTool(setup.tool);
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+
+		const fixedServerSpy = sinon.spy(setup.server, 'post');
+
+		await expect(
+			task.addFile({
+				cloud_file: 'https://github.com/image.jpg',
+				filename: 'image.jpg'
+			})
+		).to.be.rejectedWith(Error, 'Invalid response: missing required fields');
+		expect(fixedServerSpy.calledOnce).to.be.true;
+		expect(fixedServerSpy.firstCall.args[0]).to.be.equal('/upload');
+	});
+
+	it('should catch generic Error then rethrown error with classifyError()', async function () {
+		const setup = {
+			server: {
+				post: async () => {
+					throw new Error('Simulating generic error');
+				}
+			},
+			tool: 'removebackgroundimage',
+			task_id: 'fake-taskid'
 		};
 
 		task._setTool(setup.tool);
@@ -1181,6 +2132,7 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 				data: 'processedfile'
 			})
 		});
+		task._setState('processed');
 
 		// Expect ZodError when type of options itself invalid.
 		await expect(task.download(null)).to.be.rejectedWith(ZodError);
@@ -1207,6 +2159,7 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 
 		task._setTaskId(setup.task_id);
 		task._setServer(setup.server);
+		task._setState('processed');
 
 		const serverSpy = sinon.spy(setup.server, 'get');
 
@@ -1247,6 +2200,7 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 		// Request is made but no response received.
 		const serverSpy = sinon.spy(setup.server[0], 'get');
 		task._setServer(setup.server[0]);
+		task._setState('processed');
 		await expect(task.download()).to.be.rejectedWith(
 			NetworkError,
 			'No response received from the server.'
@@ -1259,6 +2213,7 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 		// Request setup fails.
 		const serverSpy1 = sinon.spy(setup.server[1], 'get');
 		task._setServer(setup.server[1]);
+		task._setState('processed');
 		await expect(task.download()).to.be.rejectedWith(
 			NetworkError,
 			'An error occurred while setting up the request.'
@@ -1337,6 +2292,7 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 
 			serverSpy = sinon.spy(server, 'get');
 			task._setServer(server);
+			task._setState('processed');
 
 			await expect(task.download()).to.be.rejectedWith(
 				ILoveApiError,
@@ -1352,79 +2308,1419 @@ describe('ILoveIMGApi TaskI.download() Tests', function () {
 	});
 });
 
-describe('ILoveIMGApi TaskI.details() Tests', function () {
+describe('ILoveIMGApi TaskI download helpers Tests', function () {
 	let task = /** @type {TaskI} */ (undefined);
+	let tmpDir = /** @type {string} */ (undefined);
+
+	const createServer = (headers = {}) => ({
+		get: async () => ({
+			data: Readable.from([Buffer.from('processed-image')]),
+			headers
+		}),
+		post: async () => ({
+			data: { status: 'TaskSuccess', download_filename: 'processed.jpg' }
+		})
+	});
 
 	beforeEach(function () {
 		task = new TaskI();
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iloveimg-'));
 	});
 
 	afterEach(function () {
 		sinon.restore();
+		fs.rmSync(tmpDir, { recursive: true, force: true });
 	});
 
 	it('should throw Error when task id or server are not exist', async function () {
-		// This test ensure start() are initiated first before getting task information using details()
-		await expect(task.details()).to.be.rejectedWith(
+		await expect(task.downloadBuffer()).to.be.rejectedWith(
+			Error,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+		await expect(task.downloadStream()).to.be.rejectedWith(
+			Error,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+		await expect(task.downloadToDirectory(tmpDir)).to.be.rejectedWith(
+			Error,
 			'You need to retrieve task id and assigned server first using start() method.'
 		);
 	});
 
-	it('should throw ZodError when some attribute of options param are invalid', async function () {
-		task._setTaskId('fake-taskid');
-		task._setServer({
-			get: async () => ({
-				data: 'processedfile'
-			})
-		});
+	it('should resolve processed file content as Buffer', async function () {
+		task._setTaskId('task-id');
+		task._setServer(createServer());
+		task._setState('processed');
 
-		// Expect ZodError when type of options itself invalid.
-		await expect(task.details(null)).to.be.rejectedWith(ZodError);
-		await expect(task.details(1)).to.be.rejectedWith(ZodError);
-		await expect(task.details('lorem')).to.be.rejectedWith(ZodError);
-		await expect(task.details(false)).to.be.rejectedWith(ZodError);
+		const result = await task.downloadBuffer();
 
-		// Expect ZodError when some attribute of options are invalid.
-		await expect(task.details({ debug: null })).to.be.rejectedWith(ZodError);
-		await expect(task.details({ debug: 1 })).to.be.rejectedWith(ZodError);
-		await expect(task.details({ debug: 'xyz' })).to.be.rejectedWith(ZodError);
-		await expect(task.details({ debug: {} })).to.be.rejectedWith(ZodError);
+		expect(result).to.be.instanceOf(Buffer);
+		expect(result.toString()).to.be.equal('processed-image');
 	});
 
-	it('should catch generic Error then rethrown error with classifyError()', async function () {
-		const setup = {
-			task_id: 'fake-taskid',
-			server: {
-				get: async () => {
-					throw new Error('Simulating generic error');
-				}
-			}
-		};
+	it('should resolve processed file content as web ReadableStream', async function () {
+		task._setTaskId('task-id');
+		task._setServer(createServer());
+		task._setState('processed');
 
-		task._setTaskId(setup.task_id);
-		task._setServer(setup.server);
+		const result = await task.downloadStream();
 
-		const serverSpy = sinon.spy(setup.server, 'get');
+		expect(result).to.be.instanceOf(ReadableStream);
+		expect(await new Response(result).text()).to.be.equal('processed-image');
+	});
 
-		await expect(task.details()).to.be.rejectedWith(
-			Error,
-			'Simulating generic error'
+	it('should throw ZodError when directory or options are invalid', async function () {
+		task._setTaskId('task-id');
+		task._setServer(createServer());
+
+		await expect(task.downloadToDirectory()).to.be.rejectedWith(ZodError);
+		await expect(task.downloadToDirectory('')).to.be.rejectedWith(ZodError);
+		await expect(
+			task.downloadToDirectory(tmpDir, { filename: 55 })
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should save processed file using Content-Disposition filename', async function () {
+		task._setTaskId('task-id');
+		task._setServer(
+			createServer({
+				'content-type': 'application/zip',
+				'content-disposition': 'attachment; filename="../../images.zip"'
+			})
+		);
+		task._setState('processed');
+
+		const result = await task.downloadToDirectory(path.join(tmpDir, 'nested'));
+
+		expect(result).to.be.deep.equal({
+			path: path.join(tmpDir, 'nested', 'images.zip'),
+			filename: 'images.zip',
+			size: 15,
+			is_zip: true
+		});
+		expect(fs.readFileSync(result.path, 'utf-8')).to.be.equal(
+			'processed-image'
 		);
-		expect(serverSpy.calledOnce).to.be.true;
-		expect(serverSpy.firstCall.args[0]).to.be.equal(`/task/${setup.task_id}`);
 	});
 
-	it('should catch NetworkError then rethrown error with classifyError()', async function () {
-		const setup = {
-			task_id: 'fake-taskid',
-			server: [
-				{
-					get: async () => {
-						throw {
-							isAxiosError: true,
-							request: {}
-						};
-					}
+	it('should save processed file using download_filename from process() or filename option', async function () {
+		task._setTool('compressimage');
+		task._setTaskId('task-id');
+		task._setServer(createServer({ 'content-type': 'image/jpeg' }));
+		task._setState('processed');
+		task._setUploadedFiles([
+			{ server_filename: 'loremipsum.jpg', filename: 'image.jpg' }
+		]);
+
+		await expect(task.downloadToDirectory(tmpDir)).to.be.rejectedWith(
+			Error,
+			'Unable to resolve downloaded filename, provide filename option instead.'
+		);
+
+		await task.process();
+		const result = await task.downloadToDirectory(tmpDir);
+
+		expect(result).to.be.deep.equal({
+			path: path.join(tmpDir, 'processed.jpg'),
+			filename: 'processed.jpg',
+			size: 15,
+			is_zip: false
+		});
+
+		const overridden = await task.downloadToDirectory(tmpDir, {
+			filename: 'custom.jpg'
+		});
+
+		expect(overridden.path).to.be.equal(path.join(tmpDir, 'custom.jpg'));
+	});
+
+	it('should rethrow classified error from download()', async function () {
+		task._setTaskId('task-id');
+		task._setServer({
+			get: async () => {
+				throw { isAxiosError: true, request: {} };
+			}
+		});
+		task._setState('processed');
+
+		await expect(task.downloadBuffer()).to.be.rejectedWith(
+			NetworkError,
+			'No response received from the server.'
+		);
+		await expect(task.downloadToDirectory(tmpDir)).to.be.rejectedWith(
+			NetworkError,
+			'No response received from the server.'
+		);
+	});
+});
+
+describe('ILoveIMGApi TaskI.downloadFiles() Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+
+	const createServer = (content, headers = {}, chunkSize) => ({
+		get: async () => ({
+			data: Readable.from(
+				chunkSize
+					? Array.from(
+							{ length: Math.ceil(content.length / chunkSize) },
+							(_, i) => content.subarray(i * chunkSize, (i + 1) * chunkSize)
+						)
+					: [content]
+			),
+			headers
+		})
+	});
+
+	const collect = async (iterable) => {
+		const result = [];
+		for await (const x of iterable) result.push(x);
+		return result;
+	};
+
+	beforeEach(function () {
+		task = new TaskI();
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw Error when task id or server are not exist', async function () {
+		await expect(collect(task.downloadFiles())).to.be.rejectedWith(
+			Error,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+	});
+
+	it('should extract each image from ZIP archive and match it to uploaded files', async function () {
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' },
+			{ server_filename: 'ipsum.jpg', filename: 'Other.PNG' }
+		]);
+		task._setServer(
+			createServer(
+				createZip([
+					{ filename: 'awesome.jpg', content: 'first-image', deflate: true },
+					{ filename: 'folder/', content: '' },
+					{ filename: 'other.png', content: 'second-image' },
+					{ filename: 'unknown.jpg', content: 'third-image' }
+				]),
+				{
+					'content-type': 'application/zip',
+					'content-disposition': 'attachment; filename="images.zip"'
+				}
+			)
+		);
+		task._setState('processed');
+
+		const result = await collect(task.downloadFiles());
+
+		expect(result).to.have.lengthOf(3);
+		expect(result.map((x) => x.filename)).to.be.deep.equal([
+			'awesome.jpg',
+			'other.png',
+			'unknown.jpg'
+		]);
+		expect(result[0].buffer.toString()).to.be.equal('first-image');
+		expect(result[0].size).to.be.equal(11);
+		expect(result[0].uploaded_file).to.be.deep.equal({
+			server_filename: 'lorem.jpg',
+			filename: 'awesome.jpeg'
+		});
+		expect(result[1].buffer.toString()).to.be.equal('second-image');
+		expect(result[1].uploaded_file).to.be.deep.equal({
+			server_filename: 'ipsum.jpg',
+			filename: 'Other.PNG'
+		});
+		expect(result[2].uploaded_file).to.be.undefined;
+	});
+
+	it('should yield single image when downloaded file are not ZIP archive', async function () {
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+		task._setServer(
+			createServer(Buffer.from('single-image'), {
+				'content-type': 'image/jpeg',
+				'content-disposition': 'attachment; filename="compressed.jpg"'
+			})
+		);
+		task._setState('processed');
+
+		const result = await collect(task.downloadFiles());
+
+		expect(result).to.be.deep.equal([
+			{
+				filename: 'compressed.jpg',
+				buffer: Buffer.from('single-image'),
+				size: 12,
+				uploaded_file: {
+					server_filename: 'lorem.jpg',
+					filename: 'awesome.jpeg'
+				}
+			}
+		]);
+	});
+
+	it('should throw Error when ZIP archive are invalid', async function () {
+		task._setTaskId('task-id');
+		task._setServer(
+			createServer(Buffer.from('not-a-zip-archive-content'), {
+				'content-type': 'application/zip'
+			})
+		);
+		task._setState('processed');
+
+		await expect(collect(task.downloadFiles())).to.be.rejectedWith(
+			Error,
+			'Invalid ZIP archive: malformed local file header.'
+		);
+	});
+
+	it('should throw Error when ZIP archive ended unexpectedly', async function () {
+		const zip = createZip([{ filename: 'awesome.jpg', content: 'image' }]);
+		const corrupt = (write) => {
+			const archive = Buffer.from(zip);
+			write(archive);
+			return archive;
+		};
+
+		for (const archive of [
+			// Archive truncated inside local file header.
+			zip.subarray(0, 20),
+			// Archive truncated inside entry data.
+			zip.subarray(0, 30 + 'awesome.jpg'.length + 2),
+			// Compressed size beyond archive.
+			corrupt((x) => x.writeUInt32LE(0xfffffff, 18))
+		]) {
+			task = new TaskI();
+			task._setTaskId('task-id');
+			task._setServer(
+				createServer(archive, { 'content-type': 'application/zip' })
+			);
+			task._setState('processed');
+
+			await expect(collect(task.downloadFiles())).to.be.rejectedWith(
+				Error,
+				'Invalid ZIP archive: unexpected end of archive.'
+			);
+		}
+	});
+
+	it('should throw Error when ZIP entry inflate beyond its declared size', async function () {
+		const zip = createZip([
+			{ filename: 'awesome.jpg', content: 'x'.repeat(4096), deflate: true }
+		]);
+		// Declare smaller uncompressed size than its actual content.
+		zip.writeUInt32LE(16, 22);
+
+		task._setTaskId('task-id');
+		task._setServer(createServer(zip, { 'content-type': 'application/zip' }));
+		task._setState('processed');
+
+		await expect(collect(task.downloadFiles())).to.be.rejectedWith(
+			Error,
+			'Invalid ZIP archive: malformed compressed data.'
+		);
+	});
+
+	it('should stream entries that use data descriptor across small chunks', async function () {
+		const first = 'first-image '.repeat(200);
+		const zip = createZip([
+			{
+				filename: 'awesome.jpg',
+				content: first,
+				deflate: true,
+				descriptor: true
+			},
+			{ filename: 'other.png', content: 'second-image' },
+			{ filename: 'empty.jpg', content: '', deflate: true, descriptor: true }
+		]);
+
+		task._setTaskId('task-id');
+		task._setServer(
+			createServer(zip, { 'content-type': 'application/zip' }, 7)
+		);
+		task._setState('processed');
+
+		const result = await collect(task.downloadFiles());
+
+		expect(result.map((x) => x.filename)).to.be.deep.equal([
+			'awesome.jpg',
+			'other.png',
+			'empty.jpg'
+		]);
+		expect(result[0].buffer.toString()).to.be.equal(first);
+		expect(result[1].buffer.toString()).to.be.equal('second-image');
+		expect(result[2].size).to.be.equal(0);
+	});
+
+	it('should throw Error when ZIP entry does not match its data descriptor', async function () {
+		const zip = createZip([
+			{
+				filename: 'awesome.jpg',
+				content: 'image',
+				deflate: true,
+				descriptor: true
+			}
+		]);
+		const descriptorOffset = zip.readUInt32LE(zip.length - 22 + 16) - 16;
+		zip.writeUInt32LE(4, descriptorOffset + 12);
+
+		task._setTaskId('task-id');
+		task._setServer(createServer(zip, { 'content-type': 'application/zip' }));
+		task._setState('processed');
+
+		await expect(collect(task.downloadFiles())).to.be.rejectedWith(
+			Error,
+			'Invalid ZIP archive: entry size does not match.'
+		);
+	});
+
+	it('should forward download options and stop reading archive when iteration stopped', async function () {
+		const controller = new AbortController();
+		const data = Readable.from([
+			createZip([
+				{ filename: 'awesome.jpg', content: 'first-image' },
+				{ filename: 'other.jpg', content: 'second-image' }
+			])
+		]);
+		const get = sinon.stub().resolves({
+			data,
+			headers: { 'content-type': 'application/zip' }
+		});
+		task._setTaskId('task-id');
+		task._setServer({ get });
+		task._setState('processed');
+
+		for await (const { filename } of task.downloadFiles({
+			timeout: 5000,
+			signal: controller.signal
+		})) {
+			expect(filename).to.be.equal('awesome.jpg');
+			break;
+		}
+
+		expect(get.firstCall.args[1].timeout).to.be.equal(5000);
+		expect(get.firstCall.args[1].signal).to.be.equal(controller.signal);
+		expect(data.destroyed).to.be.true;
+		await expect(
+			collect(task.downloadFiles({ timeout: -1 }))
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should not match uploaded file when more than one uploaded file share the same stem', async function () {
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' },
+			{ server_filename: 'ipsum.png', filename: 'awesome.png' },
+			{ server_filename: 'dolor.jpg', filename: 'other.jpg' }
+		]);
+		task._setServer(
+			createServer(
+				createZip([
+					{ filename: 'awesome.jpg', content: 'first-image' },
+					{ filename: 'other.jpg', content: 'second-image' }
+				]),
+				{ 'content-type': 'application/zip' }
+			)
+		);
+		task._setState('processed');
+
+		const result = await collect(task.downloadFiles());
+
+		expect(result[0].uploaded_file).to.be.undefined;
+		expect(result[1].uploaded_file).to.be.deep.equal({
+			server_filename: 'dolor.jpg',
+			filename: 'other.jpg'
+		});
+	});
+});
+
+describe('ILoveIMGApi TaskI retry policy Tests', function () {
+	const serverError = (status, headers = {}) => ({
+		isAxiosError: true,
+		response: { status, headers, data: { message: 'Simulating error' } }
+	});
+
+	const createTask = (retry) => {
+		const task = new TaskI(undefined, undefined, 'compressimage', {
+			retry: { delay: 0, jitter: false, ...retry }
+		});
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+
+		return task;
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when retry policy are invalid', function () {
+		expect(
+			() => new TaskI(undefined, undefined, 'compressimage', { retry: null })
+		).to.throw(ZodError);
+		expect(
+			() =>
+				new TaskI(undefined, undefined, 'compressimage', {
+					retry: { retries: -1 }
+				})
+		).to.throw(ZodError);
+		expect(
+			() =>
+				new TaskI(undefined, undefined, 'compressimage', {
+					retry: { factor: 0.5 }
+				})
+		).to.throw(ZodError);
+		expect(
+			() =>
+				new TaskI(undefined, undefined, 'compressimage', {
+					retry: { methods: ['lorem'] }
+				})
+		).to.throw(ZodError);
+	});
+
+	it('should not retry failed request by default', async function () {
+		const task = new TaskI();
+		const get = sinon.stub().rejects(serverError(503));
+		task._setTaskId('task-id');
+		task._setServer({ get });
+
+		await expect(task.details()).to.be.rejectedWith(ILoveApiError);
+		expect(get.calledOnce).to.be.true;
+	});
+
+	it('should retry network error and retryable status until succeed', async function () {
+		const task = createTask({ retries: 3 });
+		const get = sinon.stub();
+		get.onCall(0).rejects({ isAxiosError: true, request: {} });
+		get.onCall(1).rejects(serverError(503));
+		get.onCall(2).resolves({ data: { status: 'TaskSuccess' } });
+		task._setServer({ get });
+
+		await expect(task.details()).to.eventually.be.deep.equal({
+			status: 'TaskSuccess'
+		});
+		expect(get.callCount).to.be.equal(3);
+	});
+
+	it('should throw classified error when retries are exhausted', async function () {
+		const task = createTask({ retries: 2 });
+		const del = sinon.stub().rejects({ isAxiosError: true, request: {} });
+		task._setServer({ delete: del });
+
+		await expect(task.delete()).to.be.rejectedWith(NetworkError);
+		expect(del.callCount).to.be.equal(3);
+	});
+
+	it('should not retry status codes that are not listed on policy', async function () {
+		const task = createTask({ retries: 2 });
+		const get = sinon.stub().rejects(serverError(400));
+		task._setServer({ get });
+
+		await expect(task.details()).to.be.rejectedWith(ILoveApiError);
+		expect(get.calledOnce).to.be.true;
+
+		const retried = createTask({ retries: 2, statuses: [400] });
+		get.resetHistory();
+		retried._setServer({ get });
+
+		await expect(retried.details()).to.be.rejectedWith(ILoveApiError);
+		expect(get.callCount).to.be.equal(3);
+	});
+
+	it('should not retry process() unless explicitly opted in', async function () {
+		const task = createTask({ retries: 2 });
+		const post = sinon.stub().rejects(serverError(503));
+		task._setServer({ post });
+
+		await expect(task.process()).to.be.rejectedWith(ILoveApiError);
+		expect(post.calledOnce).to.be.true;
+
+		const optedIn = createTask({ retries: 2, methods: ['process'] });
+		post.resetHistory();
+		post.onCall(2).resolves({ data: { download_filename: 'lorem.jpg' } });
+		optedIn._setServer({ post });
+
+		await expect(optedIn.process()).to.eventually.be.deep.equal({
+			download_filename: 'lorem.jpg'
+		});
+		expect(post.callCount).to.be.equal(3);
+	});
+
+	it('should compute exponential backoff limited to max_delay', function () {
+		const policy = {
+			delay: 100,
+			factor: 2,
+			max_delay: 500,
+			jitter: false,
+			retry_after: true
+		};
+
+		expect(RetryUtils.getRetryDelay(0, policy)).to.be.equal(100);
+		expect(RetryUtils.getRetryDelay(1, policy)).to.be.equal(200);
+		expect(RetryUtils.getRetryDelay(2, policy)).to.be.equal(400);
+		expect(RetryUtils.getRetryDelay(3, policy)).to.be.equal(500);
+
+		sinon.stub(Math, 'random').returns(0.5);
+		expect(
+			RetryUtils.getRetryDelay(1, { ...policy, jitter: true })
+		).to.be.equal(150);
+	});
+
+	it('should honor Retry-After response header when enabled', function () {
+		const policy = {
+			delay: 100,
+			factor: 2,
+			max_delay: 5000,
+			jitter: false,
+			retry_after: true
+		};
+		const withRetryAfter = (value) =>
+			serverError(429, { 'retry-after': value });
+
+		expect(
+			RetryUtils.getRetryDelay(0, policy, withRetryAfter('2'))
+		).to.be.equal(2000);
+		expect(
+			RetryUtils.getRetryDelay(0, policy, withRetryAfter('60'))
+		).to.be.equal(5000);
+		expect(
+			RetryUtils.getRetryDelay(0, policy, withRetryAfter('lorem'))
+		).to.be.equal(100);
+		expect(
+			RetryUtils.getRetryDelay(
+				0,
+				{ ...policy, retry_after: false },
+				withRetryAfter('2')
+			)
+		).to.be.equal(100);
+
+		const clock = sinon.useFakeTimers(new Date('2025-01-01T00:00:00Z'));
+		expect(
+			RetryUtils.getRetryDelay(
+				0,
+				policy,
+				withRetryAfter('Wed, 01 Jan 2025 00:00:03 GMT')
+			)
+		).to.be.equal(3000);
+		clock.restore();
+	});
+});
+
+describe('ILoveIMGApi TaskI timeout and cancellation Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+
+	beforeEach(function () {
+		task = new TaskI();
+		task._setTaskId('task-id');
+		task._setTool('compressimage');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when timeout or signal options are invalid', async function () {
+		task._setServer({ get: async () => ({ data: {} }) });
+		task._setState('processed');
+
+		await expect(task.details({ timeout: -1 })).to.be.rejectedWith(ZodError);
+		await expect(task.details({ timeout: 'xyz' })).to.be.rejectedWith(ZodError);
+		await expect(task.details({ signal: {} })).to.be.rejectedWith(ZodError);
+		await expect(task.download({ signal: 'xyz' })).to.be.rejectedWith(ZodError);
+		expect(
+			() => new TaskI(undefined, undefined, 'compressimage', { timeout: -1 })
+		).to.throw(ZodError);
+	});
+
+	it('should forward timeout and signal to request config', async function () {
+		const controller = new AbortController();
+		const get = sinon.stub().resolves({ data: { status: 'TaskSuccess' } });
+		task._setServer({ get });
+		task._setState('processed');
+
+		await task.details({ timeout: 1000, signal: controller.signal });
+		await task.download({ timeout: 2000 });
+		await task.details();
+
+		expect(get.getCall(0).args[1]).to.be.deep.equal({
+			timeout: 1000,
+			signal: controller.signal
+		});
+		expect(get.getCall(1).args[1]).to.be.deep.equal({
+			timeout: 2000,
+			responseType: 'stream'
+		});
+		expect(get.getCall(2).args[1]).to.be.deep.equal({});
+	});
+
+	it('should not send timeout and signal on request body', async function () {
+		const controller = new AbortController();
+		const post = sinon.stub();
+		post.onCall(0).resolves({ data: { server_filename: 'ipsum.jpg' } });
+		post.onCall(1).resolves({ data: { download_filename: 'lorem.jpg' } });
+		task._setServer({ post });
+
+		await task.addFile({
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg',
+			timeout: 1000,
+			signal: controller.signal
+		});
+		await task.process({ timeout: 3000 });
+
+		expect(post.getCall(0).args[1]).to.be.deep.equal({
+			task: 'task-id',
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+		expect(post.getCall(0).args[2]).to.be.deep.equal({
+			timeout: 1000,
+			signal: controller.signal
+		});
+		expect(post.getCall(1).args[1]).to.not.have.any.keys('timeout', 'signal');
+		expect(post.getCall(1).args[2]).to.be.deep.equal({ timeout: 3000 });
+	});
+
+	it('should apply client timeout to assigned server created on start()', async function () {
+		const fixedServer = {
+			get: async () => ({
+				data: {
+					server: 'api8g.iloveimg.com',
+					task: 'task-id',
+					remaining_files: 2500
+				}
+			}),
+			defaults: { headers: {} }
+		};
+		const taskInstance = new TaskI(
+			{ getToken: async () => 'faketoken' },
+			fixedServer,
+			'compressimage',
+			{ timeout: 15000 }
+		);
+
+		await taskInstance.start();
+
+		expect(taskInstance.getServer().defaults.timeout).to.be.equal(15000);
+	});
+
+	it('should throw AbortError when call aborted', async function () {
+		const get = sinon.stub().rejects(new axios.CanceledError());
+		task._setServer({ get });
+
+		await expect(task.details()).to.be.rejectedWith(
+			AbortError,
+			'Request aborted.'
+		);
+	});
+
+	it('should stop retrying and throw AbortError when aborted while waiting next attempt', async function () {
+		const controller = new AbortController();
+		const retried = new TaskI(undefined, undefined, 'compressimage', {
+			retry: { retries: 3, delay: 60000 }
+		});
+		const get = sinon.stub().callsFake(async () => {
+			setTimeout(() => controller.abort(), 0);
+			throw { isAxiosError: true, request: {} };
+		});
+		retried._setTaskId('task-id');
+		retried._setServer({ get });
+
+		await expect(
+			retried.details({ signal: controller.signal })
+		).to.be.rejectedWith(AbortError);
+		expect(get.calledOnce).to.be.true;
+	});
+});
+
+describe('ILoveIMGApi TaskI transport Tests', function () {
+	const fixedServer = {
+		get: async () => ({
+			data: {
+				server: 'api8g.iloveimg.com',
+				task: 'task-id',
+				remaining_files: 2500
+			}
+		}),
+		defaults: { headers: {} }
+	};
+	const auth = { getToken: async () => 'faketoken' };
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when transport are invalid', function () {
+		const create = (transport) =>
+			new TaskI(auth, fixedServer, 'compressimage', { transport });
+
+		expect(() => create(null)).to.throw(ZodError);
+		expect(() => create({})).to.throw(ZodError);
+		expect(() => create({ axios: 'lorem' })).to.throw(ZodError);
+		expect(() => create({ fetch: {} })).to.throw(ZodError);
+		expect(() => create({ axios: () => {}, fetch: () => {} })).to.throw(
+			ZodError
+		);
+	});
+
+	it('should create assigned server using transport axios factory', async function () {
+		const instance = axios.create();
+		const factory = sinon.stub().returns(instance);
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			transport: { axios: factory },
+			timeout: 5000
+		});
+
+		await task.start();
+
+		expect(factory.calledOnce).to.be.true;
+		expect(factory.firstCall.args[0]).to.be.deep.equal({
+			baseURL: `${ILOVEIMG_API_URL_PROTOCOL}://api8g.iloveimg.com/${ILOVEIMG_API_VERSION}`,
+			timeout: 5000,
+			headers: {
+				'Content-Type': 'application/json;charset=UTF-8',
+				Authorization: 'Bearer faketoken'
+			}
+		});
+		expect(task.getServer()).to.be.equal(instance);
+	});
+
+	it('should use overridden protocol and version on assigned server', async function () {
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			protocol: 'http',
+			version: 'v2'
+		});
+
+		await task.start();
+
+		expect(task.getServer().defaults.baseURL).to.be.equal(
+			'http://api8g.iloveimg.com/v2'
+		);
+	});
+
+	it('should apply proxy and agents to assigned server', async function () {
+		const proxy = { protocol: 'http', host: 'proxy.company.com', port: 3128 };
+		const httpAgent = new http.Agent({ keepAlive: true });
+		const httpsAgent = new https.Agent({ keepAlive: true });
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			proxy,
+			http_agent: httpAgent,
+			https_agent: httpsAgent
+		});
+
+		await task.start();
+
+		const { defaults } = task.getServer();
+		expect(defaults.proxy).to.be.deep.equal(proxy);
+		expect(defaults.httpAgent).to.be.equal(httpAgent);
+		expect(defaults.httpsAgent).to.be.equal(httpsAgent);
+	});
+
+	it('should create https agent trusting ca on assigned server', async function () {
+		const ca = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----';
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			ca,
+			proxy: false,
+			transport: { axios: factory }
+		});
+
+		await task.start();
+
+		const config = factory.firstCall.args[0];
+		expect(config.proxy).to.be.false;
+		expect(config.httpsAgent).to.be.instanceOf(https.Agent);
+		expect(config.httpsAgent.options.ca).to.include(ca);
+		expect(config.httpsAgent.options.ca).to.include.members(
+			tls.rootCertificates
+		);
+
+		// Agent are reused on next task with the same ca.
+		await new TaskI(auth, fixedServer, 'compressimage', {
+			ca,
+			transport: { axios: factory }
+		}).start();
+		expect(factory.secondCall.args[0].httpsAgent).to.be.equal(
+			config.httpsAgent
+		);
+	});
+
+	it('should throw ZodError when proxy, agents or ca are invalid', function () {
+		const create = (params) =>
+			new TaskI(auth, fixedServer, 'compressimage', params);
+
+		expect(() => create({ proxy: true })).to.throw(ZodError);
+		expect(() => create({ proxy: { host: 'proxy.company.com' } })).to.throw(
+			ZodError
+		);
+		expect(() =>
+			create({ proxy: { host: 'proxy.company.com', port: 70000 } })
+		).to.throw(ZodError);
+		expect(() => create({ http_agent: {} })).to.throw(ZodError);
+		expect(() => create({ https_agent: 'agent' })).to.throw(ZodError);
+		expect(() => create({ ca: [] })).to.throw(ZodError);
+		expect(() =>
+			create({ ca: 'some-ca', https_agent: new https.Agent() })
+		).to.throw(ZodError);
+	});
+
+	it('should throw Error when transport axios factory does not return AxiosInstance', async function () {
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			transport: { axios: () => ({}) }
+		});
+
+		await expect(task.start()).to.be.rejectedWith(
+			Error,
+			'Transport axios factory must return an AxiosInstance.'
+		);
+	});
+
+	it('should send requests through transport fetch function', async function () {
+		const fetchFn = sinon.stub().callsFake(async (url, init) => {
+			if (url.endsWith('/upload')) {
+				return Response.json({ server_filename: 'lorem.jpg' });
+			}
+			if (url.includes('/download/')) {
+				return new Response('processed-image', {
+					headers: { 'content-type': 'image/jpeg' }
+				});
+			}
+			if (init.method === 'DELETE') {
+				return Response.json(
+					{ error: { message: 'Task not found', code: 404 } },
+					{ status: 404 }
+				);
+			}
+		});
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			transport: { fetch: fetchFn }
+		});
+
+		await task.start();
+		await expect(
+			task.addFile({
+				cloud_file: 'https://i.imgur.com/awesome.jpeg',
+				filename: 'awesome.jpeg'
+			})
+		).to.eventually.be.deep.equal({ server_filename: 'lorem.jpg' });
+		task._setState('processed');
+		await expect(task.downloadBuffer()).to.eventually.be.deep.equal(
+			Buffer.from('processed-image')
+		);
+		await expect(task.delete()).to.be.rejectedWith(
+			ILoveApiError,
+			'Task not found (Status: 404, Code: 404)'
+		);
+
+		const [url, init] = fetchFn.firstCall.args;
+		expect(url).to.be.equal(
+			`${ILOVEIMG_API_URL_PROTOCOL}://api8g.iloveimg.com/${ILOVEIMG_API_VERSION}/upload`
+		);
+		expect(init.method).to.be.equal('POST');
+		expect(init.headers).to.include({ Authorization: 'Bearer faketoken' });
+		expect(JSON.parse(init.body)).to.be.deep.equal({
+			task: 'task-id',
+			cloud_file: 'https://i.imgur.com/awesome.jpeg',
+			filename: 'awesome.jpeg'
+		});
+	});
+
+	it('should classify transport fetch failures into NetworkError and AbortError', async function () {
+		const controller = new AbortController();
+		const fetchFn = sinon.stub();
+		fetchFn.onCall(0).rejects(new TypeError('fetch failed'));
+		fetchFn.onCall(1).callsFake(
+			(url, init) =>
+				new Promise((resolve, reject) => {
+					init.signal.addEventListener('abort', () =>
+						reject(new DOMException('Aborted', 'AbortError'))
+					);
+					controller.abort();
+				})
+		);
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			transport: { fetch: fetchFn }
+		});
+
+		await task.start();
+		await expect(task.details()).to.be.rejectedWith(NetworkError);
+		await expect(
+			task.details({ signal: controller.signal })
+		).to.be.rejectedWith(AbortError);
+	});
+});
+
+describe('ILoveIMGApi TaskI strict mode Tests', function () {
+	const createTask = (strict) => {
+		const task = new TaskI(undefined, undefined, 'compressimage', { strict });
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+
+		return task;
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when strict are invalid', function () {
+		expect(
+			() => new TaskI(undefined, undefined, 'compressimage', { strict: 1 })
+		).to.throw(ZodError);
+	});
+
+	it('should not validate responses by default', async function () {
+		const task = createTask();
+		task._setServer({
+			get: sinon.stub().resolves({ data: { status: 'Lorem' } }),
+			post: sinon.stub().resolves({ data: { status: 'Lorem' } })
+		});
+
+		await expect(task.details()).to.eventually.be.deep.equal({
+			status: 'Lorem'
+		});
+		await expect(task.process()).to.eventually.be.deep.equal({
+			status: 'Lorem'
+		});
+	});
+
+	it('should throw ResponseValidationError carrying raw body on unexpected response', async function () {
+		const task = createTask(true);
+		const body = { status: 'Lorem', status_message: 'Lorem' };
+		task._setServer({
+			get: sinon.stub().resolves({ data: body }),
+			post: sinon.stub().resolves({ data: body })
+		});
+
+		const error = await expect(task.details()).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /task/task-id: status:'
+		);
+		expect(error.body).to.be.equal(body);
+		expect(error.issues[0].path).to.be.deep.equal(['status']);
+		await expect(task.process()).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /process'
+		);
+		await expect(
+			task.addFile({
+				cloud_file: 'https://i.imgur.com/awesome.jpeg',
+				filename: 'awesome.jpeg'
+			})
+		).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /upload: server_filename: Required'
+		);
+	});
+
+	it('should validate start() response using task attribute as task id', async function () {
+		const response = { server: 'api8g.iloveimg.com', remaining_files: 250 };
+		const fixedServer = {
+			defaults: { headers: {} },
+			get: sinon.stub().resolves({ data: response })
+		};
+		const auth = { getToken: sinon.stub().resolves('token') };
+		const task = new TaskI(auth, fixedServer, 'compressimage', {
+			strict: true
+		});
+
+		await expect(task.start()).to.be.rejectedWith(
+			ResponseValidationError,
+			'Invalid response from /start/compressimage: task_id: Required'
+		);
+
+		fixedServer.get.resolves({ data: { ...response, task: 'task-id' } });
+		await expect(task.start()).to.eventually.be.deep.equal({
+			...response,
+			task_id: 'task-id'
+		});
+	});
+
+	it('should skip validation on debug mode', async function () {
+		const task = createTask(true);
+		task._setServer({
+			get: sinon.stub().resolves({ data: { debug: true } })
+		});
+
+		await expect(task.details({ debug: true })).to.eventually.be.deep.equal({
+			debug: true
+		});
+	});
+});
+
+describe('ILoveIMGApi TaskI hooks Tests', function () {
+	const createTask = (hooks, retry = {}) => {
+		const task = new TaskI(undefined, undefined, 'compressimage', {
+			hooks,
+			retry: { delay: 0, jitter: false, ...retry }
+		});
+		task._setTaskId('task-id');
+		task._setUploadedFiles([
+			{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }
+		]);
+
+		return task;
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when hooks are invalid', function () {
+		const create = (hooks) =>
+			new TaskI(undefined, undefined, 'compressimage', { hooks });
+
+		expect(() => create(null)).to.throw(ZodError);
+		expect(() => create({ onRequest: 'lorem' })).to.throw(ZodError);
+		expect(() => create({ onLorem: () => {} })).to.throw(ZodError);
+	});
+
+	it('should call onRequest and onResponse with request information', async function () {
+		const hooks = { onRequest: sinon.spy(), onResponse: sinon.spy() };
+		const task = createTask(hooks);
+		task._setServer({
+			post: sinon.stub().resolves({ status: 200, data: { status: 'ok' } })
+		});
+
+		await task.process({}, { compression_level: 'extreme' });
+
+		expect(hooks.onRequest.calledOnce).to.be.true;
+		expect(hooks.onRequest.firstCall.args[0]).to.be.deep.equal({
+			method: 'process',
+			attempt: 0,
+			tool: 'compressimage',
+			task_id: 'task-id',
+			http_method: 'POST',
+			endpoint: '/process',
+			data: {
+				task: 'task-id',
+				tool: 'compressimage',
+				files: [{ server_filename: 'lorem.jpg', filename: 'awesome.jpeg' }],
+				ignore_errors: true,
+				try_image_repair: true,
+				compression_level: 'extreme'
+			}
+		});
+		expect(hooks.onResponse.calledOnce).to.be.true;
+		const response = hooks.onResponse.firstCall.args[0];
+		expect(response.status).to.be.equal(200);
+		expect(response.duration).to.be.a('number');
+	});
+
+	it('should call onError and onRetry with redacted error on each failed attempt', async function () {
+		const hooks = {
+			onRequest: sinon.spy(),
+			onError: sinon.spy(),
+			onRetry: sinon.spy()
+		};
+		const task = createTask(hooks, { retries: 1 });
+		const get = sinon.stub();
+		get.onCall(0).rejects({
+			isAxiosError: true,
+			name: 'AxiosError',
+			message: 'Request failed with status code 503',
+			code: 'ERR_BAD_RESPONSE',
+			config: { headers: { Authorization: 'Bearer secret-token' } },
+			response: { status: 503, headers: {}, data: {} }
+		});
+		get.onCall(1).resolves({ status: 200, data: { status: 'TaskSuccess' } });
+		task._setServer({ get });
+
+		await task.details();
+
+		expect(hooks.onRequest.callCount).to.be.equal(2);
+		expect(hooks.onRequest.secondCall.args[0].attempt).to.be.equal(1);
+		expect(hooks.onError.calledOnce).to.be.true;
+		const failure = hooks.onError.firstCall.args[0];
+		expect(failure).to.include({
+			method: 'details',
+			endpoint: '/task/task-id',
+			status: 503
+		});
+		expect(failure.error).to.be.deep.equal({
+			name: 'AxiosError',
+			message: 'Request failed with status code 503',
+			code: 'ERR_BAD_RESPONSE'
+		});
+		expect(JSON.stringify(failure)).to.not.include('secret-token');
+		expect(hooks.onRetry.calledOnce).to.be.true;
+		expect(hooks.onRetry.firstCall.args[0].delay).to.be.equal(0);
+	});
+
+	it('should call hooks on each chunk upload attempt', async function () {
+		sinon.stub(TaskI, 'CHUNK_RETRY_DELAY').value(0);
+		const hooks = { onRequest: sinon.spy(), onRetry: sinon.spy() };
+		const task = createTask(hooks);
+		const post = sinon.stub();
+		post.onCall(0).rejects({ isAxiosError: true, request: {} });
+		post.resolves({ data: { server_filename: 'lorem.jpg' } });
+		task._setServer({ post });
+
+		await task.addFile({
+			file: Buffer.from('abcdefgh'),
+			filename: 'awesome.jpeg',
+			chunk_size: 4
+		});
+
+		expect(hooks.onRequest.callCount).to.be.equal(3);
+		expect(
+			hooks.onRequest
+				.getCalls()
+				.map(({ args }) => [args[0].data.chunk, args[0].attempt])
+		).to.be.deep.equal([
+			[0, 0],
+			[0, 1],
+			[1, 0]
+		]);
+		expect(hooks.onRetry.calledOnce).to.be.true;
+		expect(hooks.onRetry.firstCall.args[0]).to.include({
+			method: 'addFile',
+			endpoint: '/upload',
+			attempt: 0
+		});
+		expect(hooks.onRetry.firstCall.args[0]).to.not.have.property('hooks');
+	});
+
+	it('should ignore errors thrown by hooks', async function () {
+		const task = createTask({
+			onRequest: () => {
+				throw new Error('Hook error');
+			},
+			onResponse: async () => {
+				throw new Error('Hook error');
+			}
+		});
+		task._setServer({
+			get: sinon.stub().resolves({ data: { status: 'TaskSuccess' } })
+		});
+
+		await expect(task.details()).to.eventually.be.deep.equal({
+			status: 'TaskSuccess'
+		});
+	});
+});
+
+describe('ILoveIMGApi TaskI tracing Tests', function () {
+	const fixedServer = {
+		get: async () => ({
+			data: {
+				server: 'api8g.iloveimg.com',
+				task: 'task-id',
+				remaining_files: 2500
+			}
+		}),
+		defaults: { headers: {} }
+	};
+	const auth = { getToken: async () => 'faketoken' };
+
+	/**
+	 * Creates minimal OpenTelemetry tracer that records created spans.
+	 */
+	const createTracer = () => {
+		const spans = [];
+
+		return {
+			spans,
+			startActiveSpan: (name, options, fn) => {
+				const span = {
+					name,
+					kind: options.kind,
+					attributes: { ...options.attributes },
+					setAttributes(attributes) {
+						Object.assign(this.attributes, attributes);
+					},
+					recordException: sinon.spy(),
+					setStatus: sinon.spy(),
+					end: sinon.spy()
+				};
+				spans.push(span);
+
+				return fn(span);
+			}
+		};
+	};
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw ZodError when tracer are invalid', function () {
+		const create = (tracer) =>
+			new TaskI(auth, fixedServer, 'compressimage', { tracer });
+
+		expect(() => create(null)).to.throw(ZodError);
+		expect(() => create({})).to.throw(ZodError);
+		expect(() => create({ startActiveSpan: 'lorem' })).to.throw(ZodError);
+	});
+
+	it('should create spans with task lifecycle attributes', async function () {
+		const tracer = createTracer();
+		const task = new TaskI(auth, fixedServer, 'compressimage', { tracer });
+
+		await task.start();
+		task._setServer({
+			post: sinon.stub().callsFake(async (endpoint) =>
+				endpoint === '/upload'
+					? { data: { server_filename: 'lorem.jpg' } }
+					: {
+							data: { filesize: 8, output_filesize: 4, output_filenumber: 1 }
+						}
+			),
+			get: sinon.stub().resolves({
+				data: Readable.from([]),
+				headers: { 'content-length': '4' }
+			}),
+			delete: sinon.stub().resolves({ data: {} })
+		});
+		await task.addFile({ file: Buffer.from('abcdefgh'), filename: 'a.jpg' });
+		await task.process();
+		await task.download();
+		await task.delete();
+
+		expect(tracer.spans.map(({ name }) => name)).to.be.deep.equal([
+			'iloveimg.start',
+			'iloveimg.addFile',
+			'iloveimg.process',
+			'iloveimg.download',
+			'iloveimg.delete'
+		]);
+		const [start, addFile, process, download, remove] = tracer.spans;
+		expect(start.kind).to.be.equal(2);
+		expect(start.attributes).to.be.deep.equal({
+			'iloveimg.tool': 'compressimage',
+			'iloveimg.task_id': 'task-id',
+			'iloveimg.server': 'api8g.iloveimg.com',
+			'iloveimg.remaining_files': 2500
+		});
+		expect(addFile.attributes).to.be.deep.equal({
+			'iloveimg.tool': 'compressimage',
+			'iloveimg.task_id': 'task-id',
+			'iloveimg.bytes': 8,
+			'iloveimg.file_count': 1
+		});
+		expect(process.attributes).to.be.deep.equal({
+			'iloveimg.tool': 'compressimage',
+			'iloveimg.task_id': 'task-id',
+			'iloveimg.file_count': 1,
+			'iloveimg.bytes': 8,
+			'iloveimg.output_bytes': 4,
+			'iloveimg.output_file_count': 1
+		});
+		expect(download.attributes['iloveimg.bytes']).to.be.equal(4);
+		expect(remove.attributes['iloveimg.task_id']).to.be.equal('task-id');
+		for (const span of tracer.spans) {
+			expect(span.end.calledOnce).to.be.true;
+			expect(span.setStatus.called).to.be.false;
+		}
+	});
+
+	it('should mark span as error and record exception when method failed', async function () {
+		const tracer = createTracer();
+		const task = new TaskI(auth, fixedServer, 'compressimage', { tracer });
+		task._setTaskId('task-id');
+		task._setServer({
+			delete: sinon.stub().rejects({ isAxiosError: true, request: {} })
+		});
+
+		await expect(task.delete()).to.be.rejectedWith(NetworkError);
+
+		const [span] = tracer.spans;
+		expect(span.recordException.firstCall.args[0]).to.be.instanceOf(
+			NetworkError
+		);
+		expect(span.setStatus.firstCall.args[0]).to.be.deep.equal({
+			code: 2,
+			message: 'No response received from the server.'
+		});
+		expect(span.end.calledOnce).to.be.true;
+	});
+});
+
+describe('ILoveIMGApi TaskI.details() Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+
+	beforeEach(function () {
+		task = new TaskI();
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw Error when task id or server are not exist', async function () {
+		// This test ensure start() are initiated first before getting task information using details()
+		await expect(task.details()).to.be.rejectedWith(
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+	});
+
+	it('should throw ZodError when some attribute of options param are invalid', async function () {
+		task._setTaskId('fake-taskid');
+		task._setServer({
+			get: async () => ({
+				data: 'processedfile'
+			})
+		});
+
+		// Expect ZodError when type of options itself invalid.
+		await expect(task.details(null)).to.be.rejectedWith(ZodError);
+		await expect(task.details(1)).to.be.rejectedWith(ZodError);
+		await expect(task.details('lorem')).to.be.rejectedWith(ZodError);
+		await expect(task.details(false)).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when some attribute of options are invalid.
+		await expect(task.details({ debug: null })).to.be.rejectedWith(ZodError);
+		await expect(task.details({ debug: 1 })).to.be.rejectedWith(ZodError);
+		await expect(task.details({ debug: 'xyz' })).to.be.rejectedWith(ZodError);
+		await expect(task.details({ debug: {} })).to.be.rejectedWith(ZodError);
+	});
+
+	it('should catch generic Error then rethrown error with classifyError()', async function () {
+		const setup = {
+			task_id: 'fake-taskid',
+			server: {
+				get: async () => {
+					throw new Error('Simulating generic error');
+				}
+			}
+		};
+
+		task._setTaskId(setup.task_id);
+		task._setServer(setup.server);
+
+		const serverSpy = sinon.spy(setup.server, 'get');
+
+		await expect(task.details()).to.be.rejectedWith(
+			Error,
+			'Simulating generic error'
+		);
+		expect(serverSpy.calledOnce).to.be.true;
+		expect(serverSpy.firstCall.args[0]).to.be.equal(`/task/${setup.task_id}`);
+	});
+
+	it('should catch NetworkError then rethrown error with classifyError()', async function () {
+		const setup = {
+			task_id: 'fake-taskid',
+			server: [
+				{
+					get: async () => {
+						throw {
+							isAxiosError: true,
+							request: {}
+						};
+					}
 				},
 				{
 					get: async () => {
@@ -1540,6 +3836,226 @@ describe('ILoveIMGApi TaskI.details() Tests', function () {
 	});
 });
 
+describe('ILoveIMGApi TaskI.fileReport() Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+	const details = {
+		status: 'TaskSuccessWithWarnings',
+		status_message: 'Completed with warnings',
+		files: [
+			{
+				server_filename: 'server1.jpg',
+				filename: 'processed1.jpg',
+				status: 'FileSuccess',
+				status_message: 'Completed',
+				filesize: 100,
+				output_filesize: 80
+			},
+			{
+				server_filename: 'server2.jpg',
+				filename: 'processed2.jpg',
+				status: 'DamagedFile',
+				status_message: 'Image are damaged',
+				filesize: 200
+			}
+		]
+	};
+
+	beforeEach(function () {
+		task = new TaskI();
+		task._setTaskId('fake-taskid');
+		task._setServer({ get: sinon.stub().resolves({ data: details }) });
+		task._setUploadedFiles([
+			{ server_filename: 'server1.jpg', filename: 'awesome.jpeg' },
+			{ server_filename: 'server2.jpg', filename: 'broken.jpeg' },
+			{ server_filename: 'server3.jpg', filename: 'pending.jpeg' }
+		]);
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw TaskStateError when task id or server are not exist', async function () {
+		await expect(new TaskI().fileReport()).to.be.rejectedWith(
+			TaskStateError,
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+	});
+
+	it('should throw ZodError when options are invalid', async function () {
+		await expect(task.fileReport(null)).to.be.rejectedWith(ZodError);
+		await expect(
+			task.fileReport({ throw_on_failure: 'yes' })
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should join task details files with uploaded files', async function () {
+		const report = await task.fileReport();
+
+		expect(report.status).to.be.equal('TaskSuccessWithWarnings');
+		expect(report.has_warnings).to.be.true;
+		expect(report.files).to.have.lengthOf(3);
+		expect(report.files[0]).to.include({
+			filename: 'awesome.jpeg',
+			server_filename: 'server1.jpg',
+			status: 'FileSuccess',
+			output_filesize: 80,
+			failed: false
+		});
+		expect(report.files[2]).to.be.deep.equal({
+			filename: 'pending.jpeg',
+			server_filename: 'server3.jpg',
+			failed: false
+		});
+		expect(report.failed_files).to.have.lengthOf(1);
+		expect(report.failed_files[0]).to.include({
+			filename: 'broken.jpeg',
+			status: 'DamagedFile',
+			status_message: 'Image are damaged',
+			filesize: 200,
+			failed: true
+		});
+	});
+
+	it('should throw PartialFailureError listing failed files when throw_on_failure enabled', async function () {
+		const error = await expect(
+			task.fileReport({ throw_on_failure: true })
+		).to.be.rejectedWith(
+			PartialFailureError,
+			'1 of 3 files failed to process: broken.jpeg (DamagedFile).'
+		);
+		expect(error.files).to.be.deep.equal(error.report.failed_files);
+		expect(error.report.files).to.have.lengthOf(3);
+
+		task._setServer({
+			get: sinon.stub().resolves({
+				data: { ...details, status: 'TaskSuccess', files: [details.files[0]] }
+			})
+		});
+		const report = await task.fileReport({ throw_on_failure: true });
+		expect(report.has_warnings).to.be.false;
+		expect(report.failed_files).to.be.empty;
+	});
+});
+
+describe('ILoveIMGApi TaskI.waitForCompletion() Tests', function () {
+	let task = /** @type {TaskI} */ (undefined);
+
+	beforeEach(function () {
+		task = new TaskI();
+		task._setTaskId('fake-taskid');
+	});
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should throw Error when task id or server are not exist', async function () {
+		await expect(new TaskI().waitForCompletion()).to.be.rejectedWith(
+			'You need to retrieve task id and assigned server first using start() method.'
+		);
+	});
+
+	it('should throw ZodError when some attribute of options param are invalid', async function () {
+		task._setServer({ get: sinon.stub() });
+
+		await expect(task.waitForCompletion(null)).to.be.rejectedWith(ZodError);
+		await expect(task.waitForCompletion({ interval: 0 })).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(task.waitForCompletion({ factor: 0.5 })).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(
+			task.waitForCompletion({ max_interval: -1 })
+		).to.be.rejectedWith(ZodError);
+		await expect(task.waitForCompletion({ timeout: 'x' })).to.be.rejectedWith(
+			ZodError
+		);
+		await expect(task.waitForCompletion({ signal: {} })).to.be.rejectedWith(
+			ZodError
+		);
+	});
+
+	it('should poll task details with backoff until terminal status', async function () {
+		const waitSpy = sinon.spy(RetryUtils, 'wait');
+		const get = sinon.stub();
+		get.onCall(0).resolves({ data: { status: 'TaskWaiting' } });
+		get.onCall(1).resolves({ data: { status: 'TaskProcessing' } });
+		get.onCall(2).resolves({ data: { status: 'TaskProcessing' } });
+		get.onCall(3).resolves({
+			data: { status: 'TaskSuccessWithWarnings', status_message: 'Done' }
+		});
+		task._setServer({ get });
+
+		await expect(
+			task.waitForCompletion({ interval: 2, factor: 2, max_interval: 5 })
+		).to.eventually.be.deep.equal({
+			status: 'TaskSuccessWithWarnings',
+			status_message: 'Done'
+		});
+		expect(get.callCount).to.be.equal(4);
+		expect(get.firstCall.args[0]).to.be.equal('/task/fake-taskid');
+		expect(waitSpy.getCalls().map(({ args }) => args[0])).to.be.deep.equal([
+			2, 4, 5
+		]);
+	});
+
+	it('should resolve immediately on each terminal status', async function () {
+		for (const status of [
+			'TaskSuccess',
+			'TaskSuccessWithWarnings',
+			'TaskError',
+			'TaskDeleted',
+			'TaskNotFound'
+		]) {
+			const get = sinon.stub().resolves({ data: { status } });
+			task._setServer({ get });
+
+			await expect(task.waitForCompletion()).to.eventually.be.deep.equal({
+				status
+			});
+			expect(get.calledOnce).to.be.true;
+		}
+	});
+
+	it('should throw Error when task not completed within timeout', async function () {
+		const get = sinon.stub().resolves({ data: { status: 'TaskProcessing' } });
+		task._setServer({ get });
+
+		await expect(
+			task.waitForCompletion({ interval: 5, timeout: 30 })
+		).to.be.rejectedWith(Error, 'Task not completed within 30ms.');
+		expect(get.callCount).to.be.greaterThan(1);
+	});
+
+	it('should throw AbortError when signal aborted while waiting', async function () {
+		const controller = new AbortController();
+		const get = sinon.stub().callsFake(async () => {
+			setTimeout(() => controller.abort(), 5);
+			return { data: { status: 'TaskProcessing' } };
+		});
+		task._setServer({ get });
+
+		await expect(
+			task.waitForCompletion({ interval: 1000, signal: controller.signal })
+		).to.be.rejectedWith(AbortError);
+		expect(get.calledOnce).to.be.true;
+
+		await expect(
+			task.waitForCompletion({ signal: controller.signal })
+		).to.be.rejectedWith(AbortError);
+	});
+
+	it('should rethrow classified error when polling failed', async function () {
+		task._setServer({
+			get: sinon.stub().rejects({ isAxiosError: true, request: {} })
+		});
+
+		await expect(task.waitForCompletion()).to.be.rejectedWith(NetworkError);
+	});
+});
+
 describe('ILoveIMGApi TaskI.delete() Tests', function () {
 	let task = /** @type {TaskI} */ (undefined);
 
@@ -1885,6 +4401,150 @@ describe('ILoveIMGApi TaskI.process() Tests', function () {
 		).to.be.rejectedWith(ZodError);
 	});
 
+	it('should throw ZodError when some attribute of compressimage toolOptions are invalid', async function () {
+		// Use internal method to override private field
+		task._setTaskId('stubed-task_id');
+		task._setServer('stubed-server');
+		task._setUploadedFiles([
+			{
+				server_filename: 'loremipsumdolorsitamet.jpg',
+				filename: 'lorem.jpg'
+			}
+		]);
+		task._setTool('compressimage');
+
+		// Expect ZodError when type of toolOptions itself are invalid.
+		await expect(task.process(undefined, null)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 1)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 'lorem')).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, false)).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when some attribute of compressimage toolOptions are invalid.
+		await expect(
+			task.process(undefined, { compression_level: 'ultra' })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { compression_level: 1 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { compression_level: null })
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should throw ZodError when some attribute of cropimage toolOptions are invalid', async function () {
+		// Use internal method to override private field
+		task._setTaskId('stubed-task_id');
+		task._setServer('stubed-server');
+		task._setUploadedFiles([
+			{
+				server_filename: 'loremipsumdolorsitamet.jpg',
+				filename: 'lorem.jpg'
+			}
+		]);
+		task._setTool('cropimage');
+
+		// Expect ZodError when type of toolOptions itself are invalid.
+		await expect(task.process(undefined, null)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 1)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 'lorem')).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, {})).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when some attribute of cropimage toolOptions are invalid.
+		await expect(
+			task.process(undefined, { width: 0, height: 100 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { width: 100, height: -1 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { width: 100, height: 100, x: -10 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { width: 100, height: 100, y: '20' })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { width: 100.5, height: 100 })
+		).to.be.rejectedWith(ZodError);
+	});
+
+	it('should throw ZodError when some attribute of resizeimage toolOptions are invalid', async function () {
+		// Use internal method to override private field
+		task._setTaskId('stubed-task_id');
+		task._setServer('stubed-server');
+		task._setUploadedFiles([
+			{
+				server_filename: 'loremipsumdolorsitamet.jpg',
+				filename: 'lorem.jpg'
+			}
+		]);
+		task._setTool('resizeimage');
+
+		// Expect ZodError when type of toolOptions itself are invalid.
+		await expect(task.process(undefined, null)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 1)).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, 'lorem')).to.be.rejectedWith(ZodError);
+
+		await expect(task.process(undefined, {})).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when resize_mode are invalid.
+		await expect(
+			task.process(undefined, { resize_mode: 'inches', percentage: 50 })
+		).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when pixels mode missing its required attribute.
+		await expect(
+			task.process(undefined, { resize_mode: 'pixels', pixels_width: 300 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { resize_mode: 'pixels', percentage: 50 })
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, {
+				resize_mode: 'pixels',
+				pixels_width: 0,
+				pixels_height: 300
+			})
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, {
+				resize_mode: 'pixels',
+				pixels_width: 300,
+				pixels_height: 300,
+				maintain_ratio: 'yes'
+			})
+		).to.be.rejectedWith(ZodError);
+
+		// Expect ZodError when percentage mode missing its required attribute.
+		await expect(
+			task.process(undefined, {
+				resize_mode: 'percentage',
+				pixels_width: 300,
+				pixels_height: 300
+			})
+		).to.be.rejectedWith(ZodError);
+
+		await expect(
+			task.process(undefined, { resize_mode: 'percentage', percentage: -5 })
+		).to.be.rejectedWith(ZodError);
+	});
+
 	it('should throw ZodError when some attribute of upscaleimage toolOptions are invalid', async function () {
 		// Use internal method to override private field
 		task._setTaskId('stubed-task_id');
@@ -0,0 +1,396 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import axios from 'axios';
+import http from 'node:http';
+import { ZodError } from 'zod';
+import Task from '../src/Task.js';
+import { WebhookVerificationError } from '../src/Error.js';
+import {
+	parseWebhook,
+	verifyWebhook,
+	createWebhookHandler
+} from '../src/Webhook.js';
+
+use(chaiAsPromised);
+
+/**
+ * Creates fetch stub that resolves task details response with given status.
+ */
+const createFetch = (body, status = 200) =>
+	sinon.stub().callsFake(
+		async () =>
+			new Response(JSON.stringify(body), {
+				status,
+				headers: { 'Content-Type': 'application/json' }
+			})
+	);
+
+const payload = {
+	event: 'task.completed',
+	data: {
+		task: {
+			tool: 'compressimage',
+			process_start: '2025-02-04 09:36:45',
+			status: 'TaskSuccess',
+			status_message: 'Completed',
+			timer: '0.443',
+			filesize: 34508,
+			output_filesize: 30000,
+			output_filenumber: 1,
+			output_extensions: '["jpg"]',
+			server: 'api8g.iloveimg.com',
+			task: 'task-id',
+			file_number: '1',
+			download_filename: 'awesome.jpg'
+		}
+	}
+};
+
+describe('ILoveIMGApi parseWebhook() Tests', function () {
+	it('should parse object, JSON string and Buffer body', function () {
+		for (const body of [
+			payload,
+			JSON.stringify(payload),
+			Buffer.from(JSON.stringify(payload))
+		]) {
+			const event = parseWebhook(body);
+
+			expect(event).to.include({
+				event: 'task.completed',
+				task_id: 'task-id',
+				server: 'api8g.iloveimg.com',
+				tool: 'compressimage',
+				status: 'TaskSuccess'
+			});
+			expect(event.details.task_id).to.be.equal('task-id');
+			expect(event.details.output_filesize).to.be.equal(30000);
+			expect(event.task).to.be.undefined;
+		}
+	});
+
+	it('should throw Error when raw body are not a valid JSON', function () {
+		expect(() => parseWebhook('lorem')).to.throw(
+			Error,
+			'Webhook body must be a valid JSON.'
+		);
+	});
+
+	it('should throw ZodError when payload or options are invalid', function () {
+		expect(() => parseWebhook(null)).to.throw(ZodError);
+		expect(() => parseWebhook({})).to.throw(ZodError);
+		expect(() => parseWebhook({ event: 'task.completed', data: {} })).to.throw(
+			ZodError
+		);
+		expect(() =>
+			parseWebhook({
+				...payload,
+				data: { task: { ...payload.data.task, status: 'Lorem' } }
+			})
+		).to.throw(ZodError);
+		expect(() => parseWebhook(payload, { publicKey: 1 })).to.throw(ZodError);
+	});
+
+	it('should include Task instance when publicKey provided', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+		const event = parseWebhook(payload, {
+			publicKey: 'publicKey',
+			secretKey: 'secretKey',
+			params: { transport: { axios: factory } }
+		});
+
+		expect(event.task).to.be.instanceOf(Task);
+		expect(factory.lastCall.args[0].baseURL).to.include('api8g.iloveimg.com');
+
+		// Task instance are not created without task id or server.
+		const { server, ...task } = payload.data.task;
+		expect(server).to.be.a('string');
+		expect(
+			parseWebhook({ ...payload, data: { task } }, { publicKey: 'publicKey' })
+				.task
+		).to.be.undefined;
+	});
+
+	it('should throw WebhookVerificationError when task server are not trusted', function () {
+		const factory = sinon.stub().callsFake((config) => axios.create(config));
+		const hostile = {
+			...payload,
+			data: { task: { ...payload.data.task, server: 'attacker.example' } }
+		};
+
+		expect(() =>
+			parseWebhook(hostile, {
+				publicKey: 'publicKey',
+				secretKey: 'secretKey',
+				params: { transport: { axios: factory } }
+			})
+		).to.throw(
+			WebhookVerificationError,
+			'Webhook task server attacker.example are not trusted'
+		);
+		expect(() => parseWebhook(hostile)).to.throw(WebhookVerificationError);
+		expect(factory.called).to.be.false;
+
+		// Server with protocol or path are rejected by payload schema.
+		expect(() =>
+			parseWebhook({
+				...payload,
+				data: {
+					task: { ...payload.data.task, server: 'https://attacker.example' }
+				}
+			})
+		).to.throw(ZodError);
+
+		// Configured base_url and trusted_servers are accepted.
+		expect(
+			parseWebhook(hostile, { params: { base_url: 'attacker.example' } }).server
+		).to.be.equal('attacker.example');
+		expect(
+			parseWebhook(hostile, {
+				params: { base_url: 'https://attacker.example/iloveimg' }
+			}).server
+		).to.be.equal('attacker.example');
+		expect(
+			parseWebhook(hostile, {
+				params: { trusted_servers: ['ATTACKER.example'] }
+			}).server
+		).to.be.equal('attacker.example');
+	});
+});
+
+describe('ILoveIMGApi verifyWebhook() Tests', function () {
+	const details = { ...payload.data.task, task_id: 'task-id' };
+	delete details.task;
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	it('should resolve event confirmed through base_url', async function () {
+		const fetch = createFetch({
+			...details,
+			status: 'TaskSuccessWithWarnings'
+		});
+		const event = await verifyWebhook(payload, {
+			publicKey: 'publicKey',
+			secretKey: 'secretKey',
+			params: { transport: { fetch } }
+		});
+
+		expect(fetch.calledOnce).to.be.true;
+		expect(fetch.firstCall.args[0]).to.be.equal(
+			'https://api.ilovepdf.com/v1/task/task-id'
+		);
+		expect(event.status).to.be.equal('TaskSuccessWithWarnings');
+		expect(event.details.task_id).to.be.equal('task-id');
+		expect(event.task).to.be.instanceOf(Task);
+	});
+
+	it('should throw WebhookVerificationError when task cannot be confirmed', async function () {
+		const options = { publicKey: 'publicKey', secretKey: 'secretKey' };
+
+		await expect(
+			verifyWebhook(payload, {
+				...options,
+				params: {
+					transport: { fetch: createFetch({ error: { code: 404 } }, 404) }
+				}
+			})
+		).to.be.rejectedWith(
+			WebhookVerificationError,
+			'Webhook task task-id are not found on this project.'
+		);
+
+		await expect(
+			verifyWebhook(payload, {
+				...options,
+				params: {
+					transport: {
+						fetch: createFetch({ ...details, server: 'api1.iloveimg.com' })
+					}
+				}
+			})
+		).to.be.rejectedWith(
+			WebhookVerificationError,
+			'Webhook task task-id does not match its task details.'
+		);
+
+		const { task, ...withoutTaskId } = payload.data.task;
+		expect(task).to.be.a('string');
+		await expect(
+			verifyWebhook({ ...payload, data: { task: withoutTaskId } }, options)
+		).to.be.rejectedWith(
+			WebhookVerificationError,
+			'Webhook event does not include task id.'
+		);
+	});
+
+	it('should throw ZodError when publicKey are missing', async function () {
+		await expect(verifyWebhook(payload)).to.be.rejectedWith(ZodError);
+		await expect(verifyWebhook(payload, {})).to.be.rejectedWith(ZodError);
+	});
+});
+
+describe('ILoveIMGApi createWebhookHandler() Tests', function () {
+	let server = /** @type {http.Server} */ (undefined);
+
+	/**
+	 * Starts local server using given handler and resolves its URL.
+	 */
+	const listen = async (handler) => {
+		server = http.createServer(handler);
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+		return `http://127.0.0.1:${server.address().port}`;
+	};
+
+	afterEach(async function () {
+		sinon.restore();
+		if (server) await new Promise((resolve) => server.close(resolve));
+		server = undefined;
+	});
+
+	it('should throw ZodError when options are invalid', function () {
+		expect(() => createWebhookHandler()).to.throw(ZodError);
+		expect(() => createWebhookHandler({})).to.throw(ZodError);
+		expect(() =>
+			createWebhookHandler({ onEvent: () => {}, max_body_size: 0 })
+		).to.throw(ZodError);
+	});
+
+	it('should call onEvent with confirmed event then respond 200', async function () {
+		const onEvent = sinon.stub().resolves();
+		const fetchFn = createFetch({ ...payload.data.task, task_id: 'task-id' });
+		const url = await listen(
+			createWebhookHandler({
+				publicKey: 'publicKey',
+				secretKey: 'secretKey',
+				params: { transport: { fetch: fetchFn } },
+				onEvent
+			})
+		);
+
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(payload)
+		});
+
+		expect(response.status).to.be.equal(200);
+		expect(onEvent.calledOnce).to.be.true;
+		expect(onEvent.firstCall.args[0].task_id).to.be.equal('task-id');
+		expect(onEvent.firstCall.args[0].task).to.be.instanceOf(Task);
+		expect(fetchFn.calledOnce).to.be.true;
+	});
+
+	it('should respond 403 without calling onEvent when event cannot be confirmed', async function () {
+		const onEvent = sinon.spy();
+		const onError = sinon.spy();
+		const fetch = createFetch({ error: { code: 404 } }, 404);
+		const handler = createWebhookHandler({
+			publicKey: 'publicKey',
+			secretKey: 'secretKey',
+			params: { transport: { fetch } },
+			onEvent,
+			onError
+		});
+		const res = { writeHead: sinon.spy(), end: sinon.spy() };
+
+		const hostile = {
+			...payload,
+			data: { task: { ...payload.data.task, server: 'attacker.example' } }
+		};
+		await handler({ method: 'POST', body: hostile }, res);
+		expect(res.writeHead.lastCall.args[0]).to.be.equal(403);
+		expect(fetch.called).to.be.false;
+
+		await handler({ method: 'POST', body: payload }, res);
+		expect(res.writeHead.lastCall.args[0]).to.be.equal(403);
+		expect(fetch.calledOnce).to.be.true;
+		expect(onError.lastCall.args[0]).to.be.instanceOf(WebhookVerificationError);
+		expect(onEvent.called).to.be.false;
+	});
+
+	it('should respond 500 when confirming the task failed', async function () {
+		const onEvent = sinon.spy();
+		const handler = createWebhookHandler({
+			publicKey: 'publicKey',
+			secretKey: 'secretKey',
+			params: { transport: { fetch: createFetch({}, 503) } },
+			onEvent
+		});
+		const res = { writeHead: sinon.spy(), end: sinon.spy() };
+
+		await handler({ method: 'POST', body: payload }, res);
+
+		expect(res.writeHead.firstCall.args[0]).to.be.equal(500);
+		expect(onEvent.called).to.be.false;
+	});
+
+	it('should use body that already parsed by framework', async function () {
+		const onEvent = sinon.spy();
+		const handler = createWebhookHandler({ onEvent });
+		const res = { writeHead: sinon.spy(), end: sinon.spy() };
+
+		await handler({ method: 'POST', body: payload }, res);
+
+		expect(onEvent.firstCall.args[0].status).to.be.equal('TaskSuccess');
+		expect(res.writeHead.firstCall.args[0]).to.be.equal(200);
+		expect(res.end.calledOnce).to.be.true;
+	});
+
+	it('should respond 405, 400, 413 and 500 on rejected requests', async function () {
+		const onEvent = sinon.stub().rejects(new Error('Simulating error'));
+		const onError = sinon.spy();
+		const url = await listen(
+			createWebhookHandler({ onEvent, onError, max_body_size: 1024 })
+		);
+
+		const notAllowed = await fetch(url);
+		expect(notAllowed.status).to.be.equal(405);
+		expect(notAllowed.headers.get('allow')).to.be.equal('POST');
+
+		const invalid = await fetch(url, { method: 'POST', body: '{}' });
+		expect(invalid.status).to.be.equal(400);
+		expect(onError.lastCall.args[0]).to.be.instanceOf(ZodError);
+
+		const tooLarge = await fetch(url, {
+			method: 'POST',
+			body: 'x'.repeat(2048)
+		});
+		expect(tooLarge.status).to.be.equal(413);
+
+		const failed = await fetch(url, {
+			method: 'POST',
+			body: JSON.stringify(payload)
+		});
+		expect(failed.status).to.be.equal(500);
+		expect(onError.lastCall.args[0].message).to.be.equal('Simulating error');
+		expect(onEvent.calledOnce).to.be.true;
+	});
+
+	it('should still respond when onError throws or rejects', async function () {
+		const onError = sinon.stub().throws(new Error('Simulating onError'));
+		const url = await listen(
+			createWebhookHandler({
+				onEvent: sinon.stub().rejects(new Error('Simulating error')),
+				onError
+			})
+		);
+
+		const invalid = await fetch(url, { method: 'POST', body: 'not-json' });
+		expect(invalid.status).to.be.equal(400);
+
+		const failed = await fetch(url, {
+			method: 'POST',
+			body: JSON.stringify(payload)
+		});
+		expect(failed.status).to.be.equal(500);
+		expect(onError.calledTwice).to.be.true;
+
+		onError.rejects(new Error('Simulating onError'));
+		const rejected = await fetch(url, { method: 'POST', body: 'not-json' });
+		expect(rejected.status).to.be.equal(400);
+	});
+});